@@ -18,14 +18,93 @@ const {
   Routes,
   ChannelType,
   EmbedBuilder,
+  AttachmentBuilder,
+  Partials,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionFlagsBits,
 } = require("discord.js");
+const fs = require("fs");
+const path = require("path");
 const nodeSchedule = require("node-schedule");
 const moment = require("moment-timezone");
 const { QuickDB } = require("quick.db");
+const {
+  parseTimeOfDay,
+  parseTimeList,
+  parseDuration,
+} = require("./timeParser");
+const { parseSchedule } = require("./scheduleParser");
+const {
+  searchTimezones,
+  resolveTimezone,
+  describeTimezone,
+} = require("./timezoneSearch");
+const { normalizeRule, describeRule } = require("./recurrence");
+const {
+  DEFAULT_LOCALE,
+  LOCALES,
+  matchLocale,
+  formatClock,
+  createLocalizer,
+  localizeCommand,
+} = require("./i18n");
+const {
+  STATUS,
+  addOccurrence,
+  settleOccurrences,
+  findPendingIndex,
+  computeStats,
+} = require("./habitStats");
+const { renderHeatmap } = require("./heatmap");
+const { CATCH_UP, createJobStore } = require("./jobStore");
+const {
+  createTuneId,
+  isTuneId,
+  validateTuneName,
+  findTuneId,
+  assignTuneIds,
+} = require("./tuneIds");
+const { parseLeadTimes, formatLead, getNextLead } = require("./leadTimes");
+const { exportJson, exportICalendar, parseImport } = require("./tuneTransfer");
+const { parseFeed, getUpcoming, planSync } = require("./calendarFeed");
+const {
+  getOneOffDate,
+  getNextRunAfter,
+  scheduleRecurringJob,
+} = require("./schedules");
+const { hashToken, createApiToken, createApiServer } = require("./httpApi");
+const {
+  WEBHOOK_FORMATS,
+  MAX_WEBHOOKS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  validateWebhookUrl,
+  createWebhookTarget,
+  createWebhookSender,
+  addLogEntries,
+} = require("./webhooks");
+const {
+  MAX_REPEATS,
+  createEscalationPolicy,
+  getEscalationSteps,
+  getRemainingSteps,
+  formatBackupMention,
+} = require("./escalation");
 require("dotenv").config();
 
 // Initialize database and client
 const db = new QuickDB();
+const jobs = db.table("jobs");
+// Job ids from before tunes had ids contain tune names, which may contain dots
+jobs.useNormalKeys(true);
+const jobStore = createJobStore({ storage: jobs });
+// Hashes of /apitoken tokens -> { userId, createdAt }
+const apiTokens = db.table("apiTokens");
+// reminderId -> { userId, guildId, taskId, sentAt, task } for reminders whose
+// escalation is still waiting for an answer, so it survives a restart
+const pendingEscalations = db.table("escalations");
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
@@ -33,13 +112,30 @@ const client = new Client({
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildPresences,
+    GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.DirectMessages,
+    GatewayIntentBits.DirectMessageReactions,
   ],
+  // Reactions on reminders sent before a restart arrive uncached
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction],
 });
 
 // Global state management
 const activeReminders = new Map();
 const activeCountdowns = new Map();
 const selectedDays = new Map();
+// Tunes being set up through buttons, { name, leads } by draft id
+const tuneDrafts = new Map();
+const activeSnoozes = new Map();
+const activeResumes = new Map();
+// reminderId -> the tune's lead-time jobs, see setupLeadReminders
+const activeLeads = new Map();
+// reminderId -> re-pings waiting for the last reminder to be acknowledged
+const activeEscalations = new Map();
+// "cal_<guildId>_<calendarId>_<occurrence key>" -> { job, summary }
+const activeCalendarJobs = new Map();
+// Imports waiting for confirmation, { userId, guildId, tunes } by draft id
+const importDrafts = new Map();
 
 // Constants
 const COLORS = {
@@ -60,16 +156,41 @@ const EMOJIS = {
   CHANNEL: "📝",
   TASK: "📋",
   REMINDER: "🔔",
+  WARNING: "⚠️",
+  DM: "✉️",
+  ONCE: "⏳",
+  SNOOZE: "💤",
+  SKIP: "⏭️",
+  STREAK: "🔥",
+  PAUSE: "⏸️",
+  VACATION: "🏖️",
+  TEAM: "👥",
+  ESCALATE: "🚨",
+  KEY: "🔑",
+  WEBHOOK: "🪝",
 };
 
+// Minutes a reminder can still be marked done before it counts as missed
+const DEFAULT_DONE_WINDOW = 120;
+
+const STATUS_EMOJIS = {
+  [STATUS.COMPLETED]: "✅",
+  [STATUS.MISSED]: "❌",
+  [STATUS.SKIPPED]: "⏭️",
+  [STATUS.PENDING]: "⏳",
+};
+
+const SNOOZE_OPTIONS = [10, 60];
+
+// Weekdays in button order, labelled in each user's language
 const DAYS = [
-  { label: "Mon", value: 1, emoji: "📅" },
-  { label: "Tue", value: 2, emoji: "📅" },
-  { label: "Wed", value: 3, emoji: "📅" },
-  { label: "Thu", value: 4, emoji: "📅" },
-  { label: "Fri", value: 5, emoji: "📅" },
-  { label: "Sat", value: 6, emoji: "📅" },
-  { label: "Sun", value: 0, emoji: "📅" },
+  { value: 1, emoji: "📅" },
+  { value: 2, emoji: "📅" },
+  { value: 3, emoji: "📅" },
+  { value: 4, emoji: "📅" },
+  { value: 5, emoji: "📅" },
+  { value: 6, emoji: "📅" },
+  { value: 0, emoji: "📅" },
 ];
 
 const REGIONS = {
@@ -79,8 +200,16 @@ const REGIONS = {
   Australia: "🦘",
   Africa: "🌍",
   Pacific: "🏖️",
+  Atlantic: "🌊",
+  Indian: "🏝️",
+  Antarctica: "🐧",
 };
 
+const CATCH_UP_CHOICES = [
+  { name: "One summary message (default)", value: CATCH_UP.SUMMARY },
+  { name: "Each missed reminder, late", value: CATCH_UP.FIRE },
+];
+
 // Command definitions
 const commands = [
   new SlashCommandBuilder()
@@ -91,19 +220,464 @@ const commands = [
         .setName("tune")
         .setDescription("What should Toki remind you about?")
         .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("when")
+        .setDescription(
+          'When to remind you, e.g. "every weekday at 8:30" or "in 20 minutes"',
+        ),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("before")
+        .setDescription('Also ping ahead of time, e.g. "1d, 15m"'),
+    ),
+  new SlashCommandBuilder()
+    .setName("edittune")
+    .setDescription("Change an existing tune without losing its history")
+    .addStringOption((option) =>
+      option
+        .setName("tune")
+        .setDescription("Which tune to edit")
+        .setRequired(true)
+        .setAutocomplete(true),
+    )
+    .addStringOption((option) =>
+      option.setName("name").setDescription("New name for the tune"),
+    )
+    .addStringOption((option) =>
+      option.setName("time").setDescription("New time, e.g. 07:45 or 7:45pm"),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("when")
+        .setDescription('New schedule, e.g. "every weekday" or "mondays at 9"'),
+    )
+    .addChannelOption((option) =>
+      option
+        .setName("channel")
+        .setDescription("Send this tune's reminders to a different channel")
+        .addChannelTypes(ChannelType.GuildText),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("catchup")
+        .setDescription(
+          "What to send for reminders missed while Toki was offline",
+        )
+        .addChoices(...CATCH_UP_CHOICES),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("before")
+        .setDescription('Ping ahead of time, e.g. "1d, 15m", or "none"'),
+    ),
+  new SlashCommandBuilder()
+    .setName("pausetune")
+    .setDescription("Pause a tune without losing its settings")
+    .addStringOption((option) =>
+      option
+        .setName("tune")
+        .setDescription("Which tune to pause")
+        .setRequired(true)
+        .setAutocomplete(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("until")
+        .setDescription(
+          'Resume automatically, e.g. "2026-11-03" or "in 1 week"',
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("resumetune")
+    .setDescription("Resume a paused tune")
+    .addStringOption((option) =>
+      option
+        .setName("tune")
+        .setDescription("Which tune to resume")
+        .setRequired(true)
+        .setAutocomplete(true),
+    ),
+  new SlashCommandBuilder()
+    .setName("vacation")
+    .setDescription("Pause all your tunes while you're away")
+    .addStringOption((option) =>
+      option
+        .setName("until")
+        .setDescription('When you\'re back, e.g. "2026-11-03" or "in 2 weeks"'),
+    )
+    .addBooleanOption((option) =>
+      option.setName("end").setDescription("End your vacation now"),
+    ),
+  new SlashCommandBuilder()
+    .setName("escalate")
+    .setDescription("Keep re-pinging about a tune until you acknowledge it")
+    .addStringOption((option) =>
+      option
+        .setName("tune")
+        .setDescription("Which tune must not be ignored")
+        .setRequired(true)
+        .setAutocomplete(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("after")
+        .setDescription("Minutes until the first re-ping (default 10)")
+        .setMinValue(1)
+        .setMaxValue(720),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("repeats")
+        .setDescription("How many times to re-ping (default 3)")
+        .setMinValue(0)
+        .setMaxValue(MAX_REPEATS),
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("dm")
+        .setDescription("DM you once the re-pings went unanswered"),
+    )
+    .addMentionableOption((option) =>
+      option
+        .setName("backup")
+        .setDescription(
+          "User or role to mention once the re-pings went unanswered",
+        ),
+    )
+    .addBooleanOption((option) =>
+      option.setName("off").setDescription("Stop escalating this tune"),
+    ),
+  new SlashCommandBuilder()
+    .setName("exporttunes")
+    .setDescription("Download your tunes as JSON and as a calendar (.ics)"),
+  new SlashCommandBuilder()
+    .setName("importtunes")
+    .setDescription("Create tunes from a Toki export or a calendar (.ics)")
+    .addAttachmentOption((option) =>
+      option
+        .setName("file")
+        .setDescription("A .json export or an .ics file")
+        .setRequired(true),
+    ),
+  new SlashCommandBuilder()
+    .setName("webhook")
+    .setDescription("Call other services whenever your tunes fire")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("POST to a URL when a tune (or any tune) fires")
+        .addStringOption((option) =>
+          option
+            .setName("url")
+            .setDescription("Where to send the request")
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("format")
+            .setDescription("Payload to send (default JSON)")
+            .addChoices(
+              ...WEBHOOK_FORMATS.map((format) => ({
+                name:
+                  format === "json"
+                    ? "JSON"
+                    : `${format[0].toUpperCase()}${format.slice(1)} webhook`,
+                value: format,
+              })),
+            ),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("tune")
+            .setDescription("Only for this tune (default: all your tunes)")
+            .setAutocomplete(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("Show your webhooks and a tune's recent deliveries")
+        .addStringOption((option) =>
+          option
+            .setName("tune")
+            .setDescription("Show this tune's delivery log")
+            .setAutocomplete(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("Stop calling a webhook")
+        .addStringOption((option) =>
+          option
+            .setName("id")
+            .setDescription("The webhook's id from /webhook list")
+            .setRequired(true),
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("apitoken")
+    .setDescription("Get a token for Toki's local HTTP API")
+    .addBooleanOption((option) =>
+      option
+        .setName("revoke")
+        .setDescription("Revoke your token without making a new one"),
     ),
   new SlashCommandBuilder()
     .setName("removetune")
     .setDescription("Stop Toki from reminding you about a tune"),
   new SlashCommandBuilder()
     .setName("settimezone")
-    .setDescription("Set your timezone"),
+    .setDescription("Set your timezone")
+    .addStringOption((option) =>
+      option
+        .setName("timezone")
+        .setDescription(
+          "City, zone, abbreviation, offset like UTC+5:30, or your current time like 14:30",
+        )
+        .setAutocomplete(true),
+    ),
+  new SlashCommandBuilder()
+    .setName("setlanguage")
+    .setDescription("Choose the language Toki talks to you in")
+    .addStringOption((option) =>
+      option
+        .setName("language")
+        .setDescription("Automatic follows your Discord language")
+        .setRequired(true)
+        .addChoices(
+          { name: "Automatic", value: "auto" },
+          ...Object.entries(LOCALES).map(([value, { name }]) => ({
+            name,
+            value,
+          })),
+        ),
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("server")
+        .setDescription(
+          "Set this server's default instead (needs Manage Server)",
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("settimeformat")
+    .setDescription("Show times as 24-hour (19:30) or 12-hour (7:30 PM)")
+    .addStringOption((option) =>
+      option
+        .setName("format")
+        .setDescription("How Toki should show times")
+        .setRequired(true)
+        .addChoices(
+          { name: "24-hour (19:30)", value: "24h" },
+          { name: "12-hour (7:30 PM)", value: "12h" },
+        ),
+    ),
   new SlashCommandBuilder()
     .setName("setupchannel")
     .setDescription("Choose a channel for reminders"),
+  new SlashCommandBuilder()
+    .setName("delivery")
+    .setDescription(
+      "Choose whether reminders go to a channel, your DMs, or both",
+    )
+    .addStringOption((option) =>
+      option
+        .setName("target")
+        .setDescription("Where Toki should deliver reminders")
+        .setRequired(true)
+        .addChoices(
+          { name: "Reminder channel (DM if it fails)", value: "channel" },
+          { name: "Direct message", value: "dm" },
+          { name: "Both", value: "both" },
+        ),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("tune")
+        .setDescription("Only change this tune (defaults to all your tunes)")
+        .setAutocomplete(true),
+    ),
   new SlashCommandBuilder()
     .setName("mytunes")
     .setDescription("View all your active tunes and when Toki will remind you"),
+  new SlashCommandBuilder()
+    .setName("streaks")
+    .setDescription("See your streaks and completion rates for each tune"),
+  new SlashCommandBuilder()
+    .setName("setdonewindow")
+    .setDescription("Set how long you have to mark a reminder done")
+    .addIntegerOption((option) =>
+      option
+        .setName("minutes")
+        .setDescription(
+          "Minutes before an unanswered reminder counts as missed",
+        )
+        .setMinValue(5)
+        .setMaxValue(1440)
+        .setRequired(true),
+    ),
+  new SlashCommandBuilder()
+    .setName("report")
+    .setDescription("Get a heatmap report of how your tunes went")
+    .addStringOption((option) =>
+      option
+        .setName("period")
+        .setDescription("How far back the report should look")
+        .addChoices(
+          { name: "Last week", value: "week" },
+          { name: "Last month", value: "month" },
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("weeklydigest")
+    .setDescription("Get your weekly report every Monday morning")
+    .addBooleanOption((option) =>
+      option
+        .setName("enabled")
+        .setDescription("Send the weekly digest wherever your reminders go")
+        .setRequired(true),
+    ),
+  new SlashCommandBuilder()
+    .setName("teamtunes")
+    .setDescription("Tunes shared by the whole server")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("Show this server's team tunes"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("Add a team tune (needs Manage Server)")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("What should Toki remind the team about?")
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("when")
+            .setDescription(
+              'e.g. "every weekday at 9:30" or "every other fri at 16:00"',
+            )
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("Where to post it (defaults to this channel)")
+            .addChannelTypes(ChannelType.GuildText),
+        )
+        .addRoleOption((option) =>
+          option.setName("role").setDescription("Role to mention"),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("members")
+            .setDescription("Members to mention, e.g. @ana @ben"),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("timezone")
+            .setDescription("Timezone like Europe/Berlin (defaults to yours)")
+            .setAutocomplete(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("catchup")
+            .setDescription(
+              "What to send for reminders missed while Toki was offline",
+            )
+            .addChoices(...CATCH_UP_CHOICES),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("Remove a team tune (needs Manage Server)")
+        .addStringOption((option) =>
+          option
+            .setName("tune")
+            .setDescription("Which team tune to remove")
+            .setRequired(true)
+            .setAutocomplete(true),
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("calendar")
+    .setDescription("Remind this server about events from a calendar file")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("subscribe")
+        .setDescription("Follow an .ics file (needs Manage Server)")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("Name for this calendar, reusing one replaces it")
+            .setRequired(true),
+        )
+        .addAttachmentOption((option) =>
+          option.setName("file").setDescription("An uploaded .ics file"),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("path")
+            .setDescription(
+              "Path of an .ics file in the bot's calendar directory, re-read regularly",
+            ),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription(
+              "Where to post reminders (defaults to this channel)",
+            )
+            .addChannelTypes(ChannelType.GuildText),
+        )
+        .addRoleOption((option) =>
+          option.setName("role").setDescription("Role to mention"),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("timezone")
+            .setDescription(
+              "Timezone for events without one (defaults to yours)",
+            )
+            .setAutocomplete(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("Show the calendars this server follows"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("Stop following a calendar (needs Manage Server)")
+        .addStringOption((option) =>
+          option
+            .setName("name")
+            .setDescription("Which calendar to remove")
+            .setRequired(true),
+        ),
+    ),
+  new SlashCommandBuilder()
+    .setName("diagnose")
+    .setDescription(
+      "Check that every tune's job matches its schedule (owner only)",
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addBooleanOption((option) =>
+      option
+        .setName("repair")
+        .setDescription("Restart jobs that are missing or out of step"),
+    ),
   new SlashCommandBuilder()
     .setName("help")
     .setDescription("Show bot commands and usage"),
@@ -118,46 +692,80 @@ function createEmbed(title, description, color = COLORS.SUCCESS) {
     .setTimestamp();
 }
 
-function formatCountdown(targetDate) {
-  const now = moment();
-  const target = moment(targetDate);
-  const diff = target.diff(now);
+// For text that isn't shown to a Discord user, like API and webhook payloads
+const ENGLISH = createLocalizer(DEFAULT_LOCALE);
 
-  if (diff <= 0) return "Reminder due now!";
+/**
+ * The localizer to answer an interaction with: the user's own language,
+ * else the server's default, else the one their Discord client uses, and
+ * the user's 12h/24h preference.
+ */
+async function getLocalizer(interaction) {
+  const { locale, timeFormat } =
+    (await db.get(`user_${interaction.user.id}`)) || {};
+  const guildLocale = interaction.guildId
+    ? await db.get(`guild_${interaction.guildId}.locale`)
+    : null;
+  return createLocalizer(
+    locale || guildLocale || matchLocale(interaction.locale) || DEFAULT_LOCALE,
+    timeFormat,
+  );
+}
 
-  const duration = moment.duration(diff);
-  const days = Math.floor(duration.asDays());
-  const hours = duration.hours();
-  const minutes = duration.minutes();
-  const seconds = duration.seconds();
+// Like getLocalizer for messages Toki sends on its own, where there's no
+// Discord client language to fall back to
+async function getUserLocalizer(userId, guildId = DM_SCOPE) {
+  const { locale, timeFormat } = (await db.get(`user_${userId}`)) || {};
+  const guildLocale =
+    guildId !== DM_SCOPE ? await db.get(`guild_${guildId}.locale`) : null;
+  return createLocalizer(locale || guildLocale || DEFAULT_LOCALE, timeFormat);
+}
 
-  const parts = [];
-  if (days > 0) parts.push(`${days}d`);
-  if (hours > 0) parts.push(`${hours}h`);
-  if (minutes > 0) parts.push(`${minutes}m`);
-  if (seconds > 0) parts.push(`${seconds}s`);
+// Team tunes and calendars talk to the whole server in its default language
+async function getGuildLocalizer(guildId) {
+  return createLocalizer(await db.get(`guild_${guildId}.locale`));
+}
 
-  return parts.join(" ");
+// 93784000 -> "1d 2h 3m 4s", leaving out zero parts
+function formatShortDuration(ms, lang = ENGLISH) {
+  const duration = moment.duration(ms);
+  return [
+    ["d", Math.floor(duration.asDays())],
+    ["h", duration.hours()],
+    ["m", duration.minutes()],
+    ["s", duration.seconds()],
+  ]
+    .filter(([, amount]) => amount > 0)
+    .map(([unit, amount]) => lang.t(`duration.${unit}`, { count: amount }))
+    .join(" ");
 }
-function generateTimeOptions() {
-  // Generate only hourly options (24 options)
+
+function formatCountdown(targetDate, lang = ENGLISH) {
+  // node-schedule hands out CronDates, which moment can't read directly
+  const diff = moment(new Date(targetDate)).diff(moment());
+  if (diff <= 0) return lang.t("countdown.now");
+  return formatShortDuration(diff, lang);
+}
+
+// Hourly options for the time picker, in the user's time format with the
+// other one as the description
+function generateTimeOptions(lang) {
+  const otherFormat = lang.timeFormat === "12h" ? "24h" : "12h";
   return Array.from({ length: 24 }, (_, hour) => {
-    const hour12 = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-    const ampm = hour >= 12 ? "PM" : "AM";
     const timeString = `${hour.toString().padStart(2, "0")}:00`;
 
     return {
-      label: timeString,
+      label: lang.time(timeString),
       value: timeString,
-      description: `${hour12}:00 ${ampm}`,
+      description: formatClock(timeString, otherFormat, lang.locale),
       emoji: EMOJIS.CLOCK,
     };
   });
 }
 
-// Improve the countdown update system
-function startCountdownUpdate(message, targetDate) {
-  const countdownId = `${message.guild.id}_${message.id}`;
+// Keep the last line of a reminder, its "Next reminder in" countdown, current
+function startCountdownUpdate(message, targetDate, lang) {
+  const countdownId = `${message.channelId}_${message.id}`;
 
   // Clear existing countdown if any
   if (activeCountdowns.has(countdownId)) {
@@ -167,7 +775,7 @@ function startCountdownUpdate(message, targetDate) {
   const interval = setInterval(async () => {
     try {
       const now = moment();
-      const target = moment(targetDate);
+      const target = moment(new Date(targetDate));
       const diff = target.diff(now);
 
       if (diff <= 0) {
@@ -177,13 +785,13 @@ function startCountdownUpdate(message, targetDate) {
         return;
       }
 
-      const countdown = formatCountdown(targetDate);
       const embed = message.embeds[0];
+      const lines = embed.description.split("\n");
+      lines[lines.length - 1] = lang.t("reminder.nextIn", {
+        countdown: formatCountdown(targetDate, lang),
+      });
       const newEmbed = EmbedBuilder.from(embed).setDescription(
-        embed.description.replace(
-          /Next reminder in:.*/,
-          `Next reminder in: ${countdown}`,
-        ),
+        lines.join("\n"),
       );
 
       await message.edit({ embeds: [newEmbed] });
@@ -198,67 +806,263 @@ function startCountdownUpdate(message, targetDate) {
   return interval;
 }
 
-// Add a function to format schedule descriptions better
-function formatScheduleDescription(schedule, scheduleDay = null) {
+// "Every Mon", "Monthly on day 1st" and the like, in English by default
+function formatScheduleDescription(
+  schedule,
+  scheduleDay = null,
+  lang = ENGLISH,
+) {
+  const { t } = lang;
   if (Array.isArray(schedule)) {
-    return `Custom: ${schedule.map((d) => DAYS.find((day) => day.value === d)?.label || d).join(", ")}`;
+    return t("schedule.custom", {
+      days: schedule.map((day) => lang.weekday(day)).join(", "),
+    });
   }
   switch (schedule) {
     case "daily":
-      return "Every day";
+      return t("schedule.daily");
     case "weekly":
-      return `Every ${DAYS.find((d) => d.value === scheduleDay)?.label || scheduleDay}`;
+      return t("schedule.weekly", { day: lang.weekday(scheduleDay ?? 1) });
     case "monthly":
-      return `Monthly on day ${scheduleDay}${getOrdinalSuffix(scheduleDay)}`;
+      return t("schedule.monthly", { day: lang.ordinal(scheduleDay ?? 1) });
+    case "once":
+      return t("schedule.once", {
+        date: moment(scheduleDay, "YYYY-MM-DD")
+          .locale(lang.locale)
+          .format(t("format.fullDate")),
+      });
+    case "rule":
+      return describeRule(scheduleDay, lang);
     default:
       return schedule;
   }
-} // Helper function for ordinal suffixes
-function getOrdinalSuffix(day) {
-  if (day > 3 && day < 21) return "th";
-  switch (day % 10) {
-    case 1:
-      return "st";
-    case 2:
-      return "nd";
-    case 3:
-      return "rd";
-    default:
-      return "th";
-  }
+}
+
+// "Every Mon at 7:30 PM"
+function formatScheduleAt(task, lang = ENGLISH) {
+  return lang.t("schedule.at", {
+    schedule: formatScheduleDescription(task.schedule, task.scheduleDay, lang),
+    time: lang.time(task.time),
+  });
+}
+
+// "Oct 19, 19:30"
+function formatShortDateTime(value, lang) {
+  return lang.t("format.shortDateTime", {
+    date: lang.format(value, "format.shortDate"),
+    time: lang.time(value),
+  });
+}
+
+// "Mon, Oct 19 at 19:30", optionally with the year and timezone
+function formatDayTime(
+  value,
+  lang,
+  { withYear = false, withZone = false } = {},
+) {
+  const text = lang.t("format.dayTime", {
+    date: lang.format(value, withYear ? "format.fullDate" : "format.dayDate"),
+    time: lang.time(value),
+  });
+  return withZone ? `${text} ${moment(value).format("z")}` : text;
+}
+
+// "🔔 Also pings: 1 day and 15 minutes before" line, empty without leads
+function formatLeadLine(leads, lang) {
+  if (!leads?.length) return "";
+  return `${EMOJIS.REMINDER} ${lang.t("lead.line", {
+    leads: leads.map((lead) => formatLead(lead, lang)).join(lang.t("list.and")),
+  })}\n`;
 }
 
 // Command Handlers
 async function handleAddTask(interaction) {
-  const taskName = interaction.options?.getString("tune"); // Changed from 'task' to 'tune'
+  const guildId = getGuildScope(interaction);
+  const when = interaction.options?.getString("when");
+  const before = interaction.options?.getString("before");
   const userId = interaction.user.id;
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const { name, title, error, taken } = await checkTuneName(
+    userId,
+    guildId,
+    interaction.options?.getString("tune"),
+    null,
+    lang,
+  );
+  const fail = (title, description) =>
+    interaction.reply({
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+      ephemeral: true,
+    });
+
+  if (error) {
+    await fail(title, taken ? `${error} ${t("addtune.useEdit")}` : error);
+    return;
+  }
+  const { leads = [], error: leadError } = before
+    ? parseLeadTimes(before, lang)
+    : {};
+  if (leadError) {
+    await fail(t("lead.invalidTitle"), leadError);
+    return;
+  }
+
   const userTimezone = await db.get(`user_${userId}.timezone`);
   if (!userTimezone) {
+    // Remember the tune so the timezone flow can pick it back up
+    await db.set(`user_${userId}.pendingTask`, { name, when, leads });
     await handleTimezoneSelection(interaction, true);
     return;
   }
-  await showScheduleOptions(interaction, taskName);
+  if (when) {
+    await handleNaturalSchedule(interaction, name, when, userTimezone, leads);
+    return;
+  }
+  await showScheduleOptions(interaction, name, leads);
+}
+
+// Schedule a tune from the /addtune "when" option and confirm the interpretation
+async function handleNaturalSchedule(
+  interaction,
+  name,
+  when,
+  timezone,
+  leads = [],
+) {
+  const guildId = getGuildScope(interaction);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const respond = (payload) =>
+    interaction.isMessageComponent()
+      ? interaction.update(payload)
+      : interaction.reply({ ...payload, ephemeral: true });
+
+  const { parsed, title, error } = readTuneSchedule(when, timezone, lang);
+  if (error) {
+    await respond({
+      embeds: [createEmbed(`${EMOJIS.ERROR} ${title}`, error, COLORS.ERROR)],
+      components: [],
+    });
+    return;
+  }
+
+  const { taskId, nextRun } = await createTune(
+    interaction.user.id,
+    guildId,
+    name,
+    parsed.schedule,
+    parsed.time,
+    parsed.scheduleDay,
+    { leads },
+  );
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`remove_tune_${taskId}`)
+      .setLabel(t("button.undo"))
+      .setEmoji(EMOJIS.CANCEL)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("view_tunes")
+      .setLabel(t("button.myTunes"))
+      .setEmoji(EMOJIS.REMINDER)
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  await respond({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("addtune.scheduledTitle")}`,
+        `${t("addtune.scheduled", { name })}\n\n` +
+          `📝 ${t("addtune.youSaid", { when })}\n` +
+          `🔔 ${t("tune.scheduleLine", { schedule: formatScheduleAt(parsed, lang) })}\n` +
+          formatLeadLine(leads, lang) +
+          `⏰ ${t("tune.nextRun", { date: lang.dateTime(nextRun), countdown: formatCountdown(nextRun, lang) })}`,
+      ),
+    ],
+    components: [row],
+  });
+}
+/**
+ * Validate a tune name and check the user has no other tune called that in
+ * this scope. Returns { name } or { title, error, taken } to show, in
+ * English unless given another localizer.
+ */
+async function checkTuneName(
+  userId,
+  guildId,
+  input,
+  taskId = null,
+  lang = ENGLISH,
+) {
+  const { t } = lang;
+  const { name, error } = validateTuneName(input, lang);
+  if (error) return { title: t("tuneName.invalidTitle"), error };
+  const existingId = await resolveTaskId(userId, guildId, name);
+  if (existingId && existingId !== taskId) {
+    return {
+      title: t("tuneName.takenTitle"),
+      error: t("tuneName.taken", { name }),
+      taken: true,
+    };
+  }
+  return { name };
+}
+
+// Read a "when" like /addtune does, returns { parsed } or { title, error }
+function readTuneSchedule(when, timezone, lang = ENGLISH) {
+  const { t } = lang;
+  const parsed = parseSchedule(when, { timezone });
+  if (!parsed) {
+    return {
+      title: t("when.unreadableTitle"),
+      error: `${t("when.unreadable", { when })}\n\n${t("when.examples")}`,
+    };
+  }
+  if (
+    parsed.schedule === "once" &&
+    !getOneOffDate(parsed.scheduleDay, parsed.time, timezone).isAfter(moment())
+  ) {
+    return {
+      title: t("when.pastTitle"),
+      error: t("when.past", {
+        when,
+        date: parsed.scheduleDay,
+        time: lang.time(parsed.time),
+      }),
+    };
+  }
+  return { parsed };
 }
-async function showScheduleOptions(interaction, taskName) {
+
+// The buttons that follow carry a draft id, name and leads wait in tuneDrafts
+async function showScheduleOptions(interaction, name, leads = []) {
+  const { t } = await getLocalizer(interaction);
+  const draftId = createTuneId();
+  tuneDrafts.set(draftId, { name, leads });
+
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId(`schedule_daily_${taskName}`)
-      .setLabel("Daily")
+      .setCustomId(`schedule_daily_${draftId}`)
+      .setLabel(t("button.daily"))
       .setEmoji(EMOJIS.CALENDAR)
       .setStyle(ButtonStyle.Primary),
     new ButtonBuilder()
-      .setCustomId(`schedule_weekly_custom_${taskName}`) // Changed to weekly_custom
-      .setLabel("Weekly")
+      .setCustomId(`schedule_weekly_${draftId}`)
+      .setLabel(t("button.weekly"))
       .setEmoji("📅")
       .setStyle(ButtonStyle.Primary),
     new ButtonBuilder()
-      .setCustomId(`schedule_monthly_${taskName}`)
-      .setLabel("Monthly")
+      .setCustomId(`schedule_monthly_${draftId}`)
+      .setLabel(t("button.monthly"))
       .setEmoji("📆")
       .setStyle(ButtonStyle.Primary),
     new ButtonBuilder()
-      .setCustomId(`schedule_custom_${taskName}`)
-      .setLabel("Custom Days")
+      .setCustomId(`schedule_custom_${draftId}`)
+      .setLabel(t("button.customDays"))
       .setEmoji(EMOJIS.TASK)
       .setStyle(ButtonStyle.Secondary),
   );
@@ -266,8 +1070,8 @@ async function showScheduleOptions(interaction, taskName) {
   await interaction.reply({
     embeds: [
       createEmbed(
-        `${EMOJIS.REMINDER} Schedule Tune: ${taskName}`,
-        "Choose how often Toki should remind you:",
+        `${EMOJIS.REMINDER} ${t("addtune.scheduleTitle", { name })}`,
+        t("addtune.scheduleOptions"),
       ),
     ],
     components: [row],
@@ -282,17 +1086,27 @@ client.on(Events.InteractionCreate, async (interaction) => {
       await handleSelectMenu(interaction);
     } else if (interaction.isButton()) {
       await handleButton(interaction);
+    } else if (interaction.isModalSubmit()) {
+      await handleModalSubmit(interaction);
+    } else if (interaction.isAutocomplete()) {
+      await handleAutocomplete(interaction);
     }
   } catch (error) {
     console.error("Error handling interaction:", error);
+    if (interaction.isAutocomplete()) return;
     await handleInteractionError(interaction, error);
   }
 });
 
-async function handleWeeklyCustomSelection(interaction) {
-  const [_, __, taskName] = interaction.customId.split("_");
-  await showWeekDaySelection(interaction, taskName);
-}
+client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  try {
+    if (reaction.partial) await reaction.fetch();
+    if (reaction.message.partial) await reaction.message.fetch();
+    await handleReminderReaction(reaction, user);
+  } catch (error) {
+    console.error("Error handling reaction:", error);
+  }
+});
 
 // Interaction Handler Functions
 async function handleCommand(interaction) {
@@ -300,11 +1114,44 @@ async function handleCommand(interaction) {
     case "addtune":
       await handleAddTask(interaction);
       break;
+    case "edittune":
+      await handleEditTask(interaction);
+      break;
     case "removetune":
       await handleCancelTask(interaction);
       break;
+    case "pausetune":
+      await handlePauseTask(interaction);
+      break;
+    case "resumetune":
+      await handleResumeTask(interaction);
+      break;
+    case "vacation":
+      await handleVacation(interaction);
+      break;
+    case "escalate":
+      await handleEscalation(interaction);
+      break;
+    case "exporttunes":
+      await handleExportTunes(interaction);
+      break;
+    case "importtunes":
+      await handleImportTunes(interaction);
+      break;
+    case "webhook":
+      await handleWebhook(interaction);
+      break;
+    case "apitoken":
+      await handleApiToken(interaction);
+      break;
     case "settimezone":
-      await handleTimezoneSelection(interaction);
+      await handleSetTimezone(interaction);
+      break;
+    case "setlanguage":
+      await handleSetLanguage(interaction);
+      break;
+    case "settimeformat":
+      await handleSetTimeFormat(interaction);
       break;
     case "setupchannel":
       await handleChannelSetup(interaction);
@@ -312,12 +1159,72 @@ async function handleCommand(interaction) {
     case "mytunes":
       await handleMyTasks(interaction);
       break;
+    case "delivery":
+      await handleDeliverySetting(interaction);
+      break;
+    case "streaks":
+      await handleStreaks(interaction);
+      break;
+    case "setdonewindow":
+      await handleDoneWindow(interaction);
+      break;
+    case "report":
+      await handleReport(interaction);
+      break;
+    case "weeklydigest":
+      await handleWeeklyDigestToggle(interaction);
+      break;
+    case "teamtunes":
+      await handleTeamTunes(interaction);
+      break;
+    case "calendar":
+      await handleCalendar(interaction);
+      break;
+    case "diagnose":
+      await handleDiagnose(interaction);
+      break;
     case "help":
       await handleHelp(interaction);
       break;
   }
 }
 
+// Suggest the user's own tunes (or the server's, for /teamtunes) for "tune"
+// options; the name is shown, the id is what the command gets. "timezone"
+// options search zones instead
+async function handleAutocomplete(interaction) {
+  const guildId = getGuildScope(interaction);
+  const focused = interaction.options.getFocused(true);
+  if (focused.name === "timezone") {
+    await interaction.respond(
+      searchTimezones(focused.value).map((timezone) => ({
+        name: describeTimezone(timezone).slice(0, 100),
+        value: timezone,
+      })),
+    );
+    return;
+  }
+  if (focused.name !== "tune") {
+    await interaction.respond([]);
+    return;
+  }
+
+  const tasks =
+    (interaction.commandName === "teamtunes"
+      ? await db.get(`guild_${interaction.guildId}.tunes`)
+      : await db.get(`${guildKey(interaction.user.id, guildId)}.tasks`)) || {};
+  const query = focused.value.toLowerCase();
+  await interaction.respond(
+    Object.entries(tasks)
+      .filter(([, task]) => task.name.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(([taskId, task]) => ({
+        name: task.name.slice(0, 100),
+        value: taskId,
+      })),
+  );
+}
+
 async function handleSelectMenu(interaction) {
   const [type, ...args] = interaction.customId.split("_");
 
@@ -334,6 +1241,9 @@ async function handleSelectMenu(interaction) {
     case "cancel":
       await handleTaskCancellation(interaction);
       break;
+    case "tunedetail":
+      await handleTuneDetail(interaction);
+      break;
   }
 }
 
@@ -342,12 +1252,10 @@ async function handleTaskButton(interaction) {
   const [action, _] = interaction.customId.split("_");
 
   if (action === "add") {
+    const { t } = await getLocalizer(interaction);
     await interaction.reply({
       embeds: [
-        createEmbed(
-          `${EMOJIS.TASK} New Tune`,
-          "Use /addtune to create a new tune for Toki to remind you about!",
-        ),
+        createEmbed(`${EMOJIS.TASK} ${t("newTune.title")}`, t("newTune.hint")),
       ],
       ephemeral: true,
     });
@@ -380,11 +1288,23 @@ async function handleButton(interaction) {
         await handleAddTuneButton(interaction);
         break;
       case "remove":
-        await handleRemoveTuneButton(interaction, args[1]);
+        await handleRemoveTuneButton(interaction, args.slice(1).join("_"));
         break;
       case "view":
         await handleMyTasks(interaction);
         break;
+      case "customtime":
+        await showCustomTimeModal(interaction);
+        break;
+      case "reminder":
+        await handleReminderButton(interaction);
+        break;
+      case "import":
+        await handleImportButton(interaction, args[0], args[1]);
+        break;
+      case "tz":
+        await handleTimezoneNavigation(interaction);
+        break;
     }
   } catch (error) {
     console.error("Error handling button:", error);
@@ -393,58 +1313,52 @@ async function handleButton(interaction) {
 }
 
 async function handleAddTuneButton(interaction) {
+  const { t } = await getLocalizer(interaction);
   await interaction.reply({
-    content: `${EMOJIS.TASK} New Tune\n\nType \`/addtune <your tune name>\` to create a new tune for Toki to remind you about!`,
+    content: `${EMOJIS.TASK} ${t("newTune.title")}\n\n${t("newTune.hint")}`,
     ephemeral: true,
   });
 }
-async function handleRemoveTuneButton(interaction, tuneName) {
+async function handleRemoveTuneButton(interaction, taskRef) {
+  const guildId = getGuildScope(interaction);
   // Add async here
-  if (!tuneName) {
+  if (!taskRef) {
     await handleCancelTask(interaction);
     return;
   }
-  const reminderId = `${interaction.user.id}_${tuneName}`;
-  const countdownId = `${interaction.user.id}_${tuneName}_countdown`;
-
-  if (activeReminders.has(reminderId)) {
-    activeReminders.get(reminderId).cancel();
-    activeReminders.delete(reminderId);
+  const taskId = await resolveTaskId(interaction.user.id, guildId, taskRef);
+  if (taskId) {
+    stopTaskJobs(interaction.user.id, guildId, taskId);
+    await db.delete(taskKey(interaction.user.id, guildId, taskId));
   }
-
-  if (activeCountdowns.has(countdownId)) {
-    clearInterval(activeCountdowns.get(countdownId));
-    activeCountdowns.delete(countdownId);
-  }
-
-  await db.delete(`user_${interaction.user.id}.tasks.${tuneName}`);
-  await handleMyTasks(interaction);
-}
-async function handleScheduleSelection(interaction) {
-  const [_, type, taskName] = interaction.customId.split("_");
+  await handleMyTasks(interaction);
+}
+async function handleScheduleSelection(interaction) {
+  const [_, type, draftId] = interaction.customId.split("_");
 
   try {
     switch (type) {
       case "custom":
-        await showDaySelection(interaction, taskName);
+        await showDaySelection(interaction, draftId);
         break;
-      case "weekly_custom": // Use handleWeeklyCustomSelection for weekly
-        await handleWeekDaySelection(interaction, taskName);
+      case "weekly":
+        await showWeekDaySelection(interaction, draftId);
         break;
       case "monthly":
-        await showMonthDaySelection(interaction, taskName);
+        await showMonthDaySelection(interaction, draftId);
         break;
       case "daily":
-        await showTimeSelection(interaction, "daily", taskName);
+        await showTimeSelection(interaction, "daily", draftId);
         break;
     }
   } catch (error) {
     console.error("Error in schedule selection:", error);
+    const { t } = await getLocalizer(interaction);
     await interaction.update({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} Error`,
-          "Failed to process schedule selection. Please try again.",
+          `${EMOJIS.ERROR} ${t("error.title")}`,
+          t("addtune.scheduleFailed"),
           COLORS.ERROR,
         ),
       ],
@@ -452,11 +1366,12 @@ async function handleScheduleSelection(interaction) {
     });
   }
 }
-async function showWeekDaySelection(interaction, taskName) {
+async function showWeekDaySelection(interaction, draftId) {
+  const lang = await getLocalizer(interaction);
   const dayButtons = DAYS.map((day) => {
     return new ButtonBuilder()
-      .setCustomId(`weekday_${day.value}_${taskName}`)
-      .setLabel(day.label)
+      .setCustomId(`weekday_${day.value}_${draftId}`)
+      .setLabel(lang.weekday(day.value))
       .setStyle(ButtonStyle.Secondary);
   });
 
@@ -468,24 +1383,25 @@ async function showWeekDaySelection(interaction, taskName) {
   await interaction.update({
     embeds: [
       createEmbed(
-        `${EMOJIS.CALENDAR} Select Day`,
-        "Choose which day of the week for the reminder:",
+        `${EMOJIS.CALENDAR} ${lang.t("picker.dayTitle")}`,
+        lang.t("picker.weekday"),
       ),
     ],
     components: rows,
   });
 }
 
-async function showDaySelection(interaction, taskName) {
+async function showDaySelection(interaction, draftId) {
+  const lang = await getLocalizer(interaction);
   const dayButtons = DAYS.map((day) => {
     return new ButtonBuilder()
-      .setCustomId(`day_${day.value}_${taskName}`)
-      .setLabel(day.label)
+      .setCustomId(`day_${day.value}_${draftId}`)
+      .setLabel(lang.weekday(day.value))
       .setStyle(ButtonStyle.Secondary);
   });
 
   const confirmButton = new ButtonBuilder()
-    .setCustomId(`confirm_days_${taskName}`)
+    .setCustomId(`confirm_days_${draftId}`)
     .setEmoji(EMOJIS.CONFIRM)
     .setStyle(ButtonStyle.Success);
 
@@ -500,8 +1416,8 @@ async function showDaySelection(interaction, taskName) {
   await interaction.update({
     embeds: [
       createEmbed(
-        `${EMOJIS.CALENDAR} Select Days`,
-        "Click the days when you want to be reminded.\nClick ✅ when done.",
+        `${EMOJIS.CALENDAR} ${lang.t("picker.daysTitle")}`,
+        lang.t("picker.days"),
       ),
     ],
     components: rows,
@@ -511,38 +1427,112 @@ async function showDaySelection(interaction, taskName) {
 async function showTimeSelection(
   interaction,
   scheduleType,
-  taskName,
+  draftId,
   scheduleDay = null,
 ) {
-  const timeOptions = generateTimeOptions();
-  const row = new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId(
-        `time_${scheduleType}_${taskName}${scheduleDay ? "_" + scheduleDay : ""}`,
-      )
-      .setPlaceholder("Select reminder time")
-      .addOptions(timeOptions),
-  );
+  const timeSuffix = `${scheduleType}_${draftId}${scheduleDay !== null ? "_" + scheduleDay : ""}`;
+  const lang = await getLocalizer(interaction);
 
   await interaction.update({
     embeds: [
       createEmbed(
-        `${EMOJIS.CLOCK} Select Time`,
-        "Choose what time you want to be reminded:",
+        `${EMOJIS.CLOCK} ${lang.t("picker.timeTitle")}`,
+        lang.t("picker.time"),
       ),
     ],
-    components: [row],
+    components: createTimeSelectionRows(timeSuffix, lang),
   });
 }
 
-async function showMonthDaySelection(interaction, taskName) {
+function createTimeSelectionRows(timeSuffix, lang) {
+  const timeOptions = generateTimeOptions(lang);
+  return [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`time_${timeSuffix}`)
+        .setPlaceholder(lang.t("picker.timePlaceholder"))
+        .setMinValues(1)
+        .setMaxValues(timeOptions.length)
+        .addOptions(timeOptions),
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`customtime_${timeSuffix}`)
+        .setLabel(lang.t("picker.exactTime"))
+        .setEmoji(EMOJIS.CLOCK)
+        .setStyle(ButtonStyle.Primary),
+    ),
+  ];
+}
+
+async function showCustomTimeModal(interaction) {
+  const timeSuffix = interaction.customId.replace(/^customtime_/, "");
+  const { t } = await getLocalizer(interaction);
+  const modal = new ModalBuilder()
+    .setCustomId(`timemodal_${timeSuffix}`)
+    .setTitle(t("picker.modalTitle"))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("times")
+          .setLabel(t("picker.modalLabel"))
+          .setPlaceholder("07:45, 1:30pm, 21:00")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(100)
+          .setRequired(true),
+      ),
+    );
+
+  await interaction.showModal(modal);
+}
+
+async function handleModalSubmit(interaction) {
+  const [type] = interaction.customId.split("_");
+
+  switch (type) {
+    case "timemodal":
+      await handleCustomTimeSubmit(interaction);
+      break;
+    case "snoozemodal":
+      await handleSnoozeSubmit(interaction);
+      break;
+  }
+}
+
+async function handleCustomTimeSubmit(interaction) {
+  const { times, invalid } = parseTimeList(
+    interaction.fields.getTextInputValue("times"),
+  );
+
+  if (invalid.length > 0 || times.length === 0) {
+    const { t } = await getLocalizer(interaction);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("time.invalidTitle")}`,
+          (invalid.length > 0
+            ? `${t("time.unreadable", { times: invalid.map((time) => `\`${time}\``).join(", ") })}\n`
+            : "") + t("time.examples"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await scheduleTuneTimes(interaction, interaction.customId, times);
+}
+
+async function showMonthDaySelection(interaction, draftId) {
+  const { t } = await getLocalizer(interaction);
   // Create 5 rows of buttons for days 1-31
   const rows = [];
   for (let i = 0; i < 31; i += 7) {
     const buttons = Array.from({ length: Math.min(7, 31 - i) }, (_, index) => {
       const day = i + index + 1;
       return new ButtonBuilder()
-        .setCustomId(`monthday_${day}_${taskName}`)
+        .setCustomId(`monthday_${day}_${draftId}`)
         .setLabel(day.toString())
         .setStyle(ButtonStyle.Secondary);
     });
@@ -552,9 +1542,8 @@ async function showMonthDaySelection(interaction, taskName) {
   await interaction.update({
     embeds: [
       createEmbed(
-        `${EMOJIS.CALENDAR} Select Day`,
-        "Choose which day of the month for the reminder:\n" +
-          "(If the day doesn't exist in a month, the reminder will be set to the last day of that month)",
+        `${EMOJIS.CALENDAR} ${t("picker.dayTitle")}`,
+        t("picker.monthDay"),
       ),
     ],
     components: rows,
@@ -562,39 +1551,76 @@ async function showMonthDaySelection(interaction, taskName) {
 }
 
 async function handleWeekDaySelection(interaction) {
-  const [_, day, taskName] = interaction.customId.split("_");
-  await showTimeSelection(interaction, "weekly", taskName, parseInt(day));
+  const [_, day, draftId] = interaction.customId.split("_");
+  await showTimeSelection(interaction, "weekly", draftId, parseInt(day));
 }
 
 async function handleMonthDaySelection(interaction) {
-  const [_, day, taskName] = interaction.customId.split("_");
-  await showTimeSelection(interaction, "monthly", taskName, parseInt(day));
+  const [_, day, draftId] = interaction.customId.split("_");
+  await showTimeSelection(interaction, "monthly", draftId, parseInt(day));
 }
 
 async function handleMyTasks(interaction) {
-  const tasks = (await db.get(`user_${interaction.user.id}.tasks`)) || {};
+  const guildId = getGuildScope(interaction);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const tasks =
+    (await db.get(`${guildKey(interaction.user.id, guildId)}.tasks`)) || {};
 
   if (Object.keys(tasks).length === 0) {
-    // ... (rest of no tasks block is same)
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.TASK} ${t("mytunes.title")}`,
+          t("mytunes.empty"),
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
     return;
   }
 
   const taskList = Object.entries(tasks)
-    .map(([taskName, task]) => {
-      const reminderId = `${interaction.user.id}_${taskName}`;
+    .map(([taskId, task]) => {
+      const reminderId = `${interaction.user.id}_${guildId}_${taskId}`;
       const reminder = activeReminders.get(reminderId);
-      // Parse nextReminder from ISO string to moment object
-      const nextReminder = task.nextReminder ? moment(task.nextReminder) : null;
-
-      let scheduleDesc = formatScheduleDescription(
-        task.schedule,
-        task.scheduleDay,
-      );
+      // Prefer the live job, fall back to the stored ISO string
+      const nextInvocation = reminder?.nextInvocation();
+      const nextReminder = nextInvocation
+        ? moment(new Date(nextInvocation))
+        : task.nextReminder
+          ? moment(task.nextReminder)
+          : null;
+
+      const status = task.paused
+        ? `${EMOJIS.PAUSE} ${
+            task.paused.until
+              ? t("mytunes.pausedUntil", {
+                  date: formatShortDateTime(
+                    moment(task.paused.until).tz(task.timezone || "UTC"),
+                    lang,
+                  ),
+                })
+              : t("mytunes.paused")
+          }`
+        : `${EMOJIS.CLOCK} ${t("mytunes.next", {
+            countdown: nextReminder
+              ? formatCountdown(nextReminder, lang)
+              : t("mytunes.notScheduled"),
+          })}`;
 
       return (
-        `**${taskName}**\n` +
-        `${EMOJIS.CLOCK} Next reminder: ${nextReminder ? formatCountdown(nextReminder) : "Not scheduled"}\n` +
-        `${EMOJIS.CALENDAR} Schedule: ${scheduleDesc} at ${task.time}\n`
+        `**${task.name}**${task.schedule === "once" ? ` ${EMOJIS.ONCE} ${t("mytunes.oneOff")}` : ""}\n` +
+        `${status}\n` +
+        `${EMOJIS.CALENDAR} ${t("tune.scheduleLine", { schedule: formatScheduleAt(task, lang) })}\n` +
+        formatLeadLine(task.leads, lang) +
+        (task.escalation
+          ? `${EMOJIS.ESCALATE} ${t("mytunes.escalates")}\n`
+          : "") +
+        (task.webhooks?.length
+          ? `${EMOJIS.WEBHOOK} ${t("mytunes.webhooks", { count: task.webhooks.length })}\n`
+          : "")
       );
     })
     .join("\n");
@@ -602,32 +1628,135 @@ async function handleMyTasks(interaction) {
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId("add_tune")
-      .setLabel("Add a Tune")
+      .setLabel(t("button.addTune"))
       .setEmoji(EMOJIS.TASK)
       .setStyle(ButtonStyle.Primary),
     new ButtonBuilder()
       .setCustomId("remove_tune")
-      .setLabel("Remove a Tune")
+      .setLabel(t("button.removeTune"))
       .setEmoji(EMOJIS.CANCEL)
       .setStyle(ButtonStyle.Danger),
   );
 
+  const detailRow = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId("tunedetail_select")
+      .setPlaceholder(t("mytunes.detailPlaceholder"))
+      .addOptions(
+        Object.entries(tasks)
+          .slice(0, 25)
+          .map(([taskId, task]) => ({
+            label: task.name,
+            value: taskId,
+            emoji: EMOJIS.STREAK,
+          })),
+      ),
+  );
+
+  const userData = await db.get(`user_${interaction.user.id}`);
+  const vacationNote = isOnVacation(userData)
+    ? `${EMOJIS.VACATION} ${t("mytunes.vacation", {
+        date: lang.format(
+          moment(userData.vacation.until).tz(userData.timezone || "UTC"),
+          "format.dayDate",
+        ),
+      })}\n\n`
+    : "";
+  const deliveryError = userData?.guilds?.[guildId]?.lastDeliveryError;
+  const deliveryNote = deliveryError
+    ? `${EMOJIS.WARNING} ${t("mytunes.deliveryFailed", {
+        name: deliveryError.taskName,
+        date: formatShortDateTime(
+          moment(deliveryError.at).tz(userData.timezone || "UTC"),
+          lang,
+        ),
+        reason: deliveryError.reason,
+      })}\n\n`
+    : "";
+  if (deliveryError) {
+    await db.delete(
+      `${guildKey(interaction.user.id, guildId)}.lastDeliveryError`,
+    );
+  }
+
   await interaction.reply({
-    embeds: [createEmbed(`${EMOJIS.TASK} Your Tunes`, taskList)],
-    components: [row],
+    embeds: [
+      createEmbed(
+        `${EMOJIS.TASK} ${t("mytunes.title")}`,
+        deliveryNote + vacationNote + taskList,
+      ),
+    ],
+    components: [detailRow, row],
     ephemeral: true,
   });
 }
-async function handleCancelTask(interaction) {
-  const tasks = (await db.get(`user_${interaction.user.id}.tasks`)) || {};
 
-  if (Object.keys(tasks).length === 0) {
+// Load a tune's occurrence log, settling overdue pending entries as missed
+async function getOccurrenceLog(userId, guildId, taskId) {
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  if (!task) return [];
+
+  const window =
+    (await db.get(`user_${userId}.doneWindow`)) || DEFAULT_DONE_WINDOW;
+  const occurrences = settleOccurrences(task.occurrences, window);
+  if (JSON.stringify(occurrences) !== JSON.stringify(task.occurrences || [])) {
+    await db.set(
+      `${taskKey(userId, guildId, taskId)}.occurrences`,
+      occurrences,
+    );
+  }
+  return occurrences;
+}
+
+async function recordOccurrence(userId, guildId, taskId, at, status) {
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  // One-off tunes are gone once they fire, there is nothing to track
+  if (!task || task.schedule === "once") return;
+
+  await db.set(
+    `${taskKey(userId, guildId, taskId)}.occurrences`,
+    addOccurrence(task.occurrences, at, status),
+  );
+}
+
+// "87%", or "n/a" before anything was done or missed
+function formatRate(stats, lang) {
+  return stats.completionRate === null
+    ? lang.t("stats.noRate")
+    : `${Math.round(stats.completionRate * 100)}%`;
+}
+
+function formatStats(stats, lang) {
+  const { t } = lang;
+  return (
+    `${EMOJIS.STREAK} ${t("stats.currentStreak", { count: stats.currentStreak })}\n` +
+    `🏆 ${t("stats.bestStreak", { count: stats.bestStreak })}\n` +
+    `📊 ${t("stats.rate", {
+      rate: formatRate(stats, lang),
+      completed: stats.completed,
+      missed: stats.missed,
+      skipped: stats.skipped,
+    })}`
+  );
+}
+
+async function handleStreaks(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const tasks = (await db.get(`${guildKey(userId, guildId)}.tasks`)) || {};
+  const recurring = Object.entries(tasks).filter(
+    ([, task]) => task.schedule !== "once",
+  );
+
+  if (recurring.length === 0) {
     await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} No Tasks`,
-          "You have no active tasks to cancel.",
-          COLORS.WARNING,
+          `${EMOJIS.STREAK} ${t("streaks.title")}`,
+          t("streaks.empty"),
+          COLORS.INFO,
         ),
       ],
       ephemeral: true,
@@ -635,668 +1764,4149 @@ async function handleCancelTask(interaction) {
     return;
   }
 
-  const row = new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId("cancel_task")
-      .setPlaceholder("Select task to cancel")
-      .addOptions(
-        Object.entries(tasks).map(([taskName, task]) => {
-          let scheduleDesc;
-          if (Array.isArray(task.schedule)) {
-            scheduleDesc = `Custom: ${task.schedule
-              .map((d) => DAYS.find((day) => day.value === d).label)
-              .join(", ")}`;
-          } else {
-            scheduleDesc = task.schedule;
-          }
-
-          return {
-            label: taskName,
-            value: taskName,
-            description: `${scheduleDesc} at ${task.time}`,
-            emoji: EMOJIS.TASK,
-          };
-        }),
-      ),
-  );
+  const lines = [];
+  for (const [taskId, task] of recurring) {
+    const stats = computeStats(await getOccurrenceLog(userId, guildId, taskId));
+    lines.push(`**${task.name}**\n${formatStats(stats, lang)}`);
+  }
 
   await interaction.reply({
     embeds: [
-      createEmbed(
-        `${EMOJIS.TASK} Cancel Task`,
-        "Select which task you want to cancel:",
-      ),
+      createEmbed(`${EMOJIS.STREAK} ${t("streaks.title")}`, lines.join("\n\n")),
     ],
-    components: [row],
     ephemeral: true,
   });
 }
 
-async function handleTaskCancellation(interaction) {
-  const taskName = interaction.values[0];
-  const reminderId = `${interaction.user.id}_${taskName}`;
-  const countdownId = `${interaction.user.id}_${taskName}_countdown`;
+async function handleTuneDetail(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskId = interaction.values[0];
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
 
-  if (activeReminders.has(reminderId)) {
-    activeReminders.get(reminderId).cancel();
-    activeReminders.delete(reminderId);
+  if (!task) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("tune.notFoundTitle")}`,
+          t("tune.gone"),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
   }
 
-  if (activeCountdowns.has(countdownId)) {
-    clearInterval(activeCountdowns.get(countdownId));
-    activeCountdowns.delete(countdownId);
-  }
+  const occurrences = await getOccurrenceLog(userId, guildId, taskId);
+  const timezone = task.timezone || "UTC";
+  const history = occurrences
+    .slice(-10)
+    .reverse()
+    .map(
+      (occurrence) =>
+        `${STATUS_EMOJIS[occurrence.status]} ${formatDayTime(moment(occurrence.at).tz(timezone), lang)}`,
+    )
+    .join("\n");
 
-  await db.delete(`user_${interaction.user.id}.tasks.${taskName}`);
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.TASK} ${task.name}`,
+        `${EMOJIS.CALENDAR} ${t("tune.scheduleLine", { schedule: formatScheduleAt(task, lang) })}\n\n` +
+          `${formatStats(computeStats(occurrences), lang)}\n\n` +
+          `**${t("tune.history")}**\n${history || t("tune.noHistory")}`,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
 
-  // Show remaining tasks
-  const remainingTasks =
-    (await db.get(`user_${interaction.user.id}.tasks`)) || {};
-  const taskList = Object.entries(remainingTasks)
-    .map(([name, task]) => {
-      const reminder = activeReminders.get(`${interaction.user.id}_${name}`);
-      const nextInvocation = reminder?.nextInvocation();
-      let scheduleDesc = formatScheduleDescription(
-        task.schedule,
-        task.scheduleDay,
-      );
+const REPORT_DAYS = { week: 7, month: 30 };
+const MAX_REPORT_TUNES = 10;
+
+// Build the heatmap report embed and attachment, or null without recurring tunes
+async function buildReport(userId, guildId, period, lang) {
+  const { t } = lang;
+  const tasks = (await db.get(`${guildKey(userId, guildId)}.tasks`)) || {};
+  const recurring = Object.entries(tasks)
+    .filter(([, task]) => task.schedule !== "once")
+    .slice(0, MAX_REPORT_TUNES);
+  if (recurring.length === 0) return null;
+
+  const timezone = (await db.get(`user_${userId}.timezone`)) || "UTC";
+  const end = moment().tz(timezone);
+  const start = end.clone().subtract(REPORT_DAYS[period] - 1, "days");
+  const tunes = [];
+
+  for (const [taskId, task] of recurring) {
+    const occurrences = (
+      await getOccurrenceLog(userId, guildId, taskId)
+    ).filter((occurrence) =>
+      moment(occurrence.at).tz(timezone).isSameOrAfter(start, "day"),
+    );
+    tunes.push({ name: task.name, occurrences });
+  }
 
-      return (
-        `**${name}**\n` +
-        `${EMOJIS.CLOCK} Next reminder: ${nextInvocation ? formatCountdown(nextInvocation) : "Not scheduled"}\n` +
-        `${EMOJIS.CALENDAR} Schedule: ${scheduleDesc} at ${task.time}\n`
-      );
+  const image = renderHeatmap(tunes, {
+    start: start.format("YYYY-MM-DD"),
+    end: end.format("YYYY-MM-DD"),
+    timezone,
+  });
+
+  const summary = tunes
+    .map(({ name, occurrences }, index) => {
+      const stats = computeStats(occurrences);
+      return `**${index + 1}. ${name}**: ${t("report.tuneLine", {
+        completed: stats.completed,
+        missed: stats.missed,
+        rate: formatRate(stats, lang),
+      })}`;
     })
     .join("\n");
 
   const embed = createEmbed(
-    `${EMOJIS.SUCCESS} Tune Removed`,
-    `Successfully removed tune: **${taskName}**\n\n` +
-      (Object.keys(remainingTasks).length > 0
-        ? `Your remaining tunes:\n${taskList}`
-        : "You have no more active tunes."),
-  );
-
-  const row = new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId("add_tune")
-      .setLabel("Add a Tune")
-      .setEmoji(EMOJIS.TASK)
-      .setStyle(ButtonStyle.Primary),
-    new ButtonBuilder()
-      .setCustomId("remove_tune")
-      .setLabel("Remove a Tune")
-      .setEmoji(EMOJIS.CANCEL)
-      .setStyle(ButtonStyle.Danger),
-  );
+    `${EMOJIS.CALENDAR} ${t(period === "week" ? "report.weeklyTitle" : "report.monthlyTitle")}`,
+    `${lang.format(start, "format.shortDate")} – ${lang.format(end, "format.longDate")}\n\n${summary}\n\n` +
+      t("report.legend"),
+  ).setImage("attachment://report.png");
 
-  await interaction.update({
+  return {
     embeds: [embed],
-    components: [row],
-  });
+    files: [new AttachmentBuilder(image, { name: "report.png" })],
+  };
 }
-async function handleDaySelection(interaction) {
-  const [_, day, taskName] = interaction.customId.split("_");
-  const currentDays = selectedDays.get(interaction.user.id) || new Set();
-
-  if (currentDays.has(day)) {
-    currentDays.delete(day);
-  } else {
-    currentDays.add(day);
-  }
 
-  selectedDays.set(interaction.user.id, currentDays);
+async function handleReport(interaction) {
+  const guildId = getGuildScope(interaction);
+  const period = interaction.options.getString("period") || "week";
+  const lang = await getLocalizer(interaction);
+  const report = await buildReport(interaction.user.id, guildId, period, lang);
 
-  const dayButtons = DAYS.map((dayInfo) => {
-    const isSelected = currentDays.has(dayInfo.value.toString());
-    return new ButtonBuilder()
-      .setCustomId(`day_${dayInfo.value}_${taskName}`)
-      .setLabel(dayInfo.label)
-      .setStyle(isSelected ? ButtonStyle.Success : ButtonStyle.Secondary);
-  });
+  if (!report) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.CALENDAR} ${lang.t("report.title")}`,
+          lang.t("report.empty"),
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
 
-  const confirmButton = new ButtonBuilder()
-    .setCustomId(`confirm_days_${taskName}`)
-    .setEmoji(EMOJIS.CONFIRM)
-    .setStyle(ButtonStyle.Success);
+  await interaction.reply({ ...report, ephemeral: true });
+}
 
-  const rows = [
-    new ActionRowBuilder().addComponents(dayButtons.slice(0, 4)),
-    new ActionRowBuilder().addComponents([
-      ...dayButtons.slice(4),
-      confirmButton,
-    ]),
-  ];
+async function handleWeeklyDigestToggle(interaction) {
+  const enabled = interaction.options.getBoolean("enabled");
+  await db.set(`user_${interaction.user.id}.weeklyDigest`, enabled);
+  const lang = await getLocalizer(interaction);
 
-  await interaction.update({
-    components: rows,
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${lang.t(enabled ? "digest.onTitle" : "digest.offTitle")}`,
+        enabled
+          ? lang.t("digest.on", { time: lang.time("09:00") })
+          : lang.t("digest.off"),
+      ),
+    ],
+    ephemeral: true,
   });
 }
 
-// Improve error handling with more specific messages
-async function handleInteractionError(interaction, error) {
-  let errorMessage = "An error occurred while processing your request.";
-
-  if (error.code === 50013) {
-    errorMessage =
-      "I don't have permission to perform this action. Please check my role permissions.";
-  } else if (error.code === 50001) {
-    errorMessage =
-      "I don't have access to that channel. Please check channel permissions.";
-  } else if (error.message.includes("Unknown interaction")) {
-    errorMessage =
-      "This interaction has expired. Please try the command again.";
-  }
-
-  const response = {
-    embeds: [createEmbed(`${EMOJIS.ERROR} Error`, errorMessage, COLORS.ERROR)],
-    ephemeral: true,
-  };
+// A user's weekly report if their local time is Monday 09:xx, once a week
+// for each server, delivered like their reminders: to the channel, by DM or
+// both, with the same fallback and the failure kept for /mytunes
+async function sendWeeklyDigest(userId, value) {
+  const now = moment().tz(value.timezone || "UTC");
+  const week = now.format("GGGG-[W]WW");
+  if (now.isoWeekday() !== 1 || now.hour() !== 9) return;
 
-  try {
-    if (!interaction.replied && !interaction.deferred) {
-      await interaction.reply(response);
-    } else {
-      await interaction.followUp(response);
+  for (const [guildId, scope] of getGuildScopes(value)) {
+    if (scope.lastDigest === week) continue;
+    try {
+      const lang = await getUserLocalizer(userId, guildId);
+      const report = await buildReport(userId, guildId, "week", lang);
+      if (report) {
+        await deliverReminder(
+          userId,
+          guildId,
+          { name: lang.t("report.weeklyTitle") },
+          {
+            content: `${EMOJIS.CALENDAR} <@${userId}>`,
+            ...report,
+            allowedMentions: { users: [userId] },
+          },
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error sending weekly digest to ${userId} in ${guildId}:`,
+        error,
+      );
     }
-  } catch (e) {
-    console.error("Error sending error message:", e);
+    // Marked per server, and even after a failure, so no server gets the
+    // digest or the same error again every 15 minutes
+    await db.set(`${guildKey(userId, guildId)}.lastDigest`, week);
   }
 }
 
-// Add a function to validate and clean up stale reminders
-async function cleanupStaleReminders() {
+// Post the weekly report to everyone whose local time is Monday 09:xx
+async function sendWeeklyDigests() {
+  let users;
   try {
-    const allData = await db.all();
-    for (const [key, value] of Object.entries(allData)) {
-      if (key.startsWith("user_") && value.tasks) {
-        const userId = key.replace("user_", "");
-        for (const [taskName, task] of Object.entries(value.tasks)) {
-          const reminderId = `${userId}_${taskName}`;
-          if (!activeReminders.has(reminderId)) {
-            console.log(
-              `Restoring missing reminder: ${taskName} for user ${userId}`,
-            );
-            await setupReminder(
-              userId,
-              taskName,
-              task.schedule,
-              task.time,
-              task.scheduleDay,
-            );
-          }
-        }
-      }
-    }
+    users = await getAllUserData();
   } catch (error) {
-    console.error("Error cleaning up stale reminders:", error);
+    console.error("Error loading users for weekly digests:", error);
+    return;
+  }
+
+  for (const [userId, value] of users) {
+    if (!value.weeklyDigest) continue;
+    // One unreachable channel mustn't stop everyone else's digest
+    try {
+      await sendWeeklyDigest(userId, value);
+    } catch (error) {
+      console.error(`Error sending weekly digest to ${userId}:`, error);
+    }
   }
 }
 
-// Run cleanup periodically
+nodeSchedule.scheduleJob("*/15 * * * *", sendWeeklyDigests);
 
-setInterval(cleanupStaleReminders, 1000 * 60 * 60);
+async function handleDoneWindow(interaction) {
+  const minutes = interaction.options.getInteger("minutes");
+  await db.set(`user_${interaction.user.id}.doneWindow`, minutes);
+  const { t } = await getLocalizer(interaction);
 
-//
-async function handleTimezoneNavigation(interaction) {
-  console.log(
-    "handleTimezoneNavigation: start interaction:",
-    interaction.customId,
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("doneWindow.title")}`,
+        t("doneWindow.set", { count: minutes }),
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+// "auto" clears the choice, so the server default or the Discord client's
+// language applies again
+async function handleSetLanguage(interaction) {
+  const choice = interaction.options.getString("language");
+  const forServer = interaction.options.getBoolean("server") ?? false;
+  const key = forServer
+    ? `guild_${interaction.guildId}.locale`
+    : `user_${interaction.user.id}.locale`;
+
+  if (forServer && !canManageTeamTunes(interaction)) {
+    const { t } = await getLocalizer(interaction);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("team.noPermissionTitle")}`,
+          t("language.noPermission"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (choice === "auto") {
+    await db.delete(key);
+  } else {
+    await db.set(key, choice);
+  }
+
+  // Confirm in the language that now applies
+  const { t } = await getLocalizer(interaction);
+  const language = LOCALES[choice]?.name;
+  const message = forServer
+    ? t(language ? "language.serverSet" : "language.serverAuto", { language })
+    : t(language ? "language.set" : "language.auto", { language });
+  await interaction.reply({
+    embeds: [
+      createEmbed(`${EMOJIS.SUCCESS} ${t("language.setTitle")}`, message),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleSetTimeFormat(interaction) {
+  const format = interaction.options.getString("format");
+  await db.set(`user_${interaction.user.id}.timeFormat`, format);
+  const lang = await getLocalizer(interaction);
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.CLOCK} ${lang.t("timeFormat.setTitle")}`,
+        lang.t("timeFormat.set", { example: lang.time("19:30") }),
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+async function handleCancelTask(interaction) {
+  const guildId = getGuildScope(interaction);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const tasks =
+    (await db.get(`${guildKey(interaction.user.id, guildId)}.tasks`)) || {};
+
+  if (Object.keys(tasks).length === 0) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("cancel.emptyTitle")}`,
+          t("cancel.empty"),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId("cancel_task")
+      .setPlaceholder(t("cancel.placeholder"))
+      .addOptions(
+        Object.entries(tasks).map(([taskId, task]) => ({
+          label: task.name,
+          value: taskId,
+          description: formatScheduleAt(task, lang).slice(0, 100),
+          emoji: task.schedule === "once" ? EMOJIS.ONCE : EMOJIS.TASK,
+        })),
+      ),
+  );
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(`${EMOJIS.TASK} ${t("cancel.title")}`, t("cancel.choose")),
+    ],
+    components: [row],
+    ephemeral: true,
+  });
+}
+
+// Cancel every in-memory job belonging to a tune
+function stopTaskJobs(userId, guildId, taskId) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  const countdownId = `${userId}_${guildId}_${taskId}_countdown`;
+
+  if (activeReminders.has(reminderId)) {
+    activeReminders.get(reminderId).cancel();
+    activeReminders.delete(reminderId);
+  }
+  stopLeadReminders(reminderId);
+  // Stopped on purpose, so the gap isn't caught up on the next start
+  jobStore
+    .forget(reminderId)
+    .catch((error) => console.error("Error forgetting job:", error));
+
+  if (activeCountdowns.has(countdownId)) {
+    clearInterval(activeCountdowns.get(countdownId));
+    activeCountdowns.delete(countdownId);
+  }
+
+  cancelSnooze(userId, guildId, taskId);
+  cancelEscalation(userId, guildId, taskId);
+}
+
+function isOnVacation(userData) {
+  return Boolean(
+    userData?.vacation &&
+    (!userData.vacation.until || moment(userData.vacation.until).isAfter()),
+  );
+}
+
+// Parse an "until" option into a moment, e.g. "2026-11-03", "nov 3" or "in 1 week"
+function parseResumeDate(input, timezone) {
+  const parsed =
+    parseSchedule(input, { timezone }) ||
+    parseSchedule(`${input} at 00:00`, { timezone });
+  if (!parsed || parsed.schedule !== "once") return null;
+
+  const date = getOneOffDate(parsed.scheduleDay, parsed.time, timezone);
+  return date.isAfter() ? date : null;
+}
+
+// Schedule a tune (or, with taskId null, a vacation) to resume by itself
+function scheduleAutoResume(userId, guildId, taskId, until) {
+  const resumeId =
+    taskId === null ? `${userId}_vacation` : `${userId}_${guildId}_${taskId}`;
+  if (activeResumes.has(resumeId)) {
+    activeResumes.get(resumeId).cancel();
+    activeResumes.delete(resumeId);
+  }
+  if (!until) return;
+
+  const job = nodeSchedule.scheduleJob(new Date(until), async () => {
+    activeResumes.delete(resumeId);
+    try {
+      if (taskId === null) {
+        await endVacation(userId);
+      } else {
+        await resumeTask(userId, guildId, taskId);
+      }
+    } catch (error) {
+      console.error("Error auto-resuming:", error);
+    }
+  });
+  if (job) activeResumes.set(resumeId, job);
+}
+
+// Start the jobs of a stored tune again, e.g. after a pause or vacation
+async function restartTaskJobs(userId, guildId, taskId, task) {
+  if (task.schedule === "once") {
+    await restoreOneOffReminder(userId, guildId, taskId, task);
+  } else {
+    await setupReminder(
+      userId,
+      guildId,
+      taskId,
+      task.schedule,
+      task.time,
+      task.scheduleDay,
+    );
+  }
+}
+
+// Pause a tune until a moment, or until it's resumed if until is null
+async function pauseTask(userId, guildId, taskId, until) {
+  stopTaskJobs(userId, guildId, taskId);
+  await db.set(`${taskKey(userId, guildId, taskId)}.paused`, {
+    since: new Date().toISOString(),
+    until: until ? until.toISOString() : null,
+  });
+  scheduleAutoResume(userId, guildId, taskId, until?.toISOString());
+}
+
+async function resumeTask(userId, guildId, taskId) {
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  if (!task?.paused) return null;
+
+  scheduleAutoResume(userId, guildId, taskId, null);
+  await db.delete(`${taskKey(userId, guildId, taskId)}.paused`);
+  const userData = await db.get(`user_${userId}`);
+  if (!isOnVacation(userData)) {
+    await restartTaskJobs(userId, guildId, taskId, task);
+  }
+  return task;
+}
+
+async function endVacation(userId) {
+  scheduleAutoResume(userId, null, null, null);
+  await db.delete(`user_${userId}.vacation`);
+
+  const userData = await db.get(`user_${userId}`);
+  for (const [guildId, scope] of getGuildScopes(userData)) {
+    for (const [taskId, task] of Object.entries(scope.tasks || {})) {
+      if (task.paused) continue;
+      try {
+        await restartTaskJobs(userId, guildId, taskId, task);
+      } catch (error) {
+        console.error(
+          `Failed to resume ${task.name} for user ${userId}:`,
+          error,
+        );
+      }
+    }
+  }
+}
+
+async function handlePauseTask(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const untilInput = interaction.options.getString("until");
+  const taskId = await resolveTaskId(userId, guildId, taskRef);
+  const task = taskId && (await db.get(taskKey(userId, guildId, taskId)));
+  const timezone = (await db.get(`user_${userId}.timezone`)) || "UTC";
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (!task) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("tune.notFoundTitle")}`,
+          t("tune.notFound", { name: taskRef }),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const until = untilInput ? parseResumeDate(untilInput, timezone) : null;
+  if (untilInput && !until) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("date.invalidTitle")}`,
+          t("pause.invalidDate"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await pauseTask(userId, guildId, taskId, until);
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.PAUSE} ${t("pause.title")}`,
+        until
+          ? t("pause.until", {
+              name: task.name,
+              date: formatDayTime(until, lang, {
+                withYear: true,
+                withZone: true,
+              }),
+            })
+          : t("pause.indefinitely", { name: task.name }),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleResumeTask(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const taskId = await resolveTaskId(userId, guildId, taskRef);
+  const task = taskId && (await resumeTask(userId, guildId, taskId));
+  const { t } = await getLocalizer(interaction);
+
+  if (!task) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("resume.notPausedTitle")}`,
+          t("resume.notPaused", { name: taskRef }),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const userData = await db.get(`user_${userId}`);
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("resume.title")}`,
+        t(isOnVacation(userData) ? "resume.afterVacation" : "resume.done", {
+          name: task.name,
+        }),
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleVacation(interaction) {
+  const userId = interaction.user.id;
+  const untilInput = interaction.options.getString("until");
+  const end = interaction.options.getBoolean("end");
+  const timezone = (await db.get(`user_${userId}.timezone`)) || "UTC";
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (end) {
+    await endVacation(userId);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.SUCCESS} ${t("vacation.endedTitle")}`,
+          t("vacation.ended"),
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const until = untilInput ? parseResumeDate(untilInput, timezone) : null;
+  if (!until) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("date.invalidTitle")}`,
+          t("vacation.invalidDate"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // A vacation pauses the user's tunes in every server
+  const userData = await db.get(`user_${userId}`);
+  for (const [guildId, scope] of getGuildScopes(userData)) {
+    for (const taskId of Object.keys(scope.tasks || {})) {
+      stopTaskJobs(userId, guildId, taskId);
+    }
+  }
+  await db.set(`user_${userId}.vacation`, {
+    since: new Date().toISOString(),
+    until: until.toISOString(),
+  });
+  scheduleAutoResume(userId, null, null, until.toISOString());
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.VACATION} ${t("vacation.startedTitle")}`,
+        t("vacation.started", {
+          date: formatDayTime(until, lang, { withYear: true, withZone: true }),
+        }),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleTaskCancellation(interaction) {
+  const guildId = getGuildScope(interaction);
+  const taskId = interaction.values[0];
+  const removed = await deleteTune(interaction.user.id, guildId, taskId);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  // Show remaining tasks
+  const remainingTasks =
+    (await db.get(`${guildKey(interaction.user.id, guildId)}.tasks`)) || {};
+  const taskList = Object.entries(remainingTasks)
+    .map(([remainingId, task]) => {
+      const reminder = activeReminders.get(
+        `${interaction.user.id}_${guildId}_${remainingId}`,
+      );
+      const nextInvocation = reminder?.nextInvocation();
+
+      return (
+        `**${task.name}**${task.schedule === "once" ? ` ${EMOJIS.ONCE} ${t("mytunes.oneOff")}` : ""}\n` +
+        `${EMOJIS.CLOCK} ${t("mytunes.next", {
+          countdown: nextInvocation
+            ? formatCountdown(nextInvocation, lang)
+            : t("mytunes.notScheduled"),
+        })}\n` +
+        `${EMOJIS.CALENDAR} ${t("tune.scheduleLine", { schedule: formatScheduleAt(task, lang) })}\n`
+      );
+    })
+    .join("\n");
+
+  const embed = createEmbed(
+    `${EMOJIS.SUCCESS} ${t("cancel.removedTitle")}`,
+    `${t("cancel.removed", { name: removed?.name ?? t("cancel.thatTune") })}\n\n` +
+      (Object.keys(remainingTasks).length > 0
+        ? `${t("cancel.remaining")}\n${taskList}`
+        : t("cancel.noneLeft")),
+  );
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("add_tune")
+      .setLabel(t("button.addTune"))
+      .setEmoji(EMOJIS.TASK)
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("remove_tune")
+      .setLabel(t("button.removeTune"))
+      .setEmoji(EMOJIS.CANCEL)
+      .setStyle(ButtonStyle.Danger),
+  );
+
+  await interaction.update({
+    embeds: [embed],
+    components: [row],
+  });
+}
+// Stop and forget a tune, returns what was stored
+async function deleteTune(userId, guildId, taskId) {
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  stopTaskJobs(userId, guildId, taskId);
+  await db.delete(taskKey(userId, guildId, taskId));
+  return task;
+}
+
+async function handleDaySelection(interaction) {
+  const [_, day, draftId] = interaction.customId.split("_");
+  const currentDays = selectedDays.get(interaction.user.id) || new Set();
+
+  if (currentDays.has(day)) {
+    currentDays.delete(day);
+  } else {
+    currentDays.add(day);
+  }
+
+  selectedDays.set(interaction.user.id, currentDays);
+  const lang = await getLocalizer(interaction);
+
+  const dayButtons = DAYS.map((dayInfo) => {
+    const isSelected = currentDays.has(dayInfo.value.toString());
+    return new ButtonBuilder()
+      .setCustomId(`day_${dayInfo.value}_${draftId}`)
+      .setLabel(lang.weekday(dayInfo.value))
+      .setStyle(isSelected ? ButtonStyle.Success : ButtonStyle.Secondary);
+  });
+
+  const confirmButton = new ButtonBuilder()
+    .setCustomId(`confirm_days_${draftId}`)
+    .setEmoji(EMOJIS.CONFIRM)
+    .setStyle(ButtonStyle.Success);
+
+  const rows = [
+    new ActionRowBuilder().addComponents(dayButtons.slice(0, 4)),
+    new ActionRowBuilder().addComponents([
+      ...dayButtons.slice(4),
+      confirmButton,
+    ]),
+  ];
+
+  await interaction.update({
+    components: rows,
+  });
+}
+
+// Improve error handling with more specific messages
+async function handleInteractionError(interaction, error) {
+  let errorKey = "error.generic";
+
+  if (error.code === 50013) {
+    errorKey = "error.missingPermission";
+  } else if (error.code === 50001) {
+    errorKey = "error.missingAccess";
+  } else if (error.message.includes("Unknown interaction")) {
+    errorKey = "error.expired";
+  }
+
+  try {
+    const { t } = await getLocalizer(interaction);
+    const response = {
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("error.title")}`,
+          t(errorKey),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    };
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply(response);
+    } else {
+      await interaction.followUp(response);
+    }
+  } catch (e) {
+    console.error("Error sending error message:", e);
+  }
+}
+
+// All stored users as [userId, data]; QuickDB#all returns { id, value } rows
+async function getAllUserData() {
+  const rows = await db.all();
+  return rows
+    .filter((row) => row.id.startsWith("user_") && row.value)
+    .map((row) => [row.id.replace("user_", ""), row.value]);
+}
+
+// Tunes, the reminder channel and delivery errors are kept per server, with
+// their own scope for DMs; timezone and other preferences stay global
+const DM_SCOPE = "dm";
+
+function getGuildScope(interaction) {
+  return interaction.guildId ?? DM_SCOPE;
+}
+
+function guildKey(userId, guildId) {
+  return `user_${userId}.guilds.${guildId}`;
+}
+
+// Tunes are keyed by a generated id, their name is only for display
+function taskKey(userId, guildId, taskId) {
+  return `${guildKey(userId, guildId)}.tasks.${taskId}`;
+}
+
+// Id of the tune a "tune" option or an older button refers to, or null
+async function resolveTaskId(userId, guildId, taskRef) {
+  const tasks = await db.get(`${guildKey(userId, guildId)}.tasks`);
+  return findTuneId(tasks, taskRef);
+}
+
+// A user's scopes as [guildId, { tasks, reminderChannel, ... }]
+function getGuildScopes(userData) {
+  return Object.entries(userData?.guilds || {});
+}
+
+// The server a channel belongs to, or null if it is gone or unreachable
+async function getChannelGuildId(channelId) {
+  try {
+    const channel = await client.channels.fetch(channelId);
+    return channel.guildId ?? null;
+  } catch (error) {
+    // Anything but a missing channel may be temporary, let the caller retry
+    if (error.code === 10003 || error.code === 50001) return null;
+    throw error;
+  }
+}
+
+/**
+ * Move tunes stored before data was scoped per server (user_<id>.tasks and
+ * user_<id>.reminderChannel) under user_<id>.guilds.<guildId>. Each tune goes
+ * to the server of its own channel, else of the reminder channel, else to the
+ * DM scope. Users whose channels can't be checked right now are left for the
+ * next startup.
+ */
+async function migrateGuildScopes() {
+  for (const [userId, value] of await getAllUserData()) {
+    if (!value.tasks && !value.reminderChannel && !value.lastDeliveryError) {
+      continue;
+    }
+
+    try {
+      const channelGuildId = value.reminderChannel
+        ? await getChannelGuildId(value.reminderChannel)
+        : null;
+      const defaultGuildId = channelGuildId ?? DM_SCOPE;
+
+      for (const [taskId, task] of Object.entries(value.tasks || {})) {
+        const guildId =
+          (task.channelId && (await getChannelGuildId(task.channelId))) ||
+          defaultGuildId;
+        if (!(await db.has(taskKey(userId, guildId, taskId)))) {
+          await db.set(taskKey(userId, guildId, taskId), task);
+        }
+      }
+      if (channelGuildId) {
+        await db.set(
+          `${guildKey(userId, channelGuildId)}.reminderChannel`,
+          value.reminderChannel,
+        );
+      }
+      if (value.lastDeliveryError) {
+        await db.set(
+          `${guildKey(userId, defaultGuildId)}.lastDeliveryError`,
+          value.lastDeliveryError,
+        );
+      }
+
+      await db.delete(`user_${userId}.tasks`);
+      await db.delete(`user_${userId}.reminderChannel`);
+      await db.delete(`user_${userId}.lastDeliveryError`);
+      console.log(`Migrated tunes of user ${userId} to per-server storage`);
+    } catch (error) {
+      console.error(`Failed to migrate tunes of user ${userId}:`, error);
+    }
+  }
+}
+
+/**
+ * Re-key tunes stored under their name (user and team tunes alike) to
+ * generated ids, see assignTuneIds. Their job history moves along, so
+ * catching up on missed reminders keeps working across the migration.
+ */
+async function migrateTuneIds() {
+  const migrate = async (tunesKey, jobPrefix, owner) => {
+    const { tunes, moved } = assignTuneIds(await db.get(tunesKey));
+    if (moved.length === 0) return;
+
+    await db.set(tunesKey, tunes);
+    for (const [oldKey, tuneId] of moved) {
+      await jobStore.move(`${jobPrefix}${oldKey}`, `${jobPrefix}${tuneId}`);
+    }
+    console.log(`Gave ${moved.length} tunes of ${owner} an id`);
+  };
+
+  for (const [userId, value] of await getAllUserData()) {
+    for (const [guildId] of getGuildScopes(value)) {
+      await migrate(
+        `${guildKey(userId, guildId)}.tasks`,
+        `${userId}_${guildId}_`,
+        `user ${userId}`,
+      );
+    }
+  }
+  for (const [guildId] of await getAllGuildData()) {
+    await migrate(
+      `guild_${guildId}.tunes`,
+      `team_${guildId}_`,
+      `guild ${guildId}`,
+    );
+  }
+}
+
+// Add a function to validate and clean up stale reminders
+async function cleanupStaleReminders() {
+  try {
+    // Picks up users whose migration had to wait for Discord
+    await migrateGuildScopes();
+    await migrateTuneIds();
+    for (const [userId, value] of await getAllUserData()) {
+      if (isOnVacation(value)) continue;
+      for (const [guildId, scope] of getGuildScopes(value)) {
+        for (const [taskId, task] of Object.entries(scope.tasks || {})) {
+          const reminderId = `${userId}_${guildId}_${taskId}`;
+          if (!activeReminders.has(reminderId) && !task.paused) {
+            console.log(
+              `Restoring missing reminder: ${task.name} for user ${userId}`,
+            );
+            await restartTaskJobs(userId, guildId, taskId, task);
+          }
+        }
+      }
+    }
+    await restoreTeamTunes();
+  } catch (error) {
+    console.error("Error cleaning up stale reminders:", error);
+  }
+}
+
+// Run cleanup periodically
+
+setInterval(cleanupStaleReminders, 1000 * 60 * 60);
+
+//
+async function handleTimezoneNavigation(interaction) {
+  console.log(
+    "handleTimezoneNavigation: start interaction:",
+    interaction.customId,
+  );
+  const [_, direction, currentPage, region] = interaction.customId.split("_");
+  const page = parseInt(currentPage);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const allTimezones = moment.tz
+    .names()
+    .filter((tz) => tz.startsWith(region))
+    .map((tz) => ({
+      label: tz.split("/")[1].replace("_", " "),
+      value: tz,
+      description: t("timezone.currentTime", {
+        time: lang.time(moment().tz(tz)),
+      }),
+      emoji: EMOJIS.CLOCK,
+    }));
+
+  const pages = Math.ceil(allTimezones.length / 25);
+  let newPage = page; // Initialize with current page
+  if (direction === "next") {
+    newPage = page + 1;
+  } else if (direction === "prev") {
+    newPage = page - 1;
+  }
+
+  console.log(
+    "handleTimezoneNavigation: Calculated newPage",
+    newPage,
+    " - from direction: ",
+    direction,
+    " and ",
+    page,
+  );
+
+  const timezonesPage = allTimezones.slice(newPage * 25, (newPage + 1) * 25);
+
+  const rows = [];
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId("timezone_select")
+        .setPlaceholder(t("timezone.regionPlaceholder", { region }))
+        .addOptions(timezonesPage),
+    ),
+  );
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`tz_prev_${newPage}_${region}`)
+        .setLabel(t("button.previous"))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(newPage === 0),
+      new ButtonBuilder()
+        .setCustomId(`tz_next_${newPage}_${region}`)
+        .setLabel(t("button.next"))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(newPage === pages - 1),
+    ),
+  );
+
+  console.log("handleTimezoneNavigation: Update interaction");
+  await interaction.update({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.GLOBE} ${t("timezone.title")}`,
+        `${t("timezone.chooseInRegion", { region })}\n${t("timezone.page", { page: newPage + 1, pages })}`,
+      ),
+    ],
+    components: rows,
+  });
+} // Task Scheduling and Reminder System
+
+async function setupReminder(
+  userId,
+  guildId,
+  taskId,
+  scheduleType,
+  time,
+  scheduleDay = null,
+) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  if (activeReminders.has(reminderId)) {
+    activeReminders.get(reminderId).cancel();
+  }
+
+  // Existing tunes keep the timezone they were created in, new ones use the
+  // user's current timezone
+  const timezone =
+    (await db.get(`${taskKey(userId, guildId, taskId)}.timezone`)) ||
+    (await db.get(`user_${userId}.timezone`));
+  if (scheduleType === "once") {
+    return setupOneOffReminder(
+      userId,
+      guildId,
+      taskId,
+      time,
+      scheduleDay,
+      timezone,
+    );
+  }
+
+  const { job, nextRun } = createScheduleJob(
+    taskId,
+    scheduleType,
+    time,
+    scheduleDay,
+    timezone,
+    async (fireDate, nextInvocation) => {
+      try {
+        if (
+          !(await consumeSkippedOccurrence(userId, guildId, taskId, fireDate))
+        ) {
+          await sendReminder(userId, guildId, taskId, nextInvocation);
+        }
+      } catch (error) {
+        console.error("Failed to send reminder:", error);
+      }
+      await jobStore.recordFired(reminderId, fireDate);
+    },
+  );
+
+  activeReminders.set(reminderId, job);
+  await jobStore.track(reminderId);
+
+  await saveTask(userId, guildId, taskId, {
+    schedule: scheduleType,
+    time: time,
+    timezone,
+    scheduleDay:
+      scheduleType === "rule" ? normalizeRule(scheduleDay) : scheduleDay,
+    nextReminder: nextRun.toISOString(),
+  });
+  await setupLeadReminders(userId, guildId, taskId);
+
+  return nextRun;
+}
+
+/**
+ * Store a new tune under a fresh id and schedule it, returns { taskId, nextRun }.
+ * settings are stored with it before it's scheduled, e.g. { leads } or an
+ * imported tune's timezone.
+ */
+async function createTune(
+  userId,
+  guildId,
+  name,
+  scheduleType,
+  time,
+  scheduleDay,
+  settings = {},
+) {
+  const taskId = createTuneId();
+  await db.set(taskKey(userId, guildId, taskId), { ...settings, name });
+  try {
+    const nextRun = await setupReminder(
+      userId,
+      guildId,
+      taskId,
+      scheduleType,
+      time,
+      scheduleDay,
+    );
+    // Like an edited tune, a new one waits for the vacation to end
+    if (isOnVacation(await db.get(`user_${userId}`))) {
+      stopTaskJobs(userId, guildId, taskId);
+    }
+    return { taskId, nextRun };
+  } catch (error) {
+    await db.delete(taskKey(userId, guildId, taskId));
+    throw error;
+  }
+}
+
+/**
+ * Schedule a job for any stored schedule (daily, weekly, monthly, custom days,
+ * "rule" or "once") and call onFire(fireDate, nextInvocation) whenever it
+ * comes due. Shared by personal and team tunes. Returns { job, nextRun }.
+ */
+function createScheduleJob(
+  name,
+  scheduleType,
+  time,
+  scheduleDay,
+  timezone,
+  onFire,
+) {
+  if (scheduleType === "once") {
+    const runAt = getOneOffDate(scheduleDay, time, timezone);
+    if (!runAt.isValid() || !runAt.isAfter(moment())) {
+      throw new Error(`One-off reminder time is in the past: ${name}`);
+    }
+    const job = nodeSchedule.scheduleJob(runAt.toDate(), (fireDate) =>
+      onFire(fireDate, null),
+    );
+    return { job, nextRun: runAt };
+  }
+
+  // The same engine computes what's shown, see schedules.js
+  const job = scheduleRecurringJob(
+    scheduleType,
+    time,
+    scheduleDay,
+    timezone,
+    (nextInvocation, fireDate) => onFire(fireDate, nextInvocation),
+  );
+  const nextRun = job.nextInvocation();
+  if (!nextRun) {
+    throw new Error(`Schedule never fires: ${name}`);
+  }
+  return { job, nextRun };
+}
+
+function describeMissed(missed, total, timezone, lang) {
+  const last = moment(missed[missed.length - 1]).tz(timezone);
+  return lang.t("missed.summary", {
+    count: total,
+    date: formatDayTime(last, lang, { withZone: true }),
+  });
+}
+
+/**
+ * Handle occurrences a recurring job missed while Toki was offline, going by
+ * the tune's catchUp policy: CATCH_UP.FIRE sends each one late through
+ * fire(missedAt), anything else sends one summarize(missed, text) message
+ * with text in lang's language.
+ */
+async function catchUpJob(jobId, task, { fire, summarize, lang }) {
+  const timezone = task.timezone || "UTC";
+  await jobStore.catchUp(
+    jobId,
+    (after) =>
+      getNextRunAfter(
+        task.schedule,
+        task.time,
+        task.scheduleDay,
+        timezone,
+        after,
+      ),
+    task.catchUp,
+    {
+      fire: (missedAt) => fire(moment(missedAt).tz(timezone)),
+      summarize: (missed, total) =>
+        summarize(missed, describeMissed(missed, total, timezone, lang)),
+    },
+  );
+}
+
+async function catchUpReminder(userId, guildId, taskId, task) {
+  const lang = await getUserLocalizer(userId, guildId);
+  await catchUpJob(`${userId}_${guildId}_${taskId}`, task, {
+    lang,
+    fire: (missedAt) => sendReminder(userId, guildId, taskId, null, missedAt),
+    summarize: async (missed, text) => {
+      // Downtime isn't the user's fault, so it doesn't break streaks
+      for (const missedAt of missed) {
+        await recordOccurrence(
+          userId,
+          guildId,
+          taskId,
+          missedAt,
+          STATUS.SKIPPED,
+        );
+      }
+      await deliverReminder(userId, guildId, task, {
+        content: `${EMOJIS.REMINDER} <@${userId}>`,
+        embeds: [
+          createEmbed(
+            `${EMOJIS.WARNING} ${lang.t("missed.title", { name: task.name })}`,
+            text,
+            COLORS.WARNING,
+          ),
+        ],
+        allowedMentions: { users: [userId] },
+      });
+    },
+  });
+}
+
+function stopLeadReminders(reminderId) {
+  for (const job of activeLeads.get(reminderId) || []) job.cancel();
+  activeLeads.delete(reminderId);
+}
+
+/**
+ * (Re)start the lead-time pings of a stored tune, one job per lead next to
+ * its main job. Pings that came due while Toki was offline aren't caught
+ * up, the reminder itself still is.
+ */
+async function setupLeadReminders(userId, guildId, taskId) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  stopLeadReminders(reminderId);
+
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  if (!task?.leads?.length) return;
+
+  const timezone = task.timezone || "UTC";
+  const nextOccurrence =
+    task.schedule === "once"
+      ? (after) => {
+          const runAt = getOneOffDate(task.scheduleDay, task.time, timezone);
+          return runAt.isAfter(after) ? runAt.toDate() : null;
+        }
+      : (after) =>
+          getNextRunAfter(
+            task.schedule,
+            task.time,
+            task.scheduleDay,
+            timezone,
+            after,
+          );
+
+  activeLeads.set(
+    reminderId,
+    task.leads.map((lead) =>
+      scheduleLeadJob(lead, nextOccurrence, async (dueAt) => {
+        try {
+          await sendReminder(userId, guildId, taskId, dueAt, null, lead);
+        } catch (error) {
+          console.error("Failed to send lead reminder:", error);
+        }
+      }),
+    ),
+  );
+}
+
+// Chain one-shot jobs that fire `lead` minutes before each occurrence,
+// calling onFire(dueAt); returns a handle with cancel() like a Job
+function scheduleLeadJob(lead, nextOccurrence, onFire) {
+  let job = null;
+  let cancelled = false;
+
+  const scheduleNext = (after) => {
+    const next = getNextLead(lead, nextOccurrence, after);
+    if (!next || cancelled) return;
+    job = nodeSchedule.scheduleJob(next.fireAt, async () => {
+      scheduleNext(next.fireAt);
+      await onFire(moment(next.dueAt));
+    });
+  };
+
+  scheduleNext(new Date());
+
+  return {
+    cancel() {
+      cancelled = true;
+      if (job) job.cancel();
+    },
+  };
+}
+
+// Keep bookkeeping fields (completions, skips) when a tune is rescheduled
+async function saveTask(userId, guildId, taskId, task) {
+  const existing = (await db.get(taskKey(userId, guildId, taskId))) || {};
+  await db.set(taskKey(userId, guildId, taskId), { ...existing, ...task });
+}
+
+// Returns true if this occurrence was skipped with the "Skip next" button
+async function consumeSkippedOccurrence(userId, guildId, taskId, fireDate) {
+  const skipNext = await db.get(`${taskKey(userId, guildId, taskId)}.skipNext`);
+  const firedAt = moment(new Date(fireDate));
+  if (!skipNext || firedAt.isBefore(skipNext, "minute")) return false;
+
+  await db.delete(`${taskKey(userId, guildId, taskId)}.skipNext`);
+  if (!firedAt.isSame(skipNext, "minute")) return false;
+
+  await recordOccurrence(
+    userId,
+    guildId,
+    taskId,
+    firedAt.toDate(),
+    STATUS.SKIPPED,
+  );
+  return true;
+}
+
+async function setupOneOffReminder(
+  userId,
+  guildId,
+  taskId,
+  time,
+  scheduleDay,
+  timezone,
+) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  const { job, nextRun: runAt } = createScheduleJob(
+    taskId,
+    "once",
+    time,
+    scheduleDay,
+    timezone,
+    async () => {
+      try {
+        await sendReminder(userId, guildId, taskId, null);
+      } catch (error) {
+        console.error("Failed to send reminder:", error);
+      } finally {
+        await removeOneOffReminder(userId, guildId, taskId, job);
+      }
+    },
+  );
+
+  activeReminders.set(reminderId, job);
+
+  await saveTask(userId, guildId, taskId, {
+    schedule: "once",
+    time: time,
+    timezone: timezone,
+    scheduleDay: scheduleDay,
+    nextReminder: runAt.toISOString(),
+  });
+  await setupLeadReminders(userId, guildId, taskId);
+
+  return runAt;
+}
+
+// Drop a one-off tune once it has fired, unless it was replaced in the meantime
+async function removeOneOffReminder(userId, guildId, taskId, job = null) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  if (job && activeReminders.get(reminderId) !== job) return;
+
+  activeReminders.delete(reminderId);
+  stopLeadReminders(reminderId);
+  await db.delete(taskKey(userId, guildId, taskId));
+}
+
+// Reschedule a stored one-off tune, delivering it late if it came due while offline
+async function restoreOneOffReminder(userId, guildId, taskId, task) {
+  const runAt = getOneOffDate(task.scheduleDay, task.time, task.timezone);
+  if (runAt.isAfter(moment())) {
+    await setupOneOffReminder(
+      userId,
+      guildId,
+      taskId,
+      task.time,
+      task.scheduleDay,
+      task.timezone,
+    );
+    return;
+  }
+
+  try {
+    await sendReminder(userId, guildId, taskId, null, runAt);
+  } finally {
+    await removeOneOffReminder(userId, guildId, taskId);
+  }
+}
+
+async function sendReminder(
+  userId,
+  guildId,
+  taskId,
+  nextInvocation,
+  missedAt = null,
+  lead = null,
+) {
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  if (!task) return;
+
+  try {
+    const lang = await getUserLocalizer(userId, guildId);
+    const { t } = lang;
+    // A heads-up ahead of nextInvocation, nothing to mark done yet
+    if (lead) {
+      // Skipping the occurrence skips its heads-up too
+      if (task.skipNext && !nextInvocation.isBefore(task.skipNext, "minute")) {
+        return;
+      }
+      await deliverReminder(userId, guildId, task, {
+        content: `${EMOJIS.REMINDER} <@${userId}>`,
+        embeds: [
+          createEmbed(
+            `${EMOJIS.CLOCK} ${t("reminder.leadTitle", { name: task.name })}`,
+            t("reminder.lead", {
+              lead: formatLead(lead, lang),
+              date: formatDayTime(
+                nextInvocation.tz(task.timezone || "UTC"),
+                lang,
+                { withZone: true },
+              ),
+            }),
+            COLORS.INFO,
+          ),
+        ],
+        allowedMentions: { users: [userId] },
+      });
+      return;
+    }
+
+    fireWebhooks(userId, guildId, taskId, task, nextInvocation, missedAt).catch(
+      (error) => console.error("Error firing webhooks:", error),
+    );
+
+    if (task.schedule === "once") {
+      const sent = await deliverReminder(userId, guildId, task, {
+        content: `${EMOJIS.REMINDER} <@${userId}>`,
+        embeds: [
+          createEmbed(
+            `${EMOJIS.ONCE} ${t("reminder.oneOffTitle", { name: task.name })}`,
+            missedAt
+              ? t("reminder.late", {
+                  date: formatDayTime(missedAt, lang, { withZone: true }),
+                })
+              : t("reminder.oneOff"),
+            missedAt ? COLORS.WARNING : COLORS.SUCCESS,
+          ),
+        ],
+        components: [
+          createReminderButtons(userId, guildId, taskId, lang, false),
+        ],
+        allowedMentions: { users: [userId] },
+      });
+      if (sent.length > 0) {
+        await startEscalation(userId, guildId, taskId, task);
+      }
+      return;
+    }
+
+    const [message] = await deliverReminder(userId, guildId, task, {
+      content: `${EMOJIS.REMINDER} <@${userId}>`,
+      embeds: [
+        createEmbed(
+          `${EMOJIS.TASK} ${t("reminder.title", { name: task.name })}`,
+          missedAt
+            ? t("reminder.late", {
+                date: formatDayTime(missedAt, lang, { withZone: true }),
+              })
+            : `${t("reminder.due", {
+                schedule: formatScheduleDescription(
+                  task.schedule,
+                  task.scheduleDay,
+                  lang,
+                ),
+              })}\n` +
+                t("reminder.nextIn", {
+                  countdown: formatCountdown(nextInvocation, lang),
+                }),
+          missedAt ? COLORS.WARNING : COLORS.SUCCESS,
+        ),
+      ],
+      components: [createReminderButtons(userId, guildId, taskId, lang)],
+      allowedMentions: { users: [userId] },
+    });
+    if (!message) return;
+    await startEscalation(userId, guildId, taskId, task);
+    await recordOccurrence(
+      userId,
+      guildId,
+      taskId,
+      missedAt ? missedAt.toDate() : new Date(),
+      STATUS.PENDING,
+    );
+    // Late deliveries have no countdown of their own
+    if (missedAt) return;
+
+    // Start countdown for next reminder
+    const countdownId = `${userId}_${guildId}_${taskId}_countdown`;
+    if (activeCountdowns.has(countdownId)) {
+      clearInterval(activeCountdowns.get(countdownId));
+    }
+
+    const interval = startCountdownUpdate(message, nextInvocation, lang);
+    activeCountdowns.set(countdownId, interval);
+  } catch (error) {
+    console.error("Error sending reminder:", error);
+  }
+}
+
+function describeDeliveryError(error, channelId, lang = ENGLISH) {
+  switch (error.code) {
+    case 50013:
+      return lang.t("delivery.lostPermission", { channel: `<#${channelId}>` });
+    case 50001:
+      return lang.t("delivery.lostAccess", { channel: `<#${channelId}>` });
+    case 10003:
+      return lang.t("delivery.channelGone");
+    default:
+      return lang.t("delivery.failed", { channel: `<#${channelId}>` });
+  }
+}
+
+/**
+ * Send a reminder to the tune's delivery target ("channel", "dm" or "both").
+ * Channel delivery falls back to a DM that explains what went wrong; if
+ * nothing gets through the failure is kept for /mytunes to show, under
+ * task.name. The weekly digest passes a stand-in task with just a name.
+ * Returns the sent messages.
+ */
+async function deliverReminder(userId, guildId, task, payload) {
+  // Tunes created in DMs have no server channel to post in
+  const target =
+    guildId === DM_SCOPE
+      ? "dm"
+      : task.delivery || (await db.get(`user_${userId}.delivery`)) || "channel";
+  const channelId =
+    task.channelId ||
+    (await db.get(`${guildKey(userId, guildId)}.reminderChannel`));
+  const lang = await getUserLocalizer(userId, guildId);
+  const sent = [];
+  const failures = [];
+
+  if (target !== "dm") {
+    if (!channelId) {
+      failures.push(lang.t("delivery.noChannel"));
+    } else {
+      try {
+        const channel = await client.channels.fetch(channelId);
+        sent.push(await channel.send(payload));
+      } catch (error) {
+        console.error("Error sending reminder to channel:", error);
+        failures.push(describeDeliveryError(error, channelId, lang));
+      }
+    }
+  }
+
+  if (target !== "channel" || sent.length === 0) {
+    try {
+      const user = await client.users.fetch(userId);
+      const note = failures.length
+        ? `\n${EMOJIS.WARNING} ${lang.t("delivery.fallback", { reasons: failures.join(lang.t("list.and")) })}`
+        : "";
+      sent.push(
+        await user.send({ ...payload, content: `${payload.content}${note}` }),
+      );
+    } catch (error) {
+      console.error("Error sending reminder by DM:", error);
+      failures.push(lang.t("delivery.dmsClosed"));
+    }
+  }
+
+  if (sent.length === 0) {
+    await db.set(`${guildKey(userId, guildId)}.lastDeliveryError`, {
+      at: new Date().toISOString(),
+      taskName: task.name,
+      reason: failures.join(lang.t("list.and")),
+    });
+  }
+  return sent;
+}
+
+// Done / snooze / skip buttons; the customId carries the owner so others can't press them
+function createReminderButtons(
+  userId,
+  guildId,
+  taskId,
+  lang = ENGLISH,
+  allowSkip = true,
+) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`reminder_done_${userId}_${guildId}_${taskId}`)
+      .setLabel(lang.t("button.done"))
+      .setEmoji(EMOJIS.CONFIRM)
+      .setStyle(ButtonStyle.Success),
+    ...SNOOZE_OPTIONS.map((minutes) =>
+      new ButtonBuilder()
+        .setCustomId(
+          `reminder_snooze_${minutes}_${userId}_${guildId}_${taskId}`,
+        )
+        .setLabel(
+          lang.t("button.snoozeFor", {
+            duration: formatShortDuration(minutes * 60 * 1000, lang),
+          }),
+        )
+        .setEmoji(EMOJIS.SNOOZE)
+        .setStyle(ButtonStyle.Secondary),
+    ),
+    new ButtonBuilder()
+      .setCustomId(`reminder_snooze_custom_${userId}_${guildId}_${taskId}`)
+      .setLabel(lang.t("button.snooze"))
+      .setEmoji(EMOJIS.SNOOZE)
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  if (allowSkip) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`reminder_skip_${userId}_${guildId}_${taskId}`)
+        .setLabel(lang.t("button.skipNext"))
+        .setEmoji(EMOJIS.SKIP)
+        .setStyle(ButtonStyle.Secondary),
+    );
+  }
+
+  return row;
+}
+
+/**
+ * Split the "<ownerId>_<guildId>_<tune id>" tail of a reminder customId.
+ * Reminders sent before tunes were kept per server have no guild id, those
+ * fall back to where the button was pressed; ones sent before tunes had ids
+ * carry the tune's name instead.
+ */
+async function resolveReminderTarget(parts, fallbackGuildId) {
+  const [ownerId, ...rest] = parts;
+  const guildId =
+    rest[0] === DM_SCOPE || /^\d{17,20}$/.test(rest[0])
+      ? rest.shift()
+      : fallbackGuildId;
+  const taskRef = rest.join("_");
+  const taskId = (await resolveTaskId(ownerId, guildId, taskRef)) ?? taskRef;
+  return { ownerId, guildId, taskId };
+}
+
+async function handleReminderButton(interaction) {
+  const [_, action, ...args] = interaction.customId.split("_");
+  const snoozeMinutes = action === "snooze" ? args.shift() : null;
+  const { ownerId, guildId, taskId } = await resolveReminderTarget(
+    args,
+    getGuildScope(interaction),
+  );
+
+  if (interaction.user.id !== ownerId) {
+    const { t } = await getLocalizer(interaction);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("reminder.notYoursTitle")}`,
+          t("reminder.notYours", { user: `<@${ownerId}>` }),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  switch (action) {
+    case "done":
+      await handleReminderDone(interaction, ownerId, guildId, taskId);
+      break;
+    case "snooze":
+      if (snoozeMinutes === "custom") {
+        await showSnoozeModal(interaction, ownerId, guildId, taskId);
+      } else {
+        await snoozeReminder(
+          interaction,
+          ownerId,
+          guildId,
+          taskId,
+          parseInt(snoozeMinutes),
+        );
+      }
+      break;
+    case "skip":
+      await handleReminderSkip(interaction, ownerId, guildId, taskId);
+      break;
+  }
+}
+
+// Record an acknowledgement; returns false if the done window already passed
+async function markReminderDone(userId, guildId, taskId, via) {
+  // Even a late answer means someone saw it
+  cancelEscalation(userId, guildId, taskId);
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  if (task && task.schedule !== "once") {
+    const occurrences = await getOccurrenceLog(userId, guildId, taskId);
+    const pendingIndex = findPendingIndex(occurrences);
+    if (pendingIndex === -1) return false;
+
+    occurrences[pendingIndex] = {
+      ...occurrences[pendingIndex],
+      status: STATUS.COMPLETED,
+      doneAt: new Date().toISOString(),
+      via,
+    };
+    await db.set(
+      `${taskKey(userId, guildId, taskId)}.occurrences`,
+      occurrences,
+    );
+  }
+  if (task) {
+    await db.set(
+      `${taskKey(userId, guildId, taskId)}.lastCompletedAt`,
+      new Date().toISOString(),
+    );
+  }
+  cancelSnooze(userId, guildId, taskId);
+  return true;
+}
+
+function createDoneRow(userId, guildId, taskId, timezone, lang = ENGLISH) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`reminder_done_${userId}_${guildId}_${taskId}`)
+      .setLabel(
+        lang.t("button.doneAt", { time: lang.time(moment().tz(timezone)) }),
+      )
+      .setEmoji(EMOJIS.CONFIRM)
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(true),
+  );
+}
+
+async function handleReminderDone(interaction, userId, guildId, taskId) {
+  const lang = await getLocalizer(interaction);
+  if (!(await markReminderDone(userId, guildId, taskId, "button"))) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${lang.t("reminder.tooLateTitle")}`,
+          lang.t("reminder.tooLate"),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const timezone = (await db.get(`user_${userId}.timezone`)) || "UTC";
+  await interaction.update({
+    components: [createDoneRow(userId, guildId, taskId, timezone, lang)],
+  });
+}
+
+// Reacting with ✅ on a reminder counts the same as pressing Done
+async function handleReminderReaction(reaction, user) {
+  if (user.bot || reaction.emoji.name !== EMOJIS.CONFIRM) return;
+  const message = reaction.message;
+  if (message.author?.id !== client.user.id) return;
+
+  const doneButton = message.components
+    .flatMap((row) => row.components)
+    .find(
+      (component) =>
+        component.customId?.startsWith("reminder_done_") && !component.disabled,
+    );
+  if (!doneButton) return;
+
+  const { ownerId, guildId, taskId } = await resolveReminderTarget(
+    doneButton.customId.split("_").slice(2),
+    message.guildId ?? DM_SCOPE,
+  );
+  if (user.id !== ownerId) return;
+
+  if (await markReminderDone(ownerId, guildId, taskId, "reaction")) {
+    const timezone = (await db.get(`user_${ownerId}.timezone`)) || "UTC";
+    const lang = await getUserLocalizer(ownerId, guildId);
+    await message.edit({
+      components: [createDoneRow(ownerId, guildId, taskId, timezone, lang)],
+    });
+  }
+}
+
+async function showSnoozeModal(interaction, userId, guildId, taskId) {
+  const { t } = await getLocalizer(interaction);
+  const modal = new ModalBuilder()
+    .setCustomId(`snoozemodal_${userId}_${guildId}_${taskId}`)
+    .setTitle(t("snooze.modalTitle"))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("duration")
+          .setLabel(t("snooze.modalLabel"))
+          .setPlaceholder("20m, 2h, 1h30m")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(20)
+          .setRequired(true),
+      ),
+    );
+
+  await interaction.showModal(modal);
+}
+
+async function handleSnoozeSubmit(interaction) {
+  const {
+    ownerId: userId,
+    guildId,
+    taskId,
+  } = await resolveReminderTarget(
+    interaction.customId.split("_").slice(1),
+    getGuildScope(interaction),
+  );
+  const minutes = parseDuration(
+    interaction.fields.getTextInputValue("duration"),
+  );
+
+  if (!minutes) {
+    const { t } = await getLocalizer(interaction);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("snooze.invalidTitle")}`,
+          t("snooze.invalid"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await snoozeReminder(interaction, userId, guildId, taskId, minutes);
+}
+
+function cancelSnooze(userId, guildId, taskId) {
+  const snoozeId = `${userId}_${guildId}_${taskId}_snooze`;
+  if (activeSnoozes.has(snoozeId)) {
+    activeSnoozes.get(snoozeId).cancel();
+    activeSnoozes.delete(snoozeId);
+  }
+}
+
+// Re-ping in the same channel after a delay, replacing any earlier snooze
+async function snoozeReminder(interaction, userId, guildId, taskId, minutes) {
+  cancelSnooze(userId, guildId, taskId);
+  cancelEscalation(userId, guildId, taskId);
+
+  const snoozeId = `${userId}_${guildId}_${taskId}_snooze`;
+  const channel = interaction.channel;
+  const runAt = moment().add(minutes, "minutes");
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const name = task?.name ?? t("snooze.yourTune");
+
+  const job = nodeSchedule.scheduleJob(runAt.toDate(), async () => {
+    activeSnoozes.delete(snoozeId);
+    try {
+      await channel.send({
+        content: `${EMOJIS.REMINDER} <@${userId}>`,
+        embeds: [
+          createEmbed(
+            `${EMOJIS.SNOOZE} ${t("snooze.reminderTitle", { name })}`,
+            t("snooze.reminder", {
+              duration: formatShortDuration(minutes * 60 * 1000, lang),
+            }),
+          ),
+        ],
+        components: [
+          createReminderButtons(
+            userId,
+            guildId,
+            taskId,
+            lang,
+            task?.schedule !== "once",
+          ),
+        ],
+        allowedMentions: { users: [userId] },
+      });
+    } catch (error) {
+      console.error("Error sending snoozed reminder:", error);
+    }
+  });
+  activeSnoozes.set(snoozeId, job);
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SNOOZE} ${t("snooze.title")}`,
+        t("snooze.done", { name, countdown: formatCountdown(runAt, lang) }),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleReminderSkip(interaction, userId, guildId, taskId) {
+  const reminder = activeReminders.get(`${userId}_${guildId}_${taskId}`);
+  const nextInvocation = reminder?.nextInvocation();
+  const task = await db.get(taskKey(userId, guildId, taskId));
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (!nextInvocation) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("skip.nothingTitle")}`,
+          task
+            ? t("skip.nothing", { name: task.name })
+            : t("skip.nothingThisTune"),
+          COLORS.WARNING,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const skipped = moment(new Date(nextInvocation)).tz(task?.timezone || "UTC");
+  await db.set(
+    `${taskKey(userId, guildId, taskId)}.skipNext`,
+    skipped.toISOString(),
+  );
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SKIP} ${t("skip.title")}`,
+        t("skip.done", {
+          name: task.name,
+          date: formatDayTime(skipped, lang, { withZone: true }),
+        }),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+function stopEscalationJobs(reminderId) {
+  for (const job of activeEscalations.get(reminderId) || []) job.cancel();
+  activeEscalations.delete(reminderId);
+}
+
+function cancelEscalation(userId, guildId, taskId) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  stopEscalationJobs(reminderId);
+  // Answered or stopped on purpose, so it isn't picked up after a restart
+  pendingEscalations
+    .delete(reminderId)
+    .catch((error) => console.error("Error forgetting escalation:", error));
+}
+
+// What sendEscalationStep needs of a tune, stored with a pending escalation
+function getEscalationSnapshot(task) {
+  const { name, schedule, timezone, channelId, delivery, escalation } = task;
+  return { name, schedule, timezone, channelId, delivery, escalation };
+}
+
+/**
+ * Schedule the escalation steps for a reminder that was just sent, replacing
+ * those of the previous one. The task is passed in because one-off tunes are
+ * deleted once sent. The escalation is stored until it's answered or its
+ * last step ran, see restoreEscalations.
+ */
+async function startEscalation(userId, guildId, taskId, task) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  stopEscalationJobs(reminderId);
+  if (!task.escalation) {
+    await pendingEscalations.delete(reminderId);
+    return;
+  }
+
+  const sentAt = new Date();
+  const snapshot = getEscalationSnapshot(task);
+  await pendingEscalations.set(reminderId, {
+    userId,
+    guildId,
+    taskId,
+    sentAt: sentAt.toISOString(),
+    task: snapshot,
+  });
+  scheduleEscalationSteps(
+    userId,
+    guildId,
+    taskId,
+    snapshot,
+    sentAt,
+    getEscalationSteps(snapshot.escalation, sentAt),
+  );
+}
+
+// Run each step at its time, or right away if it's already due
+function scheduleEscalationSteps(userId, guildId, taskId, task, sentAt, steps) {
+  const reminderId = `${userId}_${guildId}_${taskId}`;
+  const last = steps[steps.length - 1];
+  const run = async (step) => {
+    if (step === last) {
+      activeEscalations.delete(reminderId);
+      await pendingEscalations
+        .delete(reminderId)
+        .catch((error) => console.error("Error forgetting escalation:", error));
+    }
+    try {
+      await sendEscalationStep(userId, guildId, taskId, task, step, sentAt);
+    } catch (error) {
+      console.error("Error escalating reminder:", error);
+    }
+  };
+
+  const jobs = [];
+  for (const step of steps) {
+    if (step.at <= new Date()) {
+      run(step);
+    } else {
+      jobs.push(nodeSchedule.scheduleJob(step.at, () => run(step)));
+    }
+  }
+  activeEscalations.set(reminderId, jobs.filter(Boolean));
+}
+
+// Pick up escalations that were waiting for an answer when Toki stopped
+async function restoreEscalations() {
+  for (const { id, value } of await pendingEscalations.all()) {
+    const { userId, guildId, taskId, sentAt, task } = value || {};
+    const steps = task?.escalation
+      ? getRemainingSteps(task.escalation, sentAt)
+      : [];
+    if (steps.length === 0) {
+      await pendingEscalations.delete(id);
+      continue;
+    }
+    scheduleEscalationSteps(
+      userId,
+      guildId,
+      taskId,
+      task,
+      new Date(sentAt),
+      steps,
+    );
+    console.log(`Restored escalation: ${task.name} for user ${userId}`);
+  }
+}
+
+async function sendEscalationStep(userId, guildId, taskId, task, step, sentAt) {
+  const { repeats, dm, backup } = task.escalation;
+  const timezone = task.timezone || "UTC";
+  const lang = await getUserLocalizer(userId, guildId);
+  const { t } = lang;
+  // "19:30 CEST", in the reader's time format
+  const sentLocal = moment(sentAt).tz(timezone);
+  const since = (reader) =>
+    `${reader.time(sentLocal)} ${sentLocal.format("z")}`;
+
+  if (!step.final) {
+    await deliverReminder(userId, guildId, task, {
+      content: `${EMOJIS.REMINDER} <@${userId}>`,
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ESCALATE} ${t("escalation.stillWaitingTitle", { name: task.name })}`,
+          t("escalation.stillWaiting", {
+            attempt: step.attempt,
+            repeats,
+            since: since(lang),
+          }),
+          COLORS.WARNING,
+        ),
+      ],
+      components: [
+        createReminderButtons(
+          userId,
+          guildId,
+          taskId,
+          lang,
+          task.schedule !== "once",
+        ),
+      ],
+      allowedMentions: { users: [userId] },
+    });
+    return;
+  }
+
+  if (dm) {
+    const user = await client.users.fetch(userId);
+    await user.send({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ESCALATE} ${t("escalation.unansweredTitle", { name: task.name })}`,
+          t("escalation.unansweredDm", { since: since(lang) }),
+          COLORS.ERROR,
+        ),
+      ],
+      components: [
+        createReminderButtons(
+          userId,
+          guildId,
+          taskId,
+          lang,
+          task.schedule !== "once",
+        ),
+      ],
+    });
+  }
+
+  if (backup) {
+    const channelId =
+      task.channelId ||
+      (await db.get(`${guildKey(userId, guildId)}.reminderChannel`));
+    if (!channelId) {
+      console.error(`No channel to mention the backup of ${task.name} in`);
+      return;
+    }
+    // Written for the backup, in the server's language
+    const channel = await client.channels.fetch(channelId);
+    const serverLang = await getGuildLocalizer(guildId);
+    await channel.send({
+      content: `${formatBackupMention(backup)} <@${userId}>`,
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ESCALATE} ${serverLang.t("escalation.unansweredTitle", { name: task.name })}`,
+          serverLang.t("escalation.unansweredBackup", {
+            user: `<@${userId}>`,
+            since: since(serverLang),
+          }),
+          COLORS.ERROR,
+        ),
+      ],
+      allowedMentions:
+        backup.type === "role"
+          ? { roles: [backup.id], users: [userId] }
+          : { users: [backup.id, userId] },
+    });
+  }
+}
+
+// "re-pings after 10 minutes and 30 minutes, then DMs you after 1 hour 10 minutes"
+function describeEscalation(policy, lang = ENGLISH) {
+  const { t } = lang;
+  const steps = getEscalationSteps(policy, 0);
+  const after = (step) => formatLead(step.at.getTime() / 60000, lang);
+  const repings = steps.filter((step) => !step.final);
+  const final = steps.find((step) => step.final);
+  const parts = [];
+
+  if (repings.length > 0) {
+    parts.push(
+      t("escalation.repings", { after: repings.map(after).join(", ") }),
+    );
+  }
+  if (final) {
+    const actions = [
+      policy.dm && t("escalation.dmsYou"),
+      policy.backup &&
+        t("escalation.mentions", {
+          backup: formatBackupMention(policy.backup),
+        }),
+    ].filter(Boolean);
+    parts.push(
+      t("escalation.finally", {
+        actions: actions.join(t("list.and")),
+        after: after(final),
+      }),
+    );
+  }
+  return t("escalation.summary", { steps: parts.join(t("escalation.then")) });
+}
+
+async function handleEscalation(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const taskId = await resolveTaskId(userId, guildId, taskRef);
+  const task = taskId && (await db.get(taskKey(userId, guildId, taskId)));
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  const fail = (title, description) =>
+    interaction.reply({
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+      ephemeral: true,
+    });
+
+  if (!task) {
+    await fail(t("tune.notFoundTitle"), t("tune.notFound", { name: taskRef }));
+    return;
+  }
+
+  if (interaction.options.getBoolean("off")) {
+    await db.delete(`${taskKey(userId, guildId, taskId)}.escalation`);
+    cancelEscalation(userId, guildId, taskId);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.SUCCESS} ${t("escalation.offTitle")}`,
+          t("escalation.off", { name: task.name }),
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const backupOption = interaction.options.get("backup");
+  const backup = backupOption?.role
+    ? { id: backupOption.role.id, type: "role" }
+    : backupOption?.user
+      ? { id: backupOption.user.id, type: "user" }
+      : null;
+  if (backup && guildId === DM_SCOPE) {
+    await fail(t("escalation.noServerTitle"), t("escalation.noServer"));
+    return;
+  }
+
+  const { policy, error } = createEscalationPolicy(
+    {
+      after: interaction.options.getInteger("after") ?? 10,
+      repeats: interaction.options.getInteger("repeats") ?? 3,
+      dm: interaction.options.getBoolean("dm"),
+      backup,
+    },
+    lang,
+  );
+  if (error) {
+    await fail(t("escalation.invalidTitle"), error);
+    return;
+  }
+
+  await db.set(`${taskKey(userId, guildId, taskId)}.escalation`, policy);
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.ESCALATE} ${t("escalation.setTitle", { name: task.name })}`,
+        `${describeEscalation(policy, lang)}\n${t("escalation.stops")}`,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+// Export / Import
+const MAX_IMPORT_BYTES = 256 * 1024;
+const MAX_PREVIEW_LINES = 15;
+
+async function handleExportTunes(interaction) {
+  const guildId = getGuildScope(interaction);
+  const tasks =
+    (await db.get(`${guildKey(interaction.user.id, guildId)}.tasks`)) || {};
+  const { t } = await getLocalizer(interaction);
+
+  if (Object.keys(tasks).length === 0) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.TASK} ${t("export.emptyTitle")}`,
+          t("export.empty"),
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // Calendar events start at the tune's next occurrence
+  const events = [];
+  for (const [taskId, task] of Object.entries(tasks)) {
+    const timezone = task.timezone || "UTC";
+    try {
+      const firstRun =
+        task.schedule === "once"
+          ? getOneOffDate(task.scheduleDay, task.time, timezone)
+          : getNextRunAfter(
+              task.schedule,
+              task.time,
+              task.scheduleDay,
+              timezone,
+              new Date(),
+            );
+      if (firstRun) {
+        events.push({
+          id: taskId,
+          tune: task,
+          firstRun: moment(new Date(firstRun)),
+        });
+      }
+    } catch (error) {
+      console.error(`Can't export ${task.name} to the calendar:`, error);
+    }
+  }
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("export.title")}`,
+        t("export.done", { count: Object.keys(tasks).length }),
+      ),
+    ],
+    files: [
+      new AttachmentBuilder(Buffer.from(exportJson(Object.values(tasks))), {
+        name: "toki-tunes.json",
+      }),
+      new AttachmentBuilder(Buffer.from(exportICalendar(events)), {
+        name: "toki-tunes.ics",
+      }),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleImportTunes(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const attachment = interaction.options.getAttachment("file");
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  // Answers in place once the reply is deferred for the download
+  const fail = (title, description) => {
+    const response = {
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+    };
+    return interaction.deferred
+      ? interaction.editReply(response)
+      : interaction.reply({ ...response, ephemeral: true });
+  };
+
+  if (attachment.size > MAX_IMPORT_BYTES) {
+    await fail(t("import.tooLargeTitle"), t("import.tooLarge"));
+    return;
+  }
+
+  // Downloading a large file can take longer than Discord waits
+  await interaction.deferReply({ ephemeral: true });
+  let parsed;
+  try {
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(t("import.downloadFailed", { status: response.status }));
+    }
+    parsed = parseImport(await response.text(), {
+      timezone: (await db.get(`user_${userId}.timezone`)) || "UTC",
+      lang,
+    });
+  } catch (error) {
+    console.error("Error reading import:", error);
+    await fail(t("import.failedTitle"), error.message);
+    return;
+  }
+
+  // Names have to stay unique, against existing tunes and within the file
+  const tasks = (await db.get(`${guildKey(userId, guildId)}.tasks`)) || {};
+  const taken = new Set(
+    Object.values(tasks).map((task) => task.name.toLowerCase()),
+  );
+  const tunes = [];
+  const problems = [...parsed.problems];
+  for (const tune of parsed.tunes) {
+    if (taken.has(tune.name.toLowerCase())) {
+      problems.push(`${tune.name}: ${t("import.nameTaken")}`);
+      continue;
+    }
+    taken.add(tune.name.toLowerCase());
+    tunes.push(tune);
+  }
+
+  const problemList = problems.length
+    ? `\n\n**${t("import.leftOut")}**\n${problems
+        .slice(0, MAX_PREVIEW_LINES)
+        .map((problem) => `${EMOJIS.WARNING} ${problem}`)
+        .join("\n")}` +
+      (problems.length > MAX_PREVIEW_LINES
+        ? `\n${t("import.more", { count: problems.length - MAX_PREVIEW_LINES })}`
+        : "")
+    : "";
+  if (tunes.length === 0) {
+    await fail(t("import.emptyTitle"), `${t("import.empty")}${problemList}`);
+    return;
+  }
+
+  const draftId = createTuneId();
+  importDrafts.set(draftId, { userId, guildId, tunes });
+
+  const preview = tunes
+    .slice(0, MAX_PREVIEW_LINES)
+    .map(
+      (tune) =>
+        `${EMOJIS.TASK} **${tune.name}**: ${formatScheduleAt(tune, lang)} (${tune.timezone})`,
+    )
+    .join("\n");
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`import_confirm_${draftId}`)
+      .setLabel(t("button.createTunes", { count: tunes.length }))
+      .setEmoji(EMOJIS.CONFIRM)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`import_cancel_${draftId}`)
+      .setLabel(t("button.cancel"))
+      .setEmoji(EMOJIS.CANCEL)
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  await interaction.editReply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.CALENDAR} ${t("import.previewTitle")}`,
+        `${preview}` +
+          (tunes.length > MAX_PREVIEW_LINES
+            ? `\n${t("import.more", { count: tunes.length - MAX_PREVIEW_LINES })}`
+            : "") +
+          problemList,
+        COLORS.INFO,
+      ),
+    ],
+    components: [row],
+  });
+}
+
+async function handleImportButton(interaction, action, draftId) {
+  const draft = importDrafts.get(draftId);
+  importDrafts.delete(draftId);
+  const { t } = await getLocalizer(interaction);
+
+  if (!draft || draft.userId !== interaction.user.id) {
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("import.expiredTitle")}`,
+          t("import.expired"),
+          COLORS.ERROR,
+        ),
+      ],
+      components: [],
+    });
+    return;
+  }
+  if (action !== "confirm") {
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.CANCEL} ${t("import.cancelledTitle")}`,
+          t("import.cancelled"),
+          COLORS.INFO,
+        ),
+      ],
+      components: [],
+    });
+    return;
+  }
+
+  const created = [];
+  const failed = [];
+  for (const tune of draft.tunes) {
+    const { name, schedule, scheduleDay, time, ...settings } = tune;
+    try {
+      await createTune(
+        draft.userId,
+        draft.guildId,
+        name,
+        schedule,
+        time,
+        scheduleDay,
+        settings,
+      );
+      created.push(name);
+    } catch (error) {
+      console.error(`Error importing ${name}:`, error);
+      failed.push(name);
+    }
+  }
+
+  await interaction.update({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("import.title")}`,
+        t("import.done", { count: created.length }) +
+          (failed.length
+            ? `\n\n${EMOJIS.WARNING} ${t("import.unscheduled", { names: failed.map((name) => `**${name}**`).join(", ") })}`
+            : ""),
+        failed.length ? COLORS.WARNING : COLORS.SUCCESS,
+      ),
+    ],
+    components: [],
+  });
+}
+
+async function handleEditTask(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const nameInput = interaction.options.getString("name");
+  const timeInput = interaction.options.getString("time");
+  const when = interaction.options.getString("when");
+  const channel = interaction.options.getChannel("channel");
+  const catchUp = interaction.options.getString("catchup");
+  const before = interaction.options.getString("before");
+  const tasks = (await db.get(`${guildKey(userId, guildId)}.tasks`)) || {};
+  const taskId = findTuneId(tasks, taskRef);
+  const task = taskId ? tasks[taskId] : null;
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  const fail = (title, description) =>
+    interaction.reply({
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+      ephemeral: true,
+    });
+
+  if (!task) {
+    await fail(t("tune.notFoundTitle"), t("tune.notFound", { name: taskRef }));
+    return;
+  }
+
+  let newName = task.name;
+  if (nameInput) {
+    const { name, title, error } = await checkTuneName(
+      userId,
+      guildId,
+      nameInput,
+      taskId,
+      lang,
+    );
+    if (error) {
+      await fail(title, error);
+      return;
+    }
+    newName = name;
+  }
+  const renamed = newName !== task.name;
+  if (!renamed && !timeInput && !when && !channel && !catchUp && !before) {
+    await fail(t("edit.nothingTitle"), t("edit.nothing"));
+    return;
+  }
+  const { leads, error: leadError } = before
+    ? parseLeadTimes(before, lang)
+    : {};
+  if (leadError) {
+    await fail(t("lead.invalidTitle"), leadError);
+    return;
+  }
+
+  let time = task.time;
+  if (timeInput) {
+    time = parseTimeOfDay(timeInput);
+    if (!time) {
+      await fail(t("time.invalidTitle"), t("time.invalid"));
+      return;
+    }
+  }
+
+  let { schedule, scheduleDay } = task;
+  if (when) {
+    const timezone =
+      task.timezone || (await db.get(`user_${userId}.timezone`)) || "UTC";
+    const parsed = readEditedSchedule(when, time, timezone);
+    if (!parsed) {
+      await fail(t("when.unreadableTitle"), t("when.unreadable", { when }));
+      return;
+    }
+    ({ schedule, scheduleDay } = parsed);
+    if (!timeInput) time = parsed.time;
+  }
+
+  const changes = [];
+  if (renamed) {
+    changes.push(
+      `📝 ${t("edit.name", { from: task.name, to: `**${newName}**` })}`,
+    );
+  }
+  if (time !== task.time) {
+    changes.push(
+      `${EMOJIS.CLOCK} ${t("edit.time", { from: lang.time(task.time), to: `**${lang.time(time)}**` })}`,
+    );
+  }
+  if (when) {
+    changes.push(
+      `${EMOJIS.CALENDAR} ${t("edit.schedule", {
+        from: formatScheduleDescription(task.schedule, task.scheduleDay, lang),
+        to: `**${formatScheduleDescription(schedule, scheduleDay, lang)}**`,
+      })}`,
+    );
+  }
+  if (channel) {
+    changes.push(
+      `${EMOJIS.CHANNEL} ${t("edit.channel", { channel: channel.toString() })}`,
+    );
+  }
+  if (leads) {
+    changes.push(
+      leads.length
+        ? formatLeadLine(leads, lang).trimEnd()
+        : `${EMOJIS.REMINDER} ${t("edit.noLeads")}`,
+    );
+  }
+  if (catchUp) {
+    changes.push(
+      `${EMOJIS.WARNING} ${t("edit.catchUp", { choice: `**${t(`catchUp.${catchUp}`)}**` })}`,
+    );
+  }
+
+  let nextRun;
+  try {
+    nextRun = await updateTune(userId, guildId, taskId, task, {
+      name: newName,
+      time,
+      schedule,
+      scheduleDay,
+      leads,
+      channelId: channel?.id,
+      catchUp,
+    });
+  } catch (error) {
+    console.error("Error editing tune:", error);
+    await fail(t("edit.failedTitle"), t("edit.failed"));
+    return;
+  }
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("edit.title")}`,
+        `${changes.join("\n")}\n\n` +
+          `⏰ ${t("tune.nextRun", { date: lang.dateTime(nextRun), countdown: formatCountdown(nextRun, lang) })}`,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+// A schedule without a time ("every weekday") keeps the tune's time
+function readEditedSchedule(when, time, timezone) {
+  return (
+    parseSchedule(when, { timezone }) ||
+    parseSchedule(`${when} at ${time}`, { timezone })
   );
-  const [_, direction, currentPage, region] = interaction.customId.split("_");
-  const page = parseInt(currentPage);
-  const allTimezones = moment.tz
-    .names()
-    .filter((tz) => tz.startsWith(region))
-    .map((tz) => ({
-      label: tz.split("/")[1].replace("_", " "),
-      value: tz,
-      description: `Current time: ${moment().tz(tz).format("HH:mm")}`,
-      emoji: EMOJIS.CLOCK,
-    }));
+}
+
+/**
+ * Apply an edit to a stored tune. changes holds the new { name, time,
+ * schedule, scheduleDay } and optionally { leads, channelId, catchUp }.
+ * The tune is rescheduled first and only saved once that worked, so a
+ * failed edit throws and leaves the tune untouched. Returns the next run.
+ */
+async function updateTune(userId, guildId, taskId, task, changes) {
+  const { name, time, schedule, scheduleDay, leads, channelId, catchUp } =
+    changes;
+  const userData = await db.get(`user_${userId}`);
+  let nextRun;
+  try {
+    nextRun = await setupReminder(
+      userId,
+      guildId,
+      taskId,
+      schedule,
+      time,
+      scheduleDay,
+    );
+  } catch (error) {
+    if (!task.paused && !isOnVacation(userData)) {
+      await restartTaskJobs(userId, guildId, taskId, task).catch(
+        (restoreError) =>
+          console.error(
+            "Error restoring tune after failed edit:",
+            restoreError,
+          ),
+      );
+    }
+    throw error;
+  }
+
+  if (name !== task.name) {
+    await db.set(`${taskKey(userId, guildId, taskId)}.name`, name);
+  }
+  if (leads) {
+    await db.set(`${taskKey(userId, guildId, taskId)}.leads`, leads);
+    await setupLeadReminders(userId, guildId, taskId);
+  }
+  // Editing doesn't unpause, the new settings apply once the tune resumes
+  if (task.paused || isOnVacation(userData)) {
+    stopTaskJobs(userId, guildId, taskId);
+  }
+  if (channelId) {
+    await db.set(`${taskKey(userId, guildId, taskId)}.channelId`, channelId);
+  }
+  if (catchUp) {
+    await db.set(`${taskKey(userId, guildId, taskId)}.catchUp`, catchUp);
+  }
+  return nextRun;
+}
+
+async function handleTimeChoice(interaction) {
+  await scheduleTuneTimes(
+    interaction,
+    interaction.customId,
+    interaction.values,
+  );
+}
+
+// Schedule one tune per selected time; customId carries schedule type, draft id and day(s)
+async function scheduleTuneTimes(interaction, customId, times) {
+  const guildId = getGuildScope(interaction);
+  const [_, scheduleType, draftId, days] = customId.split("_");
+  const draft = tuneDrafts.get(draftId);
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  let schedule;
+  let scheduleDay = null;
+
+  if (!draft) {
+    // Drafts only live in memory, a restart in between loses them
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("addtune.expiredTitle")}`,
+          t("addtune.expired"),
+          COLORS.ERROR,
+        ),
+      ],
+      components: [],
+    });
+    return;
+  }
+
+  if (scheduleType === "custom") {
+    schedule = days.split(",").map(Number);
+  } else {
+    schedule = scheduleType;
+    if (scheduleType === "weekly" || scheduleType === "monthly") {
+      scheduleDay = parseInt(days);
+    }
+  }
+
+  try {
+    const scheduled = [];
+    for (const time of times) {
+      // Several times for one tune become sibling tunes, e.g. "Meds @ 08:00"
+      const name = times.length > 1 ? `${draft.name} @ ${time}` : draft.name;
+      const { taskId, nextRun: nextInvocation } = await createTune(
+        interaction.user.id,
+        guildId,
+        name,
+        schedule,
+        time,
+        scheduleDay,
+        { leads: draft.leads },
+      );
+      scheduled.push({ taskId, name, time, nextInvocation });
+    }
+    tuneDrafts.delete(draftId);
+
+    const scheduleDesc = formatScheduleDescription(schedule, scheduleDay, lang);
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("add_tune")
+        .setLabel(t("button.addAnother"))
+        .setEmoji(EMOJIS.TASK)
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(
+          scheduled.length === 1
+            ? `remove_tune_${scheduled[0].taskId}`
+            : "remove_tune",
+        )
+        .setLabel(
+          t(scheduled.length === 1 ? "button.removeThis" : "button.removeTune"),
+        )
+        .setEmoji(EMOJIS.CANCEL)
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId("view_tunes")
+        .setLabel(t("button.myTunes"))
+        .setEmoji(EMOJIS.REMINDER)
+        .setStyle(ButtonStyle.Secondary),
+    );
+
+    const description =
+      scheduled.length === 1
+        ? `${t("addtune.scheduled", { name: draft.name })}\n\n` +
+          `🔔 ${t("tune.scheduleLine", { schedule: t("schedule.at", { schedule: scheduleDesc, time: lang.time(scheduled[0].time) }) })}\n` +
+          formatLeadLine(draft.leads, lang) +
+          `⏰ ${t("reminder.nextIn", { countdown: formatCountdown(scheduled[0].nextInvocation, lang) })}`
+        : `${t("addtune.scheduledTimes", { name: draft.name, count: scheduled.length })}\n\n` +
+          `🔔 ${t("tune.scheduleLine", { schedule: scheduleDesc })}\n` +
+          formatLeadLine(draft.leads, lang) +
+          scheduled
+            .map(
+              (tune) =>
+                `⏰ ${t("addtune.nextAt", { time: `**${lang.time(tune.time)}**`, countdown: formatCountdown(tune.nextInvocation, lang) })}`,
+            )
+            .join("\n");
+
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.SUCCESS} ${t("addtune.scheduledTitle")}`,
+          description,
+        ),
+      ],
+      components: [row],
+    });
+  } catch (error) {
+    console.error("Error scheduling task:", error);
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("addtune.failedTitle")}`,
+          t("addtune.failed"),
+          COLORS.ERROR,
+        ),
+      ],
+      components: [],
+    });
+  }
+}
+async function handleDayConfirmation(interaction) {
+  const [_, __, draftId] = interaction.customId.split("_");
+  const selectedDaysList = Array.from(
+    selectedDays.get(interaction.user.id) || new Set(),
+  );
+
+  const lang = await getLocalizer(interaction);
+
+  if (selectedDaysList.length === 0) {
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${lang.t("picker.noDaysTitle")}`,
+          lang.t("picker.noDays"),
+          COLORS.ERROR,
+        ),
+      ],
+      components: [],
+    });
+    return;
+  }
+
+  await interaction.update({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.CLOCK} ${lang.t("picker.timeTitle")}`,
+        lang.t("picker.time"),
+      ),
+    ],
+    components: createTimeSelectionRows(
+      `custom_${draftId}_${selectedDaysList.join(",")}`,
+      lang,
+    ),
+  });
+
+  selectedDays.delete(interaction.user.id);
+}
+
+// Restore reminders on startup
+async function restoreReminders() {
+  console.log("Restoring reminders...");
+  // First, so a reminder caught up below replaces its tune's old escalation
+  await restoreEscalations();
+
+  for (const [userId, value] of await getAllUserData()) {
+    if (value.vacation) {
+      if (isOnVacation(value)) {
+        scheduleAutoResume(userId, null, null, value.vacation.until);
+        console.log(`Skipping reminders for user ${userId}: on vacation`);
+        continue;
+      }
+      await db.delete(`user_${userId}.vacation`);
+    }
+
+    for (const [guildId, scope] of getGuildScopes(value)) {
+      for (const [taskId, task] of Object.entries(scope.tasks || {})) {
+        if (task.paused) {
+          if (!task.paused.until || moment(task.paused.until).isAfter()) {
+            scheduleAutoResume(userId, guildId, taskId, task.paused.until);
+            console.log(
+              `Skipping paused reminder: ${task.name} for user ${userId}`,
+            );
+            continue;
+          }
+          await db.delete(`${taskKey(userId, guildId, taskId)}.paused`);
+        }
+
+        try {
+          await restartTaskJobs(userId, guildId, taskId, task);
+          if (task.schedule !== "once") {
+            await catchUpReminder(userId, guildId, taskId, task);
+          }
+          console.log(`Restored reminder: ${task.name} for user ${userId}`);
+        } catch (error) {
+          console.error(
+            `Failed to restore reminder: ${task.name} for user ${userId}`,
+            error,
+          );
+        }
+      }
+    }
+  }
+  console.log("Reminder restoration complete");
+}
+
+// Timezone Management
+function createTimezoneSetEmbed(timezone, lang) {
+  const { t } = lang;
+  return createEmbed(
+    `${EMOJIS.SUCCESS} ${t("timezone.setTitle")}`,
+    `${t("timezone.set", { timezone })}\n` +
+      t("timezone.currentTime", { time: lang.time(moment().tz(timezone)) }),
+  );
+}
+
+// Choice lists for timezones Toki couldn't narrow down to one
+function createTimezoneMenu(timezones, lang) {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId("timezone_select")
+      .setPlaceholder(lang.t("timezone.placeholder"))
+      .addOptions(
+        timezones.slice(0, 25).map((timezone) => ({
+          label: describeTimezone(timezone).slice(0, 100),
+          value: timezone,
+          emoji: EMOJIS.CLOCK,
+        })),
+      ),
+  );
+}
+
+// /settimezone with a search picks the zone directly, without one it falls
+// back to browsing by region
+async function handleSetTimezone(interaction) {
+  const input = interaction.options.getString("timezone");
+  if (!input) {
+    await handleTimezoneSelection(interaction);
+    return;
+  }
+
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const { timezone, matches, error } = resolveTimezone(input, { lang });
+  if (error) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("timezone.unknownTitle")}`,
+          error,
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+  if (matches) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.GLOBE} ${t("timezone.title")}`,
+          t("timezone.matches", { input }) +
+            (matches.length > 25 ? `\n${t("timezone.tooManyMatches")}` : ""),
+        ),
+      ],
+      components: [createTimezoneMenu(matches, lang)],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await db.set(`user_${interaction.user.id}.timezone`, timezone);
+  await interaction.reply({
+    embeds: [createTimezoneSetEmbed(timezone, lang)],
+    ephemeral: true,
+  });
+}
+
+async function handleTimezoneSelection(interaction, isFromAddTask = false) {
+  const { t } = await getLocalizer(interaction);
+  const row = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`timezone_region${isFromAddTask ? "_addtask" : ""}`)
+      .setPlaceholder(t("timezone.regionSelect"))
+      .addOptions(
+        Object.entries(REGIONS).map(([region, emoji]) => ({
+          label: region,
+          value: region,
+          emoji: emoji,
+        })),
+      ),
+  );
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.GLOBE} ${t("timezone.title")}`,
+        t("timezone.chooseRegion"),
+      ),
+    ],
+    components: [row],
+    ephemeral: true,
+  });
+}
 
-  const pages = Math.ceil(allTimezones.length / 25);
-  let newPage = page; // Initialize with current page
-  if (direction === "next") {
-    newPage = page + 1;
-  } else if (direction === "prev") {
-    newPage = page - 1;
+async function handleTimezoneChoice(interaction) {
+  const isFromAddTask = interaction.customId.endsWith("_addtask");
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (interaction.customId.startsWith("timezone_region")) {
+    const selectedRegion = interaction.values[0];
+    const allTimezones = moment.tz
+      .names()
+      .filter((tz) => tz.startsWith(selectedRegion))
+      .map((tz) => ({
+        label: tz.split("/")[1].replace("_", " "),
+        value: tz,
+        description: t("timezone.currentTime", {
+          time: lang.time(moment().tz(tz)),
+        }),
+        emoji: EMOJIS.CLOCK,
+      }));
+
+    const pages = Math.ceil(allTimezones.length / 25);
+    const timezonesPage = allTimezones.slice(0, 25);
+
+    const rows = [];
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`timezone_select${isFromAddTask ? "_addtask" : ""}`)
+          .setPlaceholder(
+            t("timezone.regionPlaceholder", { region: selectedRegion }),
+          )
+          .addOptions(timezonesPage),
+      ),
+    );
+
+    if (pages > 1) {
+      rows.push(
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`tz_prev_0_${selectedRegion}`)
+            .setLabel(`◀️ ${t("button.previous")}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+          new ButtonBuilder()
+            .setCustomId(`tz_next_0_${selectedRegion}`)
+            .setLabel(`${t("button.next")} ▶️`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(pages === 1),
+        ),
+      );
+    }
+
+    await interaction.update({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.GLOBE} ${t("timezone.title")}`,
+          t("timezone.chooseInRegion", { region: selectedRegion }) +
+            (pages > 1 ? `\n${t("timezone.page", { page: 1, pages })}` : ""),
+        ),
+      ],
+      components: rows,
+    });
+  } else {
+    const timezone = interaction.values[0];
+    await db.set(`user_${interaction.user.id}.timezone`, timezone);
+
+    if (isFromAddTask) {
+      // If this was from addtask, continue with task creation
+      const pending = await db.get(`user_${interaction.user.id}.pendingTask`);
+      await db.delete(`user_${interaction.user.id}.pendingTask`);
+      if (pending?.when) {
+        await handleNaturalSchedule(
+          interaction,
+          pending.name,
+          pending.when,
+          timezone,
+          pending.leads,
+        );
+      } else {
+        await showScheduleOptions(interaction, pending?.name, pending?.leads);
+      }
+    } else {
+      await interaction.update({
+        embeds: [createTimezoneSetEmbed(timezone, lang)],
+        components: [],
+      });
+    }
   }
+}
 
-  console.log(
-    "handleTimezoneNavigation: Calculated newPage",
-    newPage,
-    " - from direction: ",
-    direction,
-    " and ",
-    page,
+// Team tunes belong to a server and live under guild_<id>.tunes
+function canManageTeamTunes(interaction) {
+  return Boolean(
+    interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild),
   );
+}
 
-  const timezonesPage = allTimezones.slice(newPage * 25, (newPage + 1) * 25);
+// Pull user ids out of a "@ana @ben 1234..." style option
+function parseMentionIds(input) {
+  return [...new Set((input || "").match(/\d{17,20}/g) || [])];
+}
 
-  const rows = [];
-  rows.push(
-    new ActionRowBuilder().addComponents(
-      new StringSelectMenuBuilder()
-        .setCustomId("timezone_select")
-        .setPlaceholder(`Select ${region} timezone`)
-        .addOptions(timezonesPage),
-    ),
-  );
+function formatTeamMentions(tune) {
+  return [
+    ...(tune.mentionRoles || []).map((roleId) => `<@&${roleId}>`),
+    ...(tune.mentionUsers || []).map((userId) => `<@${userId}>`),
+  ].join(" ");
+}
 
-  rows.push(
-    new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId(`tz_prev_${newPage}_${region}`)
-        .setLabel("Previous")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(newPage === 0),
-      new ButtonBuilder()
-        .setCustomId(`tz_next_${newPage}_${region}`)
-        .setLabel("Next")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(newPage === pages - 1),
-    ),
+async function handleTeamTunes(interaction) {
+  const { t } = await getLocalizer(interaction);
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("team.serverOnlyTitle")}`,
+          t("team.serverOnly"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand !== "list" && !canManageTeamTunes(interaction)) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("team.noPermissionTitle")}`,
+          t("team.noPermission"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  switch (subcommand) {
+    case "list":
+      await handleTeamTuneList(interaction);
+      break;
+    case "add":
+      await handleTeamTuneAdd(interaction);
+      break;
+    case "remove":
+      await handleTeamTuneRemove(interaction);
+      break;
+  }
+}
+
+async function handleTeamTuneList(interaction) {
+  const guildId = interaction.guildId;
+  const tunes = (await db.get(`guild_${guildId}.tunes`)) || {};
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (Object.keys(tunes).length === 0) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.TEAM} ${t("team.title")}`,
+          t("team.empty"),
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const tuneList = Object.entries(tunes)
+    .map(([tuneId, tune]) => {
+      const nextInvocation = activeReminders
+        .get(`team_${guildId}_${tuneId}`)
+        ?.nextInvocation();
+      const nextReminder = nextInvocation
+        ? moment(new Date(nextInvocation))
+        : tune.nextReminder
+          ? moment(tune.nextReminder)
+          : null;
+
+      return (
+        `**${tune.name}**\n` +
+        `${EMOJIS.CLOCK} ${t("mytunes.next", { countdown: nextReminder ? formatCountdown(nextReminder, lang) : t("mytunes.notScheduled") })}\n` +
+        `${EMOJIS.CALENDAR} ${t("tune.scheduleLine", { schedule: formatScheduleAt(tune, lang) })} (${tune.timezone})\n` +
+        `${EMOJIS.CHANNEL} <#${tune.channelId}> ${formatTeamMentions(tune)}\n`
+      );
+    })
+    .join("\n");
+
+  await interaction.reply({
+    embeds: [createEmbed(`${EMOJIS.TEAM} ${t("team.title")}`, tuneList)],
+    ephemeral: true,
+  });
+}
+
+async function handleTeamTuneAdd(interaction) {
+  const guildId = interaction.guildId;
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const { name, error } = validateTuneName(
+    interaction.options.getString("name"),
+    lang,
   );
+  const when = interaction.options.getString("when");
+  const channel = interaction.options.getChannel("channel");
+  const role = interaction.options.getRole("role");
+  const timezone =
+    interaction.options.getString("timezone") ||
+    (await db.get(`user_${interaction.user.id}.timezone`)) ||
+    "UTC";
+
+  const fail = (title, message) =>
+    interaction.reply({
+      embeds: [createEmbed(`${EMOJIS.ERROR} ${title}`, message, COLORS.ERROR)],
+      ephemeral: true,
+    });
 
-  console.log("handleTimezoneNavigation: Update interaction");
-  await interaction.update({
+  if (error) {
+    await fail(t("tuneName.invalidTitle"), error);
+    return;
+  }
+  if (!moment.tz.zone(timezone)) {
+    await fail(t("timezone.unknownTitle"), t("timezone.unknown", { timezone }));
+    return;
+  }
+  if (findTuneId(await db.get(`guild_${guildId}.tunes`), name)) {
+    await fail(t("team.existsTitle"), t("team.exists", { name }));
+    return;
+  }
+
+  const parsed = parseSchedule(when, { timezone });
+  if (!parsed) {
+    await fail(
+      t("when.unreadableTitle"),
+      `${t("when.unreadable", { when })}\n\n${t("team.whenExamples")}`,
+    );
+    return;
+  }
+
+  const tuneId = createTuneId();
+  const tune = {
+    name,
+    schedule: parsed.schedule,
+    scheduleDay: parsed.scheduleDay,
+    time: parsed.time,
+    timezone,
+    channelId: channel?.id || interaction.channelId,
+    mentionRoles: role ? [role.id] : [],
+    mentionUsers: parseMentionIds(interaction.options.getString("members")),
+    catchUp: interaction.options.getString("catchup") || CATCH_UP.SUMMARY,
+    createdBy: interaction.user.id,
+  };
+
+  let nextRun;
+  try {
+    nextRun = await setupTeamReminder(guildId, tuneId, tune);
+  } catch (error) {
+    await fail(t("team.noRunTitle"), t("team.noRun", { when }));
+    return;
+  }
+
+  const roleNote =
+    role && !role.mentionable
+      ? `\n${EMOJIS.WARNING} ${t("team.roleNotMentionable", { role: role.toString() })}`
+      : "";
+
+  await interaction.reply({
     embeds: [
       createEmbed(
-        `${EMOJIS.GLOBE} Set Your Timezone`,
-        `Select your timezone in ${region}:\nPage ${newPage + 1}/${pages}`,
+        `${EMOJIS.SUCCESS} ${t("team.scheduledTitle")}`,
+        `${t("team.scheduled", { name })}\n\n` +
+          `🔔 ${t("tune.scheduleLine", { schedule: formatScheduleAt(tune, lang) })} (${timezone})\n` +
+          `${EMOJIS.CHANNEL} ${t("edit.channel", { channel: `<#${tune.channelId}>` })}\n` +
+          `👋 ${t("team.mentions", { mentions: formatTeamMentions(tune) || t("team.nobody") })}\n` +
+          `⏰ ${t("tune.nextRun", { date: lang.dateTime(nextRun), countdown: formatCountdown(nextRun, lang) })}` +
+          roleNote,
       ),
     ],
-    components: rows,
+    ephemeral: true,
   });
-} // Task Scheduling and Reminder System
+}
 
-async function setupReminder(
-  userId,
-  taskName,
-  scheduleType,
-  time,
-  scheduleDay = null,
-) {
-  const reminderId = `${userId}_${taskName}`;
+async function handleTeamTuneRemove(interaction) {
+  const guildId = interaction.guildId;
+  const tuneRef = interaction.options.getString("tune");
+  const tunes = await db.get(`guild_${guildId}.tunes`);
+  const tuneId = findTuneId(tunes, tuneRef);
+  const { t } = await getLocalizer(interaction);
+  if (!tuneId) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("tune.notFoundTitle")}`,
+          t("team.notFound", { name: tuneRef }),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await removeTeamTune(guildId, tuneId);
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.SUCCESS} ${t("team.removedTitle")}`,
+        t("team.removed", { name: tunes[tuneId].name }),
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function setupTeamReminder(guildId, tuneId, tune) {
+  const reminderId = `team_${guildId}_${tuneId}`;
   if (activeReminders.has(reminderId)) {
     activeReminders.get(reminderId).cancel();
   }
 
-  const userTimezone = await db.get(`user_${userId}.timezone`);
-  const [hours, minutes] = time.split(":").map(Number);
-  const rule = new nodeSchedule.RecurrenceRule();
+  const { job, nextRun } = createScheduleJob(
+    tuneId,
+    tune.schedule,
+    tune.time,
+    tune.scheduleDay,
+    tune.timezone,
+    async (fireDate, nextInvocation) => {
+      try {
+        await sendTeamReminder(guildId, tuneId, nextInvocation);
+      } catch (error) {
+        console.error("Failed to send team reminder:", error);
+      }
+      if (tune.schedule === "once") {
+        if (activeReminders.get(reminderId) === job) {
+          await removeTeamTune(guildId, tuneId);
+        }
+      } else {
+        await jobStore.recordFired(reminderId, fireDate);
+      }
+    },
+  );
 
-  rule.hour = hours;
-  rule.minute = minutes || 0;
-  rule.tz = userTimezone;
+  activeReminders.set(reminderId, job);
+  if (tune.schedule !== "once") await jobStore.track(reminderId);
+  await db.set(`guild_${guildId}.tunes.${tuneId}`, {
+    ...tune,
+    scheduleDay:
+      tune.schedule === "rule"
+        ? normalizeRule(tune.scheduleDay)
+        : tune.scheduleDay,
+    nextReminder: nextRun.toISOString(),
+  });
+  return nextRun;
+}
 
-  const now = moment().tz(userTimezone);
-  let nextRun = moment()
-    .tz(userTimezone)
-    .hour(hours)
-    .minute(minutes || 0)
-    .second(0);
+async function removeTeamTune(guildId, tuneId) {
+  const reminderId = `team_${guildId}_${tuneId}`;
+  if (activeReminders.has(reminderId)) {
+    activeReminders.get(reminderId).cancel();
+    activeReminders.delete(reminderId);
+  }
+  await jobStore.forget(reminderId);
+  await db.delete(`guild_${guildId}.tunes.${tuneId}`);
+}
 
-  if (Array.isArray(scheduleType)) {
-    rule.dayOfWeek = scheduleType;
-    while (!scheduleType.includes(nextRun.day())) {
-      nextRun.add(1, "day");
-    }
-  } else {
-    switch (scheduleType) {
-      case "daily":
-        if (nextRun.isBefore(now)) {
-          nextRun.add(1, "day");
-        }
-        break;
-      case "weekly":
-        if (scheduleDay !== null) {
-          rule.dayOfWeek = scheduleDay;
-          if (nextRun.day() !== scheduleDay || nextRun.isBefore(now)) {
-            nextRun.day(scheduleDay + (nextRun.day() > scheduleDay ? 7 : 0));
-          }
-        } else {
-          // Default to Monday if day is not selected for weekly
-          rule.dayOfWeek = 1;
-          if (nextRun.day() !== 1 || nextRun.isBefore(now)) {
-            nextRun.day(8);
-          }
-        }
-        break;
-      case "monthly":
-        if (scheduleDay !== null) {
-          rule.date = scheduleDay;
-          const adjustedDay = (month) => {
-            const daysInMonth = moment()
-              .tz(userTimezone)
-              .month(month)
-              .daysInMonth();
-            return Math.min(scheduleDay, daysInMonth);
-          };
-          let targetDay = adjustedDay(nextRun.month());
-          nextRun.date(targetDay);
-          if (nextRun.isBefore(now)) {
-            nextRun.add(1, "month");
-            targetDay = adjustedDay(nextRun.month());
-            nextRun.date(targetDay);
-          }
-        } else {
-          // Default to 1st of month if day is not selected for monthly
-          rule.date = 1;
-          if (nextRun.date() !== 1 || nextRun.isBefore(now)) {
-            nextRun.add(1, "month").date(1);
-          }
-        }
-        break;
-    }
+async function catchUpTeamReminder(guildId, tuneId, tune) {
+  const lang = await getGuildLocalizer(guildId);
+  await catchUpJob(`team_${guildId}_${tuneId}`, tune, {
+    lang,
+    fire: (missedAt) => sendTeamReminder(guildId, tuneId, null, missedAt),
+    // A summary of old reminders isn't worth pinging everyone for
+    summarize: async (missed, text) => {
+      const channel = await client.channels.fetch(tune.channelId);
+      await channel.send({
+        embeds: [
+          createEmbed(
+            `${EMOJIS.WARNING} ${lang.t("missed.title", { name: tune.name })}`,
+            text,
+            COLORS.WARNING,
+          ),
+        ],
+        allowedMentions: { parse: [] },
+      });
+    },
+  });
+}
+
+async function sendTeamReminder(
+  guildId,
+  tuneId,
+  nextInvocation,
+  missedAt = null,
+) {
+  const tune = await db.get(`guild_${guildId}.tunes.${tuneId}`);
+  if (!tune) return;
+
+  const lang = await getGuildLocalizer(guildId);
+  const { t } = lang;
+  const description = missedAt
+    ? t("reminder.late", {
+        date: formatDayTime(missedAt, lang, { withZone: true }),
+      })
+    : nextInvocation
+      ? `${t("team.due", { name: tune.name })}\n` +
+        t("reminder.nextIn", {
+          countdown: formatCountdown(nextInvocation, lang),
+        })
+      : t("team.due", { name: tune.name });
+
+  const channel = await client.channels.fetch(tune.channelId);
+  await channel.send({
+    content: `${EMOJIS.REMINDER} ${formatTeamMentions(tune)}`.trim(),
+    embeds: [
+      createEmbed(
+        `${EMOJIS.TEAM} ${t("team.reminderTitle", { name: tune.name })}`,
+        description,
+        missedAt ? COLORS.WARNING : COLORS.SUCCESS,
+      ),
+    ],
+    allowedMentions: {
+      roles: tune.mentionRoles || [],
+      users: tune.mentionUsers || [],
+    },
+  });
+}
+
+// Calendar Subscriptions
+// Occurrences this far ahead get a job, each sync looks a bit further
+const CALENDAR_HORIZON_HOURS = 24;
+const MAX_CALENDAR_JOBS = 100;
+const MAX_CALENDAR_BYTES = 1024 * 1024;
+
+// Admins can only point at files inside CALENDAR_DIR
+function resolveCalendarPath(input, lang = ENGLISH) {
+  const dir = process.env.CALENDAR_DIR;
+  if (!dir) throw new Error(lang.t("calendar.filesOff"));
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, input);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(lang.t("calendar.outsideDir"));
+  }
+  return resolved;
+}
+
+// Uploaded calendars are kept as they were, files are read again every sync.
+// Errors are worded in lang, like the feed's own problems
+async function readCalendarSource(source, lang = ENGLISH) {
+  if (source.type === "upload") return source.content;
+
+  const file = resolveCalendarPath(source.path, lang);
+  let size;
+  try {
+    ({ size } = await fs.promises.stat(file));
+  } catch (error) {
+    const key =
+      error.code === "ENOENT"
+        ? "calendar.fileMissing"
+        : "calendar.fileUnreadable";
+    throw new Error(lang.t(key, { path: source.path }), { cause: error });
+  }
+  if (size > MAX_CALENDAR_BYTES) throw new Error(lang.t("calendar.tooLarge"));
+  return fs.promises.readFile(file, "utf8");
+}
+
+function stopCalendarJobs(guildId, calendarId) {
+  const prefix = `cal_${guildId}_${calendarId}_`;
+  for (const [id, { job }] of activeCalendarJobs) {
+    if (!id.startsWith(prefix)) continue;
+    job.cancel();
+    activeCalendarJobs.delete(id);
+  }
+}
+
+/**
+ * Re-read a subscribed calendar and reconcile its jobs with the events in
+ * it: new and moved occurrences get a job, removed ones lose theirs.
+ * Returns { events, upcoming, problems }, throws if the source can't be read.
+ * Problems and errors, also the one kept in lastSync, are worded in lang,
+ * the server's language unless a user asked.
+ */
+async function syncCalendar(guildId, calendarId, calendar, lang) {
+  const prefix = `cal_${guildId}_${calendarId}_`;
+  const syncKey = `guild_${guildId}.calendars.${calendarId}.lastSync`;
+  const syncLang = lang || (await getGuildLocalizer(guildId));
+
+  let events;
+  let problems;
+  try {
+    ({ events, problems } = parseFeed(
+      await readCalendarSource(calendar.source, syncLang),
+      { timezone: calendar.timezone, lang: syncLang },
+    ));
+  } catch (error) {
+    await db.set(syncKey, {
+      at: new Date().toISOString(),
+      error: error.message,
+    });
+    throw error;
   }
 
-  const job = nodeSchedule.scheduleJob(rule, async () => {
+  const upcoming = getUpcoming(
+    events,
+    new Date(),
+    moment().add(CALENDAR_HORIZON_HOURS, "hours"),
+  ).slice(0, MAX_CALENDAR_JOBS);
+  const scheduled = new Map(
+    [...activeCalendarJobs]
+      .filter(([id]) => id.startsWith(prefix))
+      .map(([id, entry]) => [id.slice(prefix.length), entry]),
+  );
+  const { add, remove } = planSync(scheduled, upcoming);
+
+  for (const key of remove) {
+    activeCalendarJobs.get(prefix + key).job.cancel();
+    activeCalendarJobs.delete(prefix + key);
+  }
+  for (const occurrence of add) {
+    const jobId = prefix + occurrence.key;
     try {
-      await sendReminder(userId, taskName, job.nextInvocation());
+      const { job } = createScheduleJob(
+        occurrence.summary,
+        "once",
+        occurrence.at.format("HH:mm"),
+        occurrence.at.format("YYYY-MM-DD"),
+        occurrence.at.tz(),
+        async () => {
+          activeCalendarJobs.delete(jobId);
+          try {
+            await sendCalendarReminder(guildId, calendarId, occurrence);
+          } catch (error) {
+            console.error("Failed to send calendar reminder:", error);
+          }
+        },
+      );
+      activeCalendarJobs.set(jobId, { job, summary: occurrence.summary });
     } catch (error) {
-      console.error("Failed to send reminder:", error);
+      // Starts within the current minute are already too late for a job
+      console.warn(`Skipping calendar event ${occurrence.key}:`, error.message);
     }
-  });
-
-  activeReminders.set(reminderId, job);
+  }
 
-  await db.set(`user_${userId}.tasks.${taskName}`, {
-    name: taskName,
-    schedule: scheduleType,
-    time: time,
-    timezone: userTimezone,
-    scheduleDay: scheduleDay,
-    nextReminder: nextRun.toISOString(),
+  await db.set(syncKey, {
+    at: new Date().toISOString(),
+    events: events.length,
+    problems: problems.length,
+    error: null,
   });
+  return { events: events.length, upcoming, problems };
+}
 
-  return nextRun;
+async function syncAllCalendars() {
+  for (const [guildId, value] of await getAllGuildData()) {
+    for (const [calendarId, calendar] of Object.entries(
+      value.calendars || {},
+    )) {
+      try {
+        await syncCalendar(guildId, calendarId, calendar);
+      } catch (error) {
+        console.error(`Failed to sync calendar ${calendar.name}:`, error);
+      }
+    }
+  }
 }
 
-async function sendReminder(userId, taskName, nextInvocation) {
-  const channelId = await db.get(`user_${userId}.reminderChannel`);
-  if (!channelId) return;
+nodeSchedule.scheduleJob("*/15 * * * *", syncAllCalendars);
 
-  try {
-    const channel = await client.channels.fetch(channelId);
-    const task = await db.get(`user_${userId}.tasks.${taskName}`);
+async function sendCalendarReminder(guildId, calendarId, occurrence) {
+  const calendar = await db.get(`guild_${guildId}.calendars.${calendarId}`);
+  if (!calendar) return;
 
-    const scheduleDesc = Array.isArray(task.schedule)
-      ? `on ${task.schedule.map((d) => DAYS.find((day) => day.value === d).label).join(", ")}`
-      : task.schedule;
+  const lang = await getGuildLocalizer(guildId);
+  const channel = await client.channels.fetch(calendar.channelId);
+  await channel.send({
+    content: calendar.roleId
+      ? `${EMOJIS.REMINDER} <@&${calendar.roleId}>`
+      : undefined,
+    embeds: [
+      createEmbed(
+        `${EMOJIS.CALENDAR} ${occurrence.summary}`,
+        lang.t("calendar.startingNow", {
+          time: `${lang.time(occurrence.at)} ${occurrence.at.format("z")}`,
+          calendar: calendar.name,
+        }),
+        COLORS.INFO,
+      ),
+    ],
+    allowedMentions: { roles: calendar.roleId ? [calendar.roleId] : [] },
+  });
+}
 
-    const message = await channel.send({
-      content: `${EMOJIS.REMINDER} <@${userId}>`,
+async function handleCalendar(interaction) {
+  const { t } = await getLocalizer(interaction);
+  if (!interaction.inGuild()) {
+    await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.TASK} Task Reminder: ${taskName}`,
-          `Time for your ${scheduleDesc} task!\n` +
-            `Next reminder in ${formatCountdown(nextInvocation)}`,
+          `${EMOJIS.ERROR} ${t("team.serverOnlyTitle")}`,
+          t("calendar.serverOnly"),
+          COLORS.ERROR,
         ),
       ],
-      allowedMentions: { users: [userId] },
+      ephemeral: true,
     });
+    return;
+  }
 
-    // Start countdown for next reminder
-    const countdownId = `${userId}_${taskName}_countdown`;
-    if (activeCountdowns.has(countdownId)) {
-      clearInterval(activeCountdowns.get(countdownId));
-    }
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand !== "list" && !canManageTeamTunes(interaction)) {
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.ERROR} ${t("team.noPermissionTitle")}`,
+          t("calendar.noPermission"),
+          COLORS.ERROR,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
 
-    const interval = startCountdownUpdate(message, nextInvocation);
-    activeCountdowns.set(countdownId, interval);
-  } catch (error) {
-    console.error("Error sending reminder:", error);
+  switch (subcommand) {
+    case "subscribe":
+      await handleCalendarSubscribe(interaction);
+      break;
+    case "list":
+      await handleCalendarList(interaction);
+      break;
+    case "remove":
+      await handleCalendarRemove(interaction);
+      break;
   }
 }
 
-async function handleTimeChoice(interaction) {
-  const [_, scheduleType, taskName, customDays] =
-    interaction.customId.split("_");
-  const selectedTime = interaction.values[0];
-  let schedule;
-  let scheduleDay = null;
+// Id of a server's calendar by name, or null
+function findCalendarId(calendars, name) {
+  const wanted = name.trim().toLowerCase();
+  const match = Object.entries(calendars || {}).find(
+    ([, calendar]) => calendar.name.toLowerCase() === wanted,
+  );
+  return match ? match[0] : null;
+}
 
-  if (customDays) {
-    schedule = customDays.split(",").map(Number);
-  } else {
-    schedule = scheduleType;
-    if (scheduleType === "weekly" || scheduleType === "monthly") {
-      scheduleDay = parseInt(interaction.customId.split("_")[3]);
-    }
+async function handleCalendarSubscribe(interaction) {
+  const guildId = interaction.guildId;
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const { name, error } = validateTuneName(
+    interaction.options.getString("name"),
+    lang,
+  );
+  const attachment = interaction.options.getAttachment("file");
+  const filePath = interaction.options.getString("path");
+  const channel =
+    interaction.options.getChannel("channel") || interaction.channel;
+  const role = interaction.options.getRole("role");
+  const timezone =
+    interaction.options.getString("timezone") ||
+    (await db.get(`user_${interaction.user.id}.timezone`)) ||
+    "UTC";
+
+  // Answers in place once the reply is deferred for the download
+  const fail = (title, description) => {
+    const response = {
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+    };
+    return interaction.deferred
+      ? interaction.editReply(response)
+      : interaction.reply({ ...response, ephemeral: true });
+  };
+
+  if (error) {
+    await fail(t("tuneName.invalidTitle"), error);
+    return;
+  }
+  if (Boolean(attachment) === Boolean(filePath)) {
+    await fail(t("calendar.noSourceTitle"), t("calendar.noSource"));
+    return;
+  }
+  if (!moment.tz.zone(timezone)) {
+    await fail(t("timezone.unknownTitle"), t("timezone.unknown", { timezone }));
+    return;
+  }
+  if (attachment?.size > MAX_CALENDAR_BYTES) {
+    await fail(t("import.tooLargeTitle"), t("calendar.tooLarge"));
+    return;
   }
 
+  // Downloading and parsing the calendar can take longer than Discord waits
+  await interaction.deferReply({ ephemeral: true });
+  let source;
   try {
-    const nextInvocation = await setupReminder(
-      interaction.user.id,
-      taskName,
-      schedule,
-      selectedTime,
-      scheduleDay,
-    );
+    if (attachment) {
+      const response = await fetch(attachment.url);
+      if (!response.ok) {
+        throw new Error(
+          t("import.downloadFailed", { status: response.status }),
+        );
+      }
+      source = { type: "upload", content: await response.text() };
+    } else {
+      source = { type: "file", path: filePath };
+    }
+    // Check the calendar before replacing anything
+    parseFeed(await readCalendarSource(source, lang), { timezone, lang });
+  } catch (sourceError) {
+    await fail(t("calendar.unreadableTitle"), sourceError.message);
+    return;
+  }
 
-    const scheduleDesc = Array.isArray(schedule)
-      ? `on ${schedule.map((d) => DAYS.find((day) => day.value === d)?.label || d).join(", ")}`
-      : formatScheduleDescription(schedule, scheduleDay);
+  const calendars = await db.get(`guild_${guildId}.calendars`);
+  const calendarId = findCalendarId(calendars, name) || createTuneId();
+  stopCalendarJobs(guildId, calendarId);
+  await db.set(`guild_${guildId}.calendars.${calendarId}`, {
+    name,
+    source,
+    channelId: channel.id,
+    roleId: role?.id ?? null,
+    timezone,
+    createdBy: interaction.user.id,
+  });
+  const result = await syncCalendar(
+    guildId,
+    calendarId,
+    await db.get(`guild_${guildId}.calendars.${calendarId}`),
+    lang,
+  );
 
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("add_tune")
-        .setLabel("Add Another Tune")
-        .setEmoji(EMOJIS.TASK)
-        .setStyle(ButtonStyle.Primary),
-      new ButtonBuilder()
-        .setCustomId(`remove_tune_${taskName}`) // taskName is now correctly passed
-        .setLabel("Remove This Tune")
-        .setEmoji(EMOJIS.CANCEL)
-        .setStyle(ButtonStyle.Danger),
-      new ButtonBuilder()
-        .setCustomId("view_tunes")
-        .setLabel("My Tunes")
-        .setEmoji(EMOJIS.REMINDER)
-        .setStyle(ButtonStyle.Secondary),
-    );
+  const next = result.upcoming
+    .slice(0, 5)
+    .map(
+      (occurrence) =>
+        `${EMOJIS.CLOCK} ${formatDayTime(occurrence.at, lang, { withZone: true })}: **${occurrence.summary}**`,
+    )
+    .join("\n");
+  const problems = result.problems
+    .slice(0, 5)
+    .map((problem) => `${EMOJIS.WARNING} ${problem}`)
+    .join("\n");
 
-    await interaction.update({
-      embeds: [
-        createEmbed(
-          `${EMOJIS.SUCCESS} Tune Scheduled`,
-          `Toki will remind you to **${taskName}**!\n\n` + // taskName is now used here
-            `🔔 Schedule: ${scheduleDesc} at ${selectedTime}\n` +
-            `⏰ Next reminder in: ${formatCountdown(nextInvocation)}`,
-        ),
-      ],
-      components: [row],
-    });
-  } catch (error) {
-    console.error("Error scheduling task:", error);
-    await interaction.update({
+  await interaction.editReply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.CALENDAR} ${t("calendar.subscribedTitle", { name })}`,
+        `${t(role ? "calendar.subscribedRole" : "calendar.subscribed", {
+          count: result.events,
+          channel: channel.toString(),
+          role: role?.toString(),
+        })}\n` +
+          `${t(source.type === "file" ? "calendar.rereads" : "calendar.update")}\n` +
+          `\n**${t("calendar.next")}**\n${next || t("calendar.nothingNext")}` +
+          (problems ? `\n\n**${t("import.leftOut")}**\n${problems}` : ""),
+      ),
+    ],
+  });
+}
+
+async function handleCalendarList(interaction) {
+  const guildId = interaction.guildId;
+  const calendars = (await db.get(`guild_${guildId}.calendars`)) || {};
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (Object.keys(calendars).length === 0) {
+    await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} Scheduling Error`,
-          "Failed to schedule the tune. Please try again.",
-          COLORS.ERROR,
+          `${EMOJIS.CALENDAR} ${t("calendar.title")}`,
+          t("calendar.empty"),
+          COLORS.INFO,
         ),
       ],
-      components: [],
+      ephemeral: true,
     });
+    return;
   }
+
+  const list = Object.values(calendars)
+    .map((calendar) => {
+      const { lastSync } = calendar;
+      const lastRead = moment(lastSync?.at).tz(calendar.timezone);
+      const status = !lastSync
+        ? t("calendar.notRead")
+        : lastSync.error
+          ? `${EMOJIS.WARNING} ${lastSync.error}`
+          : t("calendar.status", {
+              count: lastSync.events,
+              date: `${formatShortDateTime(lastRead, lang)} ${lastRead.format("z")}`,
+            });
+      return (
+        `**${calendar.name}**\n` +
+        `${EMOJIS.TASK} ${calendar.source.type === "file" ? `\`${calendar.source.path}\`` : t("calendar.uploaded")}: ${status}\n` +
+        `${EMOJIS.CHANNEL} <#${calendar.channelId}>` +
+        (calendar.roleId ? ` <@&${calendar.roleId}>` : "") +
+        "\n"
+      );
+    })
+    .join("\n");
+
+  await interaction.reply({
+    embeds: [createEmbed(`${EMOJIS.CALENDAR} ${t("calendar.title")}`, list)],
+    ephemeral: true,
+  });
 }
-async function handleDayConfirmation(interaction) {
-  const [_, __, taskName] = interaction.customId.split("_");
-  const selectedDaysList = Array.from(
-    selectedDays.get(interaction.user.id) || new Set(),
-  );
 
-  if (selectedDaysList.length === 0) {
-    await interaction.update({
+async function handleCalendarRemove(interaction) {
+  const guildId = interaction.guildId;
+  const name = interaction.options.getString("name");
+  const calendars = await db.get(`guild_${guildId}.calendars`);
+  const calendarId = findCalendarId(calendars, name);
+  const { t } = await getLocalizer(interaction);
+
+  if (!calendarId) {
+    await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} Invalid Selection`,
-          "Please select at least one day.",
+          `${EMOJIS.ERROR} ${t("calendar.notFoundTitle")}`,
+          t("calendar.notFound", { name }),
           COLORS.ERROR,
         ),
       ],
-      components: [],
+      ephemeral: true,
     });
     return;
   }
 
-  const timeOptions = generateTimeOptions();
-  const row = new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId(`time_custom_${taskName}_${selectedDaysList.join(",")}`)
-      .setPlaceholder("Select reminder time")
-      .addOptions(timeOptions),
-  );
-
-  await interaction.update({
+  stopCalendarJobs(guildId, calendarId);
+  await db.delete(`guild_${guildId}.calendars.${calendarId}`);
+  await interaction.reply({
     embeds: [
       createEmbed(
-        `${EMOJIS.CLOCK} Select Time`,
-        "Choose what time you want to be reminded:",
+        `${EMOJIS.SUCCESS} ${t("calendar.removedTitle")}`,
+        t("calendar.removed", { name: calendars[calendarId].name }),
       ),
     ],
-    components: [row],
+    ephemeral: true,
   });
-
-  selectedDays.delete(interaction.user.id);
 }
 
-// Restore reminders on startup
-async function restoreReminders() {
-  console.log("Restoring reminders...");
-  const allData = await db.all();
+// All stored guilds as [guildId, data], see getAllUserData
+async function getAllGuildData() {
+  const rows = await db.all();
+  return rows
+    .filter((row) => row.id.startsWith("guild_") && row.value)
+    .map((row) => [row.id.replace("guild_", ""), row.value]);
+}
 
-  for (const [key, value] of Object.entries(allData)) {
-    if (key.startsWith("user_") && value.tasks) {
-      const userId = key.replace("user_", "");
-      for (const [taskName, task] of Object.entries(value.tasks)) {
-        try {
-          await setupReminder(userId, taskName, task.schedule, task.time);
-          console.log(`Restored reminder: ${taskName} for user ${userId}`);
-        } catch (error) {
-          console.error(
-            `Failed to restore reminder: ${taskName} for user ${userId}`,
-            error,
-          );
+// Start jobs for team tunes that don't have one yet, on startup and in cleanup
+async function restoreTeamTunes() {
+  for (const [guildId, value] of await getAllGuildData()) {
+    for (const [tuneId, tune] of Object.entries(value.tunes || {})) {
+      if (activeReminders.has(`team_${guildId}_${tuneId}`)) continue;
+
+      try {
+        const runAt =
+          tune.schedule === "once"
+            ? getOneOffDate(tune.scheduleDay, tune.time, tune.timezone)
+            : null;
+        if (runAt && !runAt.isAfter(moment())) {
+          try {
+            await sendTeamReminder(guildId, tuneId, null, runAt);
+          } finally {
+            await removeTeamTune(guildId, tuneId);
+          }
+          continue;
+        }
+        await setupTeamReminder(guildId, tuneId, tune);
+        if (tune.schedule !== "once") {
+          await catchUpTeamReminder(guildId, tuneId, tune);
         }
+        console.log(`Restored team tune: ${tune.name} for guild ${guildId}`);
+      } catch (error) {
+        console.error(
+          `Failed to restore team tune: ${tune.name} for guild ${guildId}`,
+          error,
+        );
       }
     }
   }
-  console.log("Reminder restoration complete");
 }
 
-// Timezone Management
-async function handleTimezoneSelection(interaction, isFromAddTask = false) {
-  const row = new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId(`timezone_region${isFromAddTask ? "_addtask" : ""}`)
-      .setPlaceholder("Select your region")
-      .addOptions(
-        Object.entries(REGIONS).map(([region, emoji]) => ({
-          label: region,
-          value: region,
-          emoji: emoji,
-        })),
-      ),
-  );
+// How far a live job's next run may be from what its tune says before it counts as drift
+const DRIFT_TOLERANCE_MS = 60 * 1000;
 
-  await interaction.reply({
-    embeds: [
-      createEmbed(
-        `${EMOJIS.GLOBE} Set Your Timezone`,
-        "First, select your region:",
-      ),
-    ],
-    components: [row],
-    ephemeral: true,
-  });
+function formatUtc(date) {
+  return moment(new Date(date)).utc().format("YYYY-MM-DD HH:mm [UTC]");
 }
 
-async function handleTimezoneChoice(interaction) {
-  const [type, action] = interaction.customId.split("_");
+// What /diagnose can find wrong with a job, "diagnose.problem.<code>" in
+// the catalogs
+const SCHEDULE_PROBLEMS = {
+  RUNNING_WHILE_PAUSED: "runningWhilePaused",
+  UNKNOWN_TIMEZONE: "unknownTimezone",
+  INVALID_SCHEDULE: "invalidSchedule",
+  NO_JOB: "noJob",
+  JOB_NEVER_FIRES: "jobNeverFires",
+  SCHEDULE_NEVER_FIRES: "scheduleNeverFires",
+  DRIFT: "drift",
+  NO_TUNE: "noTune",
+};
 
-  if (interaction.customId.startsWith("timezone_region")) {
-    const selectedRegion = interaction.values[0];
-    const allTimezones = moment.tz
-      .names()
-      .filter((tz) => tz.startsWith(selectedRegion))
-      .map((tz) => ({
-        label: tz.split("/")[1].replace("_", " "),
-        value: tz,
-        description: `Current time: ${moment().tz(tz).format("HH:mm")}`,
-        emoji: EMOJIS.CLOCK,
-      }));
+// Stored data that can't be scheduled needs a human, not a restart
+const UNREPAIRABLE_PROBLEMS = new Set([
+  SCHEDULE_PROBLEMS.UNKNOWN_TIMEZONE,
+  SCHEDULE_PROBLEMS.INVALID_SCHEDULE,
+  SCHEDULE_PROBLEMS.SCHEDULE_NEVER_FIRES,
+]);
+
+// { code, values, message } with an English message for the logs
+function scheduleProblem(code, values = {}) {
+  return {
+    code,
+    values,
+    message: ENGLISH.t(`diagnose.problem.${code}`, values),
+  };
+}
 
-    const pages = Math.ceil(allTimezones.length / 25);
-    const timezonesPage = allTimezones.slice(0, 25);
+// What's wrong with one stored tune's live job, or null if nothing is
+function findScheduleProblem(reminderId, tune, shouldRun) {
+  const job = activeReminders.get(reminderId);
+  if (!shouldRun) {
+    return job ? scheduleProblem(SCHEDULE_PROBLEMS.RUNNING_WHILE_PAUSED) : null;
+  }
+  if (tune.timezone && !moment.tz.zone(tune.timezone)) {
+    return scheduleProblem(SCHEDULE_PROBLEMS.UNKNOWN_TIMEZONE, {
+      timezone: tune.timezone,
+    });
+  }
 
-    const rows = [];
-    rows.push(
-      new ActionRowBuilder().addComponents(
-        new StringSelectMenuBuilder()
-          .setCustomId(
-            `timezone_select${action === "addtask" ? "_addtask" : ""}`,
-          )
-          .setPlaceholder(`Select ${selectedRegion} timezone`)
-          .addOptions(timezonesPage),
-      ),
-    );
+  const expected =
+    tune.schedule === "once"
+      ? getOneOffDate(tune.scheduleDay, tune.time, tune.timezone).toDate()
+      : getNextRunAfter(
+          tune.schedule,
+          tune.time,
+          tune.scheduleDay,
+          tune.timezone,
+          new Date(),
+        );
+  if (!job) return scheduleProblem(SCHEDULE_PROBLEMS.NO_JOB);
+
+  const next = job.nextInvocation();
+  if (!next) return scheduleProblem(SCHEDULE_PROBLEMS.JOB_NEVER_FIRES);
+  if (!expected) return scheduleProblem(SCHEDULE_PROBLEMS.SCHEDULE_NEVER_FIRES);
+  const actual = new Date(next);
+  if (Math.abs(actual - expected) > DRIFT_TOLERANCE_MS) {
+    return scheduleProblem(SCHEDULE_PROBLEMS.DRIFT, {
+      actual: formatUtc(actual),
+      expected: formatUtc(expected),
+    });
+  }
+  return null;
+}
 
-    if (pages > 1) {
-      rows.push(
-        new ActionRowBuilder().addComponents(
-          new ButtonBuilder()
-            .setCustomId(`tz_prev_0_${selectedRegion}`)
-            .setLabel("◀️ Previous")
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true),
-          new ButtonBuilder()
-            .setCustomId(`tz_next_0_${selectedRegion}`)
-            .setLabel("Next ▶️")
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(pages === 1),
-        ),
+/**
+ * Compare every stored tune with its live job and look for missing jobs,
+ * jobs running while paused, next runs that drifted from the stored
+ * schedule and jobs left over from tunes that no longer exist. With repair
+ * the jobs are restarted (or stopped) from what is stored.
+ * Returns [{ id, tune, problem, repaired }], problem being { code, values,
+ * message } from scheduleProblem.
+ */
+async function checkScheduleConsistency({ repair = false } = {}) {
+  const issues = [];
+  const known = new Set();
+
+  const inspect = async (id, tune, shouldRun, fix) => {
+    known.add(id);
+    let problem;
+    try {
+      problem = findScheduleProblem(id, tune, shouldRun);
+    } catch (error) {
+      problem = scheduleProblem(SCHEDULE_PROBLEMS.INVALID_SCHEDULE, {
+        error: error.message,
+      });
+    }
+    if (!problem) return;
+
+    let repaired = false;
+    if (repair && !UNREPAIRABLE_PROBLEMS.has(problem.code)) {
+      try {
+        await fix();
+        repaired = true;
+      } catch (error) {
+        console.error(`Failed to repair job ${id}:`, error);
+      }
+    }
+    issues.push({ id, tune: tune.name, problem, repaired });
+  };
+
+  for (const [userId, value] of await getAllUserData()) {
+    const onVacation = isOnVacation(value);
+    for (const [guildId, scope] of getGuildScopes(value)) {
+      for (const [taskId, task] of Object.entries(scope.tasks || {})) {
+        const shouldRun = !task.paused && !onVacation;
+        await inspect(`${userId}_${guildId}_${taskId}`, task, shouldRun, () =>
+          shouldRun
+            ? restartTaskJobs(userId, guildId, taskId, task)
+            : stopTaskJobs(userId, guildId, taskId),
+        );
+      }
+    }
+  }
+
+  for (const [guildId, value] of await getAllGuildData()) {
+    for (const [tuneId, tune] of Object.entries(value.tunes || {})) {
+      await inspect(`team_${guildId}_${tuneId}`, tune, true, () =>
+        setupTeamReminder(guildId, tuneId, tune),
       );
     }
+  }
+
+  for (const [id, job] of activeReminders) {
+    if (known.has(id)) continue;
+    if (repair) {
+      job.cancel();
+      activeReminders.delete(id);
+    }
+    issues.push({
+      id,
+      tune: null,
+      problem: scheduleProblem(SCHEDULE_PROBLEMS.NO_TUNE),
+      repaired: repair,
+    });
+  }
 
-    await interaction.update({
+  return issues;
+}
+
+// The bot's owner, or any member of the team that owns the application
+async function isBotOwner(userId) {
+  const { owner } = await client.application.fetch();
+  if (!owner) return false;
+  return owner.members ? owner.members.has(userId) : owner.id === userId;
+}
+
+async function handleDiagnose(interaction) {
+  const { t } = await getLocalizer(interaction);
+  const describeProblem = ({ code, values }) =>
+    t(`diagnose.problem.${code}`, values);
+  if (!(await isBotOwner(interaction.user.id))) {
+    await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.GLOBE} Set Your Timezone`,
-          `Select your timezone in ${selectedRegion}:${pages > 1 ? `\nPage 1/${pages}` : ""}`,
+          `${EMOJIS.ERROR} ${t("diagnose.notAllowedTitle")}`,
+          t("diagnose.notAllowed"),
+          COLORS.ERROR,
         ),
       ],
-      components: rows,
+      ephemeral: true,
     });
-  } else {
-    const timezone = interaction.values[0];
-    await db.set(`user_${interaction.user.id}.timezone`, timezone);
+    return;
+  }
 
-    if (action === "addtask") {
-      // If this was from addtask, continue with task creation
-      const taskName = await db.get(`user_${interaction.user.id}.pendingTask`);
-      await db.delete(`user_${interaction.user.id}.pendingTask`);
-      await showScheduleOptions(interaction, taskName);
-    } else {
-      await interaction.update({
+  await interaction.deferReply({ ephemeral: true });
+  const repair = interaction.options.getBoolean("repair") ?? false;
+  const issues = await checkScheduleConsistency({ repair });
+
+  if (issues.length === 0) {
+    await interaction.editReply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.SUCCESS} ${t("diagnose.consistentTitle")}`,
+          t("diagnose.consistent", { count: activeReminders.size }),
+        ),
+      ],
+    });
+    return;
+  }
+
+  const lines = issues.map(
+    ({ id, tune, problem, repaired }) =>
+      `${repaired ? EMOJIS.SUCCESS : EMOJIS.WARNING} ${tune ? `**${tune}** ` : ""}\`${id}\`: ${describeProblem(problem)}`,
+  );
+  const shown = lines.slice(0, 20).join("\n");
+  const more =
+    lines.length > 20
+      ? `\n${t("diagnose.more", { count: lines.length - 20 })}`
+      : "";
+  issues.forEach(({ id, problem, repaired }) =>
+    console.log(
+      `Diagnose: ${id}: ${problem.message}${repaired ? " (repaired)" : ""}`,
+    ),
+  );
+
+  await interaction.editReply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.WARNING} ${t("diagnose.issuesTitle", { count: issues.length })}`,
+        shown + more + (repair ? "" : `\n\n${t("diagnose.repairHint")}`),
+        COLORS.WARNING,
+      ),
+    ],
+  });
+}
+
+async function handleDeliverySetting(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const target = interaction.options.getString("target");
+  const taskRef = interaction.options.getString("tune");
+  const { t } = await getLocalizer(interaction);
+  let task = null;
+
+  if (taskRef) {
+    const taskId = await resolveTaskId(userId, guildId, taskRef);
+    task = taskId && (await db.get(taskKey(userId, guildId, taskId)));
+    if (!task) {
+      await interaction.reply({
         embeds: [
           createEmbed(
-            `${EMOJIS.SUCCESS} Timezone Set`,
-            `Your timezone has been set to **${timezone}**\n` +
-              `Current time: ${moment().tz(timezone).format("HH:mm")}`,
+            `${EMOJIS.ERROR} ${t("tune.notFoundTitle")}`,
+            t("tune.notFound", { name: taskRef }),
+            COLORS.ERROR,
           ),
         ],
-        components: [],
+        ephemeral: true,
       });
+      return;
     }
+    await db.set(`${taskKey(userId, guildId, taskId)}.delivery`, target);
+  } else {
+    await db.set(`user_${userId}.delivery`, target);
   }
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.DM} ${t("delivery.updatedTitle")}`,
+        task
+          ? t(`delivery.tune.${target}`, { name: task.name })
+          : t(`delivery.all.${target}`),
+      ),
+    ],
+    ephemeral: true,
+  });
 }
 
 // Channel Setup
 async function handleChannelSetup(interaction) {
+  const { t } = await getLocalizer(interaction);
   try {
     const channels = interaction.guild.channels.cache
       .filter(
@@ -1317,8 +5927,8 @@ async function handleChannelSetup(interaction) {
       await interaction.reply({
         embeds: [
           createEmbed(
-            `${EMOJIS.ERROR} No Channels Available`,
-            "No suitable channels found. Please make sure I have permissions to send messages in at least one channel.",
+            `${EMOJIS.ERROR} ${t("channel.noneTitle")}`,
+            t("channel.none"),
             COLORS.ERROR,
           ),
         ],
@@ -1330,15 +5940,15 @@ async function handleChannelSetup(interaction) {
     const row = new ActionRowBuilder().addComponents(
       new StringSelectMenuBuilder()
         .setCustomId("channel_select")
-        .setPlaceholder("Select reminder channel")
+        .setPlaceholder(t("channel.placeholder"))
         .addOptions(channels),
     );
 
     await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.CHANNEL} Channel Setup`,
-          "Select the channel where you want to receive reminders:",
+          `${EMOJIS.CHANNEL} ${t("channel.setupTitle")}`,
+          t("channel.setup"),
         ),
       ],
       components: [row],
@@ -1349,8 +5959,8 @@ async function handleChannelSetup(interaction) {
     await interaction.reply({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} Error`,
-          "An error occurred while setting up channels. Please try again.",
+          `${EMOJIS.ERROR} ${t("error.title")}`,
+          t("channel.setupFailed"),
           COLORS.ERROR,
         ),
       ],
@@ -1360,17 +5970,25 @@ async function handleChannelSetup(interaction) {
 }
 
 async function handleChannelChoice(interaction) {
+  const { t } = await getLocalizer(interaction);
   try {
+    const guildId = getGuildScope(interaction);
     const channelId = interaction.values[0];
-    await db.set(`user_${interaction.user.id}.reminderChannel`, channelId);
+    await db.set(
+      `${guildKey(interaction.user.id, guildId)}.reminderChannel`,
+      channelId,
+    );
+    await db.delete(
+      `${guildKey(interaction.user.id, guildId)}.lastDeliveryError`,
+    );
     const channel = interaction.guild.channels.cache.get(channelId);
 
     // Send a test message to verify permissions
     const testMessage = await channel.send({
       embeds: [
         createEmbed(
-          `${EMOJIS.SUCCESS} Channel Test`,
-          "This is a test message to verify reminder permissions.",
+          `${EMOJIS.SUCCESS} ${t("channel.testTitle")}`,
+          t("channel.test"),
         ),
       ],
     });
@@ -1381,9 +5999,8 @@ async function handleChannelChoice(interaction) {
     await interaction.update({
       embeds: [
         createEmbed(
-          `${EMOJIS.SUCCESS} Channel Set`,
-          `Tune will be sent to ${channel.toString()}\n` +
-            "A test message has been sent and will be deleted in 5 seconds.",
+          `${EMOJIS.SUCCESS} ${t("channel.setTitle")}`,
+          t("channel.set", { channel: channel.toString() }),
         ),
       ],
       components: [],
@@ -1393,8 +6010,8 @@ async function handleChannelChoice(interaction) {
     await interaction.update({
       embeds: [
         createEmbed(
-          `${EMOJIS.ERROR} Error`,
-          "Failed to set tunes channel. Please make sure I have proper permissions.",
+          `${EMOJIS.ERROR} ${t("error.title")}`,
+          t("channel.setFailed"),
           COLORS.ERROR,
         ),
       ],
@@ -1403,6 +6020,618 @@ async function handleChannelChoice(interaction) {
   }
 }
 
+// Webhooks
+const webhookSender = createWebhookSender({
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === "true",
+});
+
+// Where targets live: the user's apply to every tune, a tune's only to it
+function webhookTargetsKey(userId, guildId, taskId) {
+  return taskId
+    ? `${taskKey(userId, guildId, taskId)}.webhooks`
+    : `user_${userId}.webhooks`;
+}
+
+function describeWebhookTarget(target) {
+  return `\`${target.id}\` ${target.format} → ${new URL(target.url).host}`;
+}
+
+/**
+ * Post a fired tune to the user's and the tune's webhooks and log the
+ * outcome on the tune. Retries can take a while, so sendReminder doesn't
+ * wait for this.
+ */
+async function fireWebhooks(
+  userId,
+  guildId,
+  taskId,
+  task,
+  nextInvocation,
+  missedAt,
+) {
+  const targets = [
+    ...((await db.get(`user_${userId}.webhooks`)) || []),
+    ...(task.webhooks || []),
+  ];
+  if (targets.length === 0) return;
+
+  const event = {
+    tuneId: taskId,
+    name: task.name,
+    schedule: `${formatScheduleDescription(task.schedule, task.scheduleDay)} at ${task.time}`,
+    firedAt: (missedAt ? missedAt.toDate() : new Date()).toISOString(),
+    nextInvocation: nextInvocation
+      ? new Date(nextInvocation).toISOString()
+      : null,
+    late: Boolean(missedAt),
+    userId,
+    guildId,
+  };
+  const entries = await Promise.all(
+    targets.map((target) => webhookSender.deliver(target, event)),
+  );
+  for (const entry of entries.filter((entry) => !entry.ok)) {
+    console.warn(`Webhook ${entry.targetId} failed: ${entry.error}`);
+  }
+
+  // One-off tunes are gone once they fired, their log goes with them
+  if (!(await db.get(taskKey(userId, guildId, taskId)))) return;
+  const logKey = `${taskKey(userId, guildId, taskId)}.webhookLog`;
+  await db.set(logKey, addLogEntries(await db.get(logKey), entries));
+}
+
+async function handleWebhook(interaction) {
+  switch (interaction.options.getSubcommand()) {
+    case "add":
+      await handleWebhookAdd(interaction);
+      break;
+    case "list":
+      await handleWebhookList(interaction);
+      break;
+    case "remove":
+      await handleWebhookRemove(interaction);
+      break;
+  }
+}
+
+async function handleWebhookAdd(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const format = interaction.options.getString("format") || "json";
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+  const fail = (title, description) =>
+    interaction.reply({
+      embeds: [
+        createEmbed(`${EMOJIS.ERROR} ${title}`, description, COLORS.ERROR),
+      ],
+      ephemeral: true,
+    });
+
+  const taskId = taskRef && (await resolveTaskId(userId, guildId, taskRef));
+  const task = taskId && (await db.get(taskKey(userId, guildId, taskId)));
+  if (taskRef && !task) {
+    await fail(t("tune.notFoundTitle"), t("tune.notFound", { name: taskRef }));
+    return;
+  }
+  const { url, error } = await validateWebhookUrl(
+    interaction.options.getString("url"),
+    { allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === "true", lang },
+  );
+  if (error) {
+    await fail(t("webhook.invalidTitle"), error);
+    return;
+  }
+
+  const key = webhookTargetsKey(userId, guildId, taskId);
+  const targets = (await db.get(key)) || [];
+  if (targets.length >= MAX_WEBHOOKS) {
+    await fail(
+      t("webhook.tooManyTitle"),
+      t(task ? "webhook.tooManyTune" : "webhook.tooMany", {
+        max: MAX_WEBHOOKS,
+      }),
+    );
+    return;
+  }
+  const target = createWebhookTarget(url, format);
+  await db.set(key, [...targets, target]);
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.WEBHOOK} ${t("webhook.addedTitle")}`,
+        `${t(task ? "webhook.addedTune" : "webhook.added", {
+          target: describeWebhookTarget(target),
+          name: task?.name,
+        })}\n\n` +
+          `${EMOJIS.KEY} ${t("webhook.secret", { secret: `||\`${target.secret}\`||` })}\n` +
+          t("webhook.signature", {
+            timestamp: `\`${TIMESTAMP_HEADER}\``,
+            signature: `\`${SIGNATURE_HEADER}\``,
+          }),
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleWebhookList(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const taskRef = interaction.options.getString("tune");
+  const userData = await db.get(`user_${userId}`);
+  const tasks = userData?.guilds?.[guildId]?.tasks || {};
+  const timezone = userData?.timezone || "UTC";
+  const lang = await getLocalizer(interaction);
+  const { t } = lang;
+
+  if (taskRef) {
+    const taskId = findTuneId(tasks, taskRef);
+    const task = taskId && tasks[taskId];
+    if (!task) {
+      await interaction.reply({
+        embeds: [
+          createEmbed(
+            `${EMOJIS.ERROR} ${t("tune.notFoundTitle")}`,
+            t("tune.notFound", { name: taskRef }),
+            COLORS.ERROR,
+          ),
+        ],
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const log = (task.webhookLog || [])
+      .slice(0, 10)
+      .map(
+        (entry) =>
+          `${entry.ok ? EMOJIS.CONFIRM : EMOJIS.ERROR} ` +
+          `${formatShortDateTime(moment(entry.at).tz(timezone), lang)} \`${entry.targetId}\` ` +
+          `${entry.ok ? entry.status : entry.error} ` +
+          `(${t("webhook.attempts", { count: entry.attempts })})`,
+      );
+    const describeTargets = (targets) =>
+      (targets || []).map(describeWebhookTarget).join("\n") ||
+      t("webhook.none");
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.WEBHOOK} ${t("webhook.tuneTitle", { name: task.name })}`,
+          `**${t("webhook.thisTune")}**\n${describeTargets(task.webhooks)}\n\n` +
+            `**${t("webhook.allTunes")}**\n${describeTargets(userData?.webhooks)}\n\n` +
+            `**${t("webhook.recent")}**\n${log.join("\n") || t("webhook.nothingSent")}`,
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const sections = [];
+  if (userData?.webhooks?.length) {
+    sections.push(
+      `**${t("webhook.allTunes")}**\n${userData.webhooks.map(describeWebhookTarget).join("\n")}`,
+    );
+  }
+  for (const task of Object.values(tasks)) {
+    if (task.webhooks?.length) {
+      sections.push(
+        `**${task.name}**\n${task.webhooks.map(describeWebhookTarget).join("\n")}`,
+      );
+    }
+  }
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.WEBHOOK} ${t("webhook.title")}`,
+        sections.length
+          ? `${sections.join("\n\n")}\n\n${t("webhook.listHint")}`
+          : t("webhook.empty"),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+async function handleWebhookRemove(interaction) {
+  const guildId = getGuildScope(interaction);
+  const userId = interaction.user.id;
+  const id = interaction.options.getString("id").trim();
+  const tasks = (await db.get(`${guildKey(userId, guildId)}.tasks`)) || {};
+  const { t } = await getLocalizer(interaction);
+
+  // The id is either one of the user's or one of a tune's in this scope
+  for (const taskId of [null, ...Object.keys(tasks)]) {
+    const key = webhookTargetsKey(userId, guildId, taskId);
+    const targets = (await db.get(key)) || [];
+    const target = targets.find((candidate) => candidate.id === id);
+    if (!target) continue;
+
+    await db.set(
+      key,
+      targets.filter((candidate) => candidate !== target),
+    );
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.SUCCESS} ${t("webhook.removedTitle")}`,
+          t("webhook.removed", { target: describeWebhookTarget(target) }),
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.ERROR} ${t("webhook.notFoundTitle")}`,
+        t("webhook.notFound", { id }),
+        COLORS.ERROR,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+// Local HTTP API
+// The operations behind httpApi.js's routes, acting on the token owner's
+// tunes with the same checks as the slash commands
+
+async function handleApiToken(interaction) {
+  const userId = interaction.user.id;
+  const revoke = interaction.options.getBoolean("revoke");
+  const previous = await db.get(`user_${userId}.apiToken`);
+  if (previous) await apiTokens.delete(previous);
+  const { t } = await getLocalizer(interaction);
+
+  if (revoke) {
+    await db.delete(`user_${userId}.apiToken`);
+    await interaction.reply({
+      embeds: [
+        createEmbed(
+          `${EMOJIS.KEY} ${t("apiToken.revokedTitle")}`,
+          t(previous ? "apiToken.revoked" : "apiToken.none"),
+          COLORS.INFO,
+        ),
+      ],
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const token = createApiToken();
+  const tokenHash = hashToken(token);
+  await apiTokens.set(tokenHash, {
+    userId,
+    createdAt: new Date().toISOString(),
+  });
+  await db.set(`user_${userId}.apiToken`, tokenHash);
+
+  await interaction.reply({
+    embeds: [
+      createEmbed(
+        `${EMOJIS.KEY} ${t("apiToken.title")}`,
+        `\`${token}\`\n\n${t("apiToken.usage")}` +
+          (process.env.API_PORT
+            ? ""
+            : `\n\n${EMOJIS.WARNING} ${t("apiToken.disabled")}`),
+        COLORS.INFO,
+      ),
+    ],
+    ephemeral: true,
+  });
+}
+
+// Errors are written for embeds, the API returns them without the bold
+function apiError(error, code = "invalid") {
+  return { error: error.replace(/\*\*/g, ""), code };
+}
+
+// The API reads the same string inputs as the slash command options
+function findNonString(body, fields) {
+  return fields.find(
+    (field) => body[field] !== undefined && typeof body[field] !== "string",
+  );
+}
+
+function toApiTune(userId, guildId, taskId, task) {
+  const nextInvocation = activeReminders
+    .get(`${userId}_${guildId}_${taskId}`)
+    ?.nextInvocation();
+  return {
+    id: taskId,
+    guildId,
+    name: task.name,
+    schedule: task.schedule,
+    scheduleDay: task.scheduleDay ?? null,
+    time: task.time,
+    timezone: task.timezone,
+    description: `${formatScheduleDescription(task.schedule, task.scheduleDay)} at ${task.time}`,
+    leads: task.leads || [],
+    paused: task.paused || null,
+    nextReminder: nextInvocation
+      ? new Date(nextInvocation).toISOString()
+      : null,
+  };
+}
+
+// Returns { task } for the tune in the URL, or an API error
+async function findApiTune(userId, { guildId, tuneId }) {
+  const validScope = guildId === DM_SCOPE || /^\d+$/.test(guildId);
+  const task =
+    validScope &&
+    isTuneId(tuneId) &&
+    (await db.get(taskKey(userId, guildId, tuneId)));
+  return task ? { task } : apiError(ENGLISH.t("api.noSuchTune"), "not_found");
+}
+
+// Tunes can only be created in DMs or in a server the user shares with Toki
+async function canUseScope(userId, guildId) {
+  if (guildId === DM_SCOPE) return true;
+  if (!/^\d+$/.test(guildId)) return false;
+  try {
+    const guild = await client.guilds.fetch(guildId);
+    await guild.members.fetch(userId);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const apiOperations = {
+  async list({ userId }) {
+    const userData = await db.get(`user_${userId}`);
+    return {
+      tunes: getGuildScopes(userData).flatMap(([guildId, scope]) =>
+        Object.entries(scope.tasks || {}).map(([taskId, task]) =>
+          toApiTune(userId, guildId, taskId, task),
+        ),
+      ),
+    };
+  },
+
+  async get({ userId, params }) {
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+    return { tune: toApiTune(userId, params.guildId, params.tuneId, task) };
+  },
+
+  // { name, when, before?, guildId? } like /addtune, in DMs by default
+  async create({ userId, body }) {
+    const nonString = findNonString(body, [
+      "guildId",
+      "name",
+      "when",
+      "before",
+    ]);
+    if (nonString) {
+      return apiError(ENGLISH.t("api.notString", { field: nonString }));
+    }
+    if (!body.when) return apiError(ENGLISH.t("api.missingWhen"));
+    const guildId = body.guildId || DM_SCOPE;
+    if (!(await canUseScope(userId, guildId))) {
+      return apiError(ENGLISH.t("api.notInServer"), "not_found");
+    }
+    const timezone = await db.get(`user_${userId}.timezone`);
+    if (!timezone) return apiError(ENGLISH.t("api.noTimezone"));
+
+    const { name, error, taken } = await checkTuneName(
+      userId,
+      guildId,
+      body.name,
+    );
+    if (error) return apiError(error, taken ? "conflict" : "invalid");
+    const { leads = [], error: leadError } = body.before
+      ? parseLeadTimes(body.before)
+      : {};
+    if (leadError) return apiError(leadError);
+    const { parsed, error: scheduleError } = readTuneSchedule(
+      body.when,
+      timezone,
+    );
+    if (scheduleError) return apiError(scheduleError);
+
+    const { taskId } = await createTune(
+      userId,
+      guildId,
+      name,
+      parsed.schedule,
+      parsed.time,
+      parsed.scheduleDay,
+      { leads },
+    );
+    const task = await db.get(taskKey(userId, guildId, taskId));
+    return { tune: toApiTune(userId, guildId, taskId, task) };
+  },
+
+  // { name?, time?, when?, before?, catchUp? } like /edittune
+  async update({ userId, params, body }) {
+    const { guildId, tuneId } = params;
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+
+    const fields = ["name", "time", "when", "before", "catchUp"];
+    const nonString = findNonString(body, fields);
+    if (nonString) {
+      return apiError(ENGLISH.t("api.notString", { field: nonString }));
+    }
+    if (!fields.some((field) => body[field] !== undefined)) {
+      return apiError(
+        ENGLISH.t("api.nothingToUpdate", { fields: fields.join(", ") }),
+      );
+    }
+
+    let name = task.name;
+    if (body.name !== undefined) {
+      const checked = await checkTuneName(userId, guildId, body.name, tuneId);
+      if (checked.error) {
+        return apiError(checked.error, checked.taken ? "conflict" : "invalid");
+      }
+      name = checked.name;
+    }
+    const { leads, error: leadError } =
+      body.before !== undefined ? parseLeadTimes(body.before) : {};
+    if (leadError) return apiError(leadError);
+    if (
+      body.catchUp !== undefined &&
+      !Object.values(CATCH_UP).includes(body.catchUp)
+    ) {
+      return apiError(
+        ENGLISH.t("api.invalidCatchUp", {
+          policies: Object.values(CATCH_UP).join(", "),
+        }),
+      );
+    }
+
+    let time = task.time;
+    if (body.time !== undefined) {
+      time = parseTimeOfDay(body.time);
+      if (!time) return apiError(ENGLISH.t("time.invalid"));
+    }
+    let { schedule, scheduleDay } = task;
+    if (body.when !== undefined) {
+      const timezone =
+        task.timezone || (await db.get(`user_${userId}.timezone`)) || "UTC";
+      const parsed = readEditedSchedule(body.when, time, timezone);
+      if (!parsed) {
+        return apiError(ENGLISH.t("when.unreadable", { when: body.when }));
+      }
+      ({ schedule, scheduleDay } = parsed);
+      if (body.time === undefined) time = parsed.time;
+    }
+
+    try {
+      await updateTune(userId, guildId, tuneId, task, {
+        name,
+        time,
+        schedule,
+        scheduleDay,
+        leads,
+        catchUp: body.catchUp,
+      });
+    } catch (error) {
+      console.error("Error editing tune over the API:", error);
+      return apiError(ENGLISH.t("edit.failed"), "failed");
+    }
+    const updated = await db.get(taskKey(userId, guildId, tuneId));
+    return { tune: toApiTune(userId, guildId, tuneId, updated) };
+  },
+
+  async remove({ userId, params }) {
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+    await deleteTune(userId, params.guildId, params.tuneId);
+    return { removed: params.tuneId };
+  },
+
+  // { until? } like /pausetune
+  async pause({ userId, params, body }) {
+    const { guildId, tuneId } = params;
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+    if (findNonString(body, ["until"])) {
+      return apiError(ENGLISH.t("api.notString", { field: "until" }));
+    }
+
+    const timezone = (await db.get(`user_${userId}.timezone`)) || "UTC";
+    const until = body.until ? parseResumeDate(body.until, timezone) : null;
+    if (body.until && !until) return apiError(ENGLISH.t("pause.invalidDate"));
+    await pauseTask(userId, guildId, tuneId, until);
+    const paused = await db.get(taskKey(userId, guildId, tuneId));
+    return { tune: toApiTune(userId, guildId, tuneId, paused) };
+  },
+
+  async resume({ userId, params }) {
+    const { guildId, tuneId } = params;
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+    if (!(await resumeTask(userId, guildId, tuneId))) {
+      return apiError(ENGLISH.t("api.notPaused"), "conflict");
+    }
+    const resumed = await db.get(taskKey(userId, guildId, tuneId));
+    return { tune: toApiTune(userId, guildId, tuneId, resumed) };
+  },
+
+  // Deliver a one-time sample without touching the schedule or history
+  async test({ userId, params }) {
+    const { guildId } = params;
+    const { task, ...notFound } = await findApiTune(userId, params);
+    if (!task) return notFound;
+
+    // The API answers in English, the reminder itself is in the user's language
+    const { t } = await getUserLocalizer(userId, guildId);
+    const sent = await deliverReminder(userId, guildId, task, {
+      content: `${EMOJIS.REMINDER} <@${userId}>`,
+      embeds: [
+        createEmbed(
+          `${EMOJIS.REMINDER} ${t("reminder.testTitle", { name: task.name })}`,
+          t("reminder.test"),
+          COLORS.INFO,
+        ),
+      ],
+      allowedMentions: { users: [userId] },
+    });
+    if (sent.length === 0) {
+      const failure = await db.get(
+        `${guildKey(userId, guildId)}.lastDeliveryError`,
+      );
+      return apiError(
+        ENGLISH.t("api.deliveryFailed", {
+          reason: failure?.reason ?? ENGLISH.t("api.unknownError"),
+        }),
+        "delivery_failed",
+      );
+    }
+    return { delivered: sent.length };
+  },
+};
+
+async function getApiHealth() {
+  const jobs = Object.values(nodeSchedule.scheduledJobs);
+  const nextRuns = jobs
+    .map((job) => job.nextInvocation())
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime());
+  const ready = client.isReady();
+  return {
+    ok: ready,
+    discord: ready ? "connected" : "disconnected",
+    activeReminders: activeReminders.size,
+    scheduler: {
+      jobs: jobs.length,
+      nextRun: nextRuns.length
+        ? new Date(Math.min(...nextRuns)).toISOString()
+        : null,
+    },
+    uptime: Math.round(process.uptime()),
+  };
+}
+
+// Serve the API when API_PORT is set, on localhost unless API_HOST says otherwise
+function startApiServer() {
+  const port = Number(process.env.API_PORT);
+  if (!port) return;
+  const host = process.env.API_HOST || "127.0.0.1";
+
+  const server = createApiServer({
+    authenticate: async (tokenHash) =>
+      (await apiTokens.get(tokenHash))?.userId ?? null,
+    health: getApiHealth,
+    tunes: apiOperations,
+  });
+  server.on("error", (error) => console.error("HTTP API error:", error));
+  server.listen(port, host, () =>
+    console.log(`HTTP API listening on http://${host}:${port}`),
+  );
+}
+
 // Client ready event handler
 client.once(Events.ClientReady, async () => {
   console.log(`Logged in as ${client.user.tag}!`);
@@ -1412,13 +6641,24 @@ client.once(Events.ClientReady, async () => {
     );
     console.log("Started refreshing application (/) commands.");
     await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), {
-      body: commands,
+      body: commands.map((command) => localizeCommand(command.toJSON())),
     });
     console.log("Successfully reloaded application (/) commands.");
+    await migrateGuildScopes();
+    await migrateTuneIds();
     await restoreReminders();
+    await restoreTeamTunes();
+    await syncAllCalendars();
+    const issues = await checkScheduleConsistency({ repair: true });
+    for (const { id, problem, repaired } of issues) {
+      console.warn(
+        `Schedule check: ${id}: ${problem.message}${repaired ? " (repaired)" : ""}`,
+      );
+    }
   } catch (error) {
     console.error("Error during startup:", error);
   }
+  startApiServer();
 });
 
 // Start the bot
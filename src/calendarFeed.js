@@ -0,0 +1,175 @@
+/**
+ * Calendar feeds
+ * Turns a subscribed .ics file into the occurrences Toki should remind on:
+ * recurring events are expanded with their RRULE, EXDATEs drop single
+ * occurrences and events with a RECURRENCE-ID move or cancel one.
+ * Occurrences are keyed by event UID and start, so a re-read can be
+ * reconciled with the jobs already scheduled.
+ */
+
+const moment = require("moment-timezone");
+const { getNextOccurrence } = require("./recurrence");
+const { createLocalizer } = require("./i18n");
+const {
+  unescapeText,
+  readEvents,
+  parseDateTimes,
+  parseDateTime,
+  parseRRule,
+} = require("./icalendar");
+
+// Never walk a single series further than this
+const MAX_EXPANSION = 5000;
+
+/**
+ * Read a calendar into events: [{ uid, summary, start, rrule, exdates,
+ * overrides }]. exdates holds cancelled starts as ISO strings, overrides
+ * maps an original start to { start, summary } or null when cancelled.
+ * Returns { events, problems }, problems being "summary: reason" lines for
+ * events that were left out, in lang's language (English by default), as is
+ * the summary of events without one.
+ * Throws if the text isn't a calendar.
+ */
+function parseFeed(text, { timezone = "UTC", lang = createLocalizer() } = {}) {
+  if (!text.trimStart().startsWith("BEGIN:VCALENDAR")) {
+    throw new Error(lang.t("ical.notCalendar"));
+  }
+
+  const events = new Map();
+  const exceptions = [];
+  const problems = [];
+
+  for (const properties of readEvents(text)) {
+    const property = (name) => properties.find((entry) => entry.name === name);
+    const uid = property("UID")?.value;
+    const title = property("SUMMARY")?.value;
+    const summary = title ? unescapeText(title) : lang.t("calendar.untitled");
+    const cancelled = property("STATUS")?.value === "CANCELLED";
+
+    try {
+      if (!uid) throw new Error(lang.t("calendar.missingUid"));
+      const start = parseDateTime(property("DTSTART"), timezone, lang);
+
+      if (property("RECURRENCE-ID")) {
+        exceptions.push({
+          uid,
+          original: parseDateTime(property("RECURRENCE-ID"), timezone, lang),
+          override: cancelled ? null : { start, summary },
+        });
+        continue;
+      }
+      if (cancelled) continue;
+
+      const rrule = property("RRULE");
+      const exdates = new Set();
+      for (const exdate of properties.filter(
+        (entry) => entry.name === "EXDATE",
+      )) {
+        for (const date of parseDateTimes(exdate, timezone, lang)) {
+          exdates.add(date.toISOString());
+        }
+      }
+      events.set(uid, {
+        uid,
+        summary,
+        start,
+        rrule: rrule ? parseRRule(rrule.value, start, lang) : null,
+        exdates,
+        overrides: new Map(),
+      });
+    } catch (error) {
+      problems.push(`${summary}: ${error.message}`);
+    }
+  }
+
+  // Exceptions can come before their series in the file
+  for (const { uid, original, override } of exceptions) {
+    events.get(uid)?.overrides.set(original.toISOString(), override);
+  }
+  return { events: [...events.values()], problems };
+}
+
+// Every start of a series up to `to`, before EXDATEs and overrides
+function expandSeries(event, from, to) {
+  const { start, rrule } = event;
+  if (!rrule) return start.isAfter(to) ? [] : [start];
+
+  const { rule, count, until, exactMonthDay } = rrule;
+  const time = start.format("HH:mm");
+  const timezone = start.tz();
+  const starts = [start];
+  // A COUNT has to be counted from the first occurrence on
+  let cursor =
+    count === null && from.isAfter(start) ? from.clone() : start.clone();
+
+  for (let i = 0; i < MAX_EXPANSION; i++) {
+    if (count !== null && starts.length >= count) break;
+    const next = getNextOccurrence(rule, time, timezone, cursor.toDate());
+    if (!next || next.isAfter(to) || (until && next.isAfter(until))) break;
+    cursor = next;
+    if (exactMonthDay && next.date() !== rule.monthDay) continue;
+    if (!next.isSame(start)) starts.push(next);
+  }
+  return starts;
+}
+
+/**
+ * Occurrences of an event starting after `from` and up to `to`, oldest
+ * first: [{ key, at, summary }] with at a moment in the event's timezone.
+ */
+function getOccurrences(event, from, to) {
+  const occurrences = [];
+  const add = (at, summary) => {
+    if (at.isAfter(from) && !at.isAfter(to)) {
+      occurrences.push({
+        key: `${event.uid}@${at.toISOString()}`,
+        at,
+        summary,
+      });
+    }
+  };
+
+  for (const start of expandSeries(event, from, to)) {
+    const id = start.toISOString();
+    if (event.exdates.has(id) || event.overrides.has(id)) continue;
+    add(start, event.summary);
+  }
+  // Moved occurrences count where they were moved to
+  for (const override of event.overrides.values()) {
+    if (override) add(override.start, override.summary);
+  }
+  return occurrences.sort((a, b) => a.at - b.at);
+}
+
+// Upcoming occurrences of every event in a feed, soonest first
+function getUpcoming(events, from, to) {
+  return events
+    .flatMap((event) => getOccurrences(event, moment(from), moment(to)))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * What to change so the scheduled occurrences (a Map of key to { summary })
+ * match the wanted ones: returns { add, remove }, add being occurrences and
+ * remove keys. A renamed occurrence is removed and added again.
+ */
+function planSync(scheduled, occurrences) {
+  const wanted = new Map(
+    occurrences.map((occurrence) => [occurrence.key, occurrence]),
+  );
+  return {
+    add: occurrences.filter(
+      (occurrence) =>
+        scheduled.get(occurrence.key)?.summary !== occurrence.summary,
+    ),
+    remove: [...scheduled.keys()].filter(
+      (key) => wanted.get(key)?.summary !== scheduled.get(key).summary,
+    ),
+  };
+}
+
+module.exports = {
+  parseFeed,
+  getUpcoming,
+  planSync,
+};
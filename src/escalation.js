@@ -0,0 +1,80 @@
+/**
+ * Escalation policies
+ * Tunes that must not be ignored can opt into re-pings until a reminder is
+ * acknowledged. A policy looks like { after, repeats, dm, backup }: the first
+ * re-ping comes `after` minutes after the reminder, each following one
+ * waits twice as long as the one before, and once `repeats` re-pings went
+ * unanswered Toki can DM the owner and/or mention backup ({ id, type },
+ * type being "user" or "role").
+ */
+
+const { createLocalizer } = require("./i18n");
+
+const MAX_REPEATS = 5;
+
+// Returns { policy } or { error } to show the user in lang's language
+// (English by default)
+function createEscalationPolicy(
+  { after, repeats, dm = false, backup = null },
+  lang = createLocalizer(),
+) {
+  if (!Number.isInteger(after) || after < 1) {
+    return { error: lang.t("escalation.invalidAfter") };
+  }
+  if (!Number.isInteger(repeats) || repeats < 0 || repeats > MAX_REPEATS) {
+    return { error: lang.t("escalation.invalidRepeats", { max: MAX_REPEATS }) };
+  }
+  if (repeats === 0 && !dm && !backup) {
+    return { error: lang.t("escalation.nothingToDo") };
+  }
+  return { policy: { after, repeats, dm: Boolean(dm), backup } };
+}
+
+/**
+ * When each step of a policy happens for a reminder sent at sentAt:
+ * [{ at, attempt, final }], attempt counting re-pings from 1. The final
+ * step (DM or backup) only exists if the policy has one, it comes one more
+ * interval after the last re-ping.
+ */
+function getEscalationSteps(policy, sentAt) {
+  const steps = [];
+  let at = new Date(sentAt).getTime();
+  let interval = policy.after;
+
+  for (let attempt = 1; attempt <= policy.repeats; attempt++) {
+    at += interval * 60 * 1000;
+    steps.push({ at: new Date(at), attempt, final: false });
+    interval *= 2;
+  }
+  if (policy.dm || policy.backup) {
+    at += (policy.repeats === 0 ? policy.after : interval) * 60 * 1000;
+    steps.push({ at: new Date(at), attempt: policy.repeats + 1, final: true });
+  }
+  return steps;
+}
+
+/**
+ * The steps still to run at `now` for a reminder sent at sentAt, e.g. when
+ * Toki restarts mid-escalation. Steps that came due while it was offline
+ * collapse into the latest of them, so one late re-ping (or the final step)
+ * goes out instead of a burst of them.
+ */
+function getRemainingSteps(policy, sentAt, now = new Date()) {
+  const steps = getEscalationSteps(policy, sentAt);
+  const upcoming = steps.filter((step) => step.at > now);
+  const overdue = steps.length - upcoming.length;
+  return overdue > 0 ? [steps[overdue - 1], ...upcoming] : upcoming;
+}
+
+function formatBackupMention(backup) {
+  if (!backup) return null;
+  return backup.type === "role" ? `<@&${backup.id}>` : `<@${backup.id}>`;
+}
+
+module.exports = {
+  MAX_REPEATS,
+  createEscalationPolicy,
+  getEscalationSteps,
+  getRemainingSteps,
+  formatBackupMention,
+};
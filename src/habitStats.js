@@ -0,0 +1,78 @@
+/**
+ * Habit statistics
+ * Works on the occurrence log kept for each tune: every time a reminder fires
+ * an entry { at, status } is appended, status being one of
+ * "pending", "completed", "missed" or "skipped"
+ */
+
+const STATUS = {
+  PENDING: "pending",
+  COMPLETED: "completed",
+  MISSED: "missed",
+  SKIPPED: "skipped",
+};
+
+// Keep the log bounded, roughly a year of daily reminders
+const MAX_OCCURRENCES = 400;
+
+function addOccurrence(occurrences, at, status = STATUS.PENDING) {
+  return [...(occurrences || []), { at: new Date(at).toISOString(), status }]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-MAX_OCCURRENCES);
+}
+
+// Mark pending occurrences older than the window as missed
+function settleOccurrences(occurrences, windowMinutes, now = new Date()) {
+  const cutoff = new Date(now).getTime() - windowMinutes * 60 * 1000;
+  return (occurrences || []).map((occurrence) =>
+    occurrence.status === STATUS.PENDING &&
+    new Date(occurrence.at).getTime() < cutoff
+      ? { ...occurrence, status: STATUS.MISSED }
+      : occurrence,
+  );
+}
+
+// Index of the latest occurrence still waiting to be marked done, or -1
+function findPendingIndex(occurrences) {
+  for (let i = (occurrences || []).length - 1; i >= 0; i--) {
+    if (occurrences[i].status === STATUS.PENDING) return i;
+  }
+  return -1;
+}
+
+/**
+ * Streaks count consecutive completed occurrences. Skipped ones neither
+ * break nor extend a streak, and pending ones are ignored until settled.
+ */
+function computeStats(occurrences) {
+  let bestStreak = 0;
+  let run = 0;
+  const counts = { completed: 0, missed: 0, skipped: 0, pending: 0 };
+
+  for (const occurrence of occurrences || []) {
+    counts[occurrence.status] = (counts[occurrence.status] || 0) + 1;
+    if (occurrence.status === STATUS.COMPLETED) {
+      run++;
+      bestStreak = Math.max(bestStreak, run);
+    } else if (occurrence.status === STATUS.MISSED) {
+      run = 0;
+    }
+  }
+  const currentStreak = run;
+
+  const settled = counts.completed + counts.missed;
+  return {
+    currentStreak,
+    bestStreak,
+    completionRate: settled > 0 ? counts.completed / settled : null,
+    ...counts,
+  };
+}
+
+module.exports = {
+  STATUS,
+  addOccurrence,
+  settleOccurrences,
+  findPendingIndex,
+  computeStats,
+};
@@ -0,0 +1,198 @@
+/**
+ * Habit heatmap renderer
+ * Draws a GitHub-style grid of completions per day and encodes it as a PNG
+ * with node's zlib only, so reports never depend on external chart services
+ */
+
+const zlib = require("zlib");
+const moment = require("moment-timezone");
+
+const PALETTE = {
+  background: [255, 255, 255],
+  label: [87, 96, 106],
+  none: [235, 237, 240],
+  skipped: [208, 215, 222],
+  missed: [248, 81, 73],
+  partial: [155, 233, 168],
+  mostly: [64, 196, 99],
+  completed: [33, 110, 57],
+};
+
+const CELL = 14;
+const GAP = 3;
+const PADDING = 12;
+const LABEL_WIDTH = 16;
+const BLOCK_GAP = 14;
+
+// 3x5 digits, one row per string, used to number each tune's grid
+const DIGITS = [
+  ["111", "101", "101", "101", "111"],
+  ["010", "110", "010", "010", "111"],
+  ["111", "001", "111", "100", "111"],
+  ["111", "001", "111", "001", "111"],
+  ["101", "101", "111", "001", "001"],
+  ["111", "100", "111", "001", "111"],
+  ["111", "100", "111", "101", "111"],
+  ["111", "001", "010", "010", "010"],
+  ["111", "101", "111", "101", "111"],
+  ["111", "101", "111", "001", "111"],
+];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode an RGB pixel buffer (width * height * 3 bytes) as a PNG
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLength + 1)] = 0; // filter: none
+    pixels.copy(
+      raw,
+      y * (rowLength + 1) + 1,
+      y * rowLength,
+      (y + 1) * rowLength,
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const fill = (x, y, w, h, color) => {
+    for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+      for (let col = Math.max(0, x); col < Math.min(width, x + w); col++) {
+        const offset = (row * width + col) * 3;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+      }
+    }
+  };
+  fill(0, 0, width, height, PALETTE.background);
+  return { pixels, fill };
+}
+
+function drawNumber(canvas, number, x, y, scale = 2) {
+  String(number)
+    .split("")
+    .forEach((digit, index) => {
+      DIGITS[Number(digit)].forEach((line, row) => {
+        line.split("").forEach((bit, col) => {
+          if (bit === "1") {
+            canvas.fill(
+              x + (index * 4 + col) * scale,
+              y + row * scale,
+              scale,
+              scale,
+              PALETTE.label,
+            );
+          }
+        });
+      });
+    });
+}
+
+// Color for one day given that day's occurrences
+function dayColor(occurrences) {
+  if (occurrences.length === 0) return PALETTE.none;
+  const completed = occurrences.filter((o) => o.status === "completed").length;
+  const settled = occurrences.filter((o) =>
+    ["completed", "missed"].includes(o.status),
+  ).length;
+
+  if (settled === 0) return PALETTE.skipped;
+  if (completed === 0) return PALETTE.missed;
+  if (completed === settled) return PALETTE.completed;
+  return completed / settled >= 0.5 ? PALETTE.mostly : PALETTE.partial;
+}
+
+// Group occurrences by local calendar day
+function groupByDay(occurrences, timezone) {
+  const days = new Map();
+  for (const occurrence of occurrences || []) {
+    const key = moment(occurrence.at).tz(timezone).format("YYYY-MM-DD");
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(occurrence);
+  }
+  return days;
+}
+
+/**
+ * Render one grid per tune: columns are ISO weeks, rows Monday to Sunday.
+ * tunes is [{ occurrences }], start and end are "YYYY-MM-DD" in timezone.
+ * Grids are numbered from 1 in the order given. Returns a PNG buffer.
+ */
+function renderHeatmap(tunes, { start, end, timezone }) {
+  const first = moment.tz(start, "YYYY-MM-DD", timezone);
+  const last = moment.tz(end, "YYYY-MM-DD", timezone);
+  const firstWeek = first.clone().startOf("isoWeek");
+  const columns = last.clone().startOf("isoWeek").diff(firstWeek, "weeks") + 1;
+
+  const gridWidth = columns * (CELL + GAP) - GAP;
+  const gridHeight = 7 * (CELL + GAP) - GAP;
+  const width = PADDING * 2 + LABEL_WIDTH + gridWidth;
+  const height =
+    PADDING * 2 +
+    tunes.length * gridHeight +
+    Math.max(0, tunes.length - 1) * BLOCK_GAP;
+  const canvas = createCanvas(width, height);
+
+  tunes.forEach((tune, index) => {
+    const top = PADDING + index * (gridHeight + BLOCK_GAP);
+    drawNumber(canvas, index + 1, PADDING, top);
+
+    const days = groupByDay(tune.occurrences, timezone);
+    for (
+      const day = first.clone();
+      !day.isAfter(last, "day");
+      day.add(1, "day")
+    ) {
+      const column = day.clone().startOf("isoWeek").diff(firstWeek, "weeks");
+      const row = day.isoWeekday() - 1;
+      canvas.fill(
+        PADDING + LABEL_WIDTH + column * (CELL + GAP),
+        top + row * (CELL + GAP),
+        CELL,
+        CELL,
+        dayColor(days.get(day.format("YYYY-MM-DD")) || []),
+      );
+    }
+  });
+
+  return encodePng(width, height, canvas.pixels);
+}
+
+module.exports = {
+  renderHeatmap,
+};
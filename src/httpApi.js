@@ -0,0 +1,195 @@
+/**
+ * Local HTTP API
+ * An optional REST API for managing tunes from scripts and other tools.
+ * Requests send a personal token from /apitoken as
+ * "Authorization: Bearer <token>" and act on that user's tunes. Routing and
+ * auth live here; the tune operations are passed in by the bot so they go
+ * through the same validation and scheduling as the slash commands.
+ *
+ * Operations resolve to a JSON-able result, or to { error, code } where code
+ * is one of ERROR_STATUS's keys.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const ERROR_STATUS = {
+  invalid: 400,
+  unauthorized: 401,
+  not_found: 404,
+  conflict: 409,
+  too_large: 413,
+  failed: 500,
+  delivery_failed: 502,
+};
+
+// Only hashes are stored, a leaked database doesn't leak working tokens
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function createApiToken() {
+  return `toki_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function readBearerToken(header) {
+  const match = (header || "").match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      // Keep draining the rest so the 413 reaches the client
+      if (size > MAX_BODY_BYTES) {
+        reject(
+          Object.assign(new Error("Body too large"), { code: "too_large" }),
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text.trim()) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("Not an object");
+        }
+        resolve(body);
+      } catch {
+        reject(
+          Object.assign(new Error("The body must be a JSON object"), {
+            code: "invalid",
+          }),
+        );
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+// [method, path pattern, operation name]; ":x" segments become params
+const ROUTES = [
+  ["GET", "/tunes", "list"],
+  ["POST", "/tunes", "create"],
+  ["GET", "/tunes/:guildId/:tuneId", "get"],
+  ["PATCH", "/tunes/:guildId/:tuneId", "update"],
+  ["DELETE", "/tunes/:guildId/:tuneId", "remove"],
+  ["POST", "/tunes/:guildId/:tuneId/pause", "pause"],
+  ["POST", "/tunes/:guildId/:tuneId/resume", "resume"],
+  ["POST", "/tunes/:guildId/:tuneId/test", "test"],
+];
+
+// A malformed escape like "%E0" is the client's mistake, answered with a 400
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw Object.assign(new Error("Malformed path"), { code: "invalid" });
+  }
+}
+
+// Returns { operation, params }, { allowed } for a known path with another
+// method, or null. Throws an "invalid" error for malformed escapes
+function matchRoute(method, pathname) {
+  const segments = pathname.split("/").filter(Boolean);
+  const allowed = [];
+
+  for (const [routeMethod, pattern, operation] of ROUTES) {
+    const parts = pattern.split("/").filter(Boolean);
+    if (parts.length !== segments.length) continue;
+    const params = {};
+    const matches = parts.every((part, index) => {
+      if (part.startsWith(":")) {
+        params[part.slice(1)] = decodeSegment(segments[index]);
+        return true;
+      }
+      return part === segments[index];
+    });
+    if (!matches) continue;
+    if (routeMethod === method) return { operation, params };
+    allowed.push(routeMethod);
+  }
+  return allowed.length ? { allowed } : null;
+}
+
+/**
+ * Create the API server, not yet listening.
+ * authenticate(tokenHash) resolves to a user id or null, health() to the
+ * /health report (with ok: false answered as 503), and tunes holds one
+ * async operation per route: tunes[name]({ userId, params, body }).
+ */
+function createApiServer({ authenticate, health, tunes }) {
+  const send = (response, status, data) => {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(data));
+  };
+  const sendError = (response, code, error) =>
+    send(response, ERROR_STATUS[code] || 500, { error, code });
+
+  return http.createServer(async (request, response) => {
+    try {
+      const { pathname } = new URL(request.url, "http://localhost");
+
+      if (pathname === "/health" && request.method === "GET") {
+        const report = await health();
+        send(response, report.ok ? 200 : 503, report);
+        return;
+      }
+
+      const route = matchRoute(request.method, pathname);
+      if (!route) {
+        sendError(response, "not_found", "No such endpoint");
+        return;
+      }
+      if (route.allowed) {
+        response.setHeader("Allow", route.allowed.join(", "));
+        send(response, 405, { error: "Method not allowed" });
+        return;
+      }
+
+      const token = readBearerToken(request.headers.authorization);
+      const userId = token && (await authenticate(hashToken(token)));
+      if (!userId) {
+        sendError(response, "unauthorized", "Missing or invalid API token");
+        return;
+      }
+
+      const body = ["POST", "PATCH"].includes(request.method)
+        ? await readBody(request)
+        : {};
+      const result = await tunes[route.operation]({
+        userId,
+        params: route.params,
+        body,
+      });
+      if (result?.error) {
+        sendError(response, result.code, result.error);
+        return;
+      }
+      send(response, route.operation === "create" ? 201 : 200, result ?? {});
+    } catch (error) {
+      if (ERROR_STATUS[error.code]) {
+        sendError(response, error.code, error.message);
+        return;
+      }
+      console.error("Error handling API request:", error);
+      sendError(response, "failed", "Something went wrong");
+    }
+  });
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  hashToken,
+  createApiToken,
+  matchRoute,
+  createApiServer,
+};
@@ -0,0 +1,200 @@
+/**
+ * Localization
+ * Toki's text lives in one message catalog per language under locales/,
+ * keyed like "mytunes.title". Messages can use {placeholders}, {/command}
+ * or {/command subcommand} for a command's name in that language, and
+ * plural forms as "key_one" / "key_other", picked by a `count` value.
+ * Anything a catalog is missing falls back to English.
+ *
+ * Slash commands keep their English names and descriptions in bot.js. The
+ * other catalogs translate descriptions as "command.<command>" (or
+ * "command.<command>.<subcommand>"), option descriptions as
+ * "command.<command>.<option>", choices as "command.<command>.<option>.<value>"
+ * and command and subcommand names as "commandName.<command>[.<subcommand>]".
+ */
+
+const moment = require("moment-timezone");
+
+const DEFAULT_LOCALE = "en";
+const TIME_FORMATS = ["24h", "12h"];
+const DEFAULT_TIME_FORMAT = "24h";
+
+// Native names, and the Discord locales each catalog answers for
+const LOCALES = {
+  en: { name: "English", discord: ["en-US", "en-GB"] },
+  es: { name: "Español", discord: ["es-ES", "es-419"] },
+  de: { name: "Deutsch", discord: ["de"] },
+};
+
+const catalogs = Object.fromEntries(
+  Object.keys(LOCALES).map((locale) => [
+    locale,
+    require(`./locales/${locale}.json`),
+  ]),
+);
+
+const pluralRules = new Map();
+function getPluralForm(locale, count) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale).select(count);
+}
+
+function isLocale(locale) {
+  return Object.hasOwn(LOCALES, locale);
+}
+
+// "es-419" → "es", null for languages without a catalog
+function matchLocale(discordLocale) {
+  const language = (discordLocale || "").split("-")[0].toLowerCase();
+  return isLocale(language) ? language : null;
+}
+
+// The message for key in locale, its plural form first if there's a count
+function findMessage(locale, key, count) {
+  for (const catalog of [catalogs[locale], catalogs[DEFAULT_LOCALE]]) {
+    if (typeof count === "number") {
+      const plural = catalog[`${key}_${getPluralForm(locale, count)}`];
+      if (plural !== undefined) return plural;
+      if (catalog[`${key}_other`] !== undefined) return catalog[`${key}_other`];
+    }
+    if (catalog[key] !== undefined) return catalog[key];
+  }
+  return null;
+}
+
+// "/mytunes" or "/teamtunes add" with the names used in locale
+function commandName(locale, path) {
+  const parts = path.split(" ");
+  return `/${parts
+    .map(
+      (part, index) =>
+        catalogs[locale][
+          `commandName.${parts.slice(0, index + 1).join(".")}`
+        ] || part,
+    )
+    .join(" ")}`;
+}
+
+/**
+ * The message for key in locale with values filled in. Unknown keys come
+ * back as the key itself, so a missing message shows up instead of
+ * breaking the reply.
+ */
+function translate(locale, key, values = {}) {
+  const language = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  const message = findMessage(language, key, values.count);
+  if (message === null) return key;
+  return message.replace(/\{(\/[a-z ]+|\w+)\}/g, (match, name) => {
+    if (name.startsWith("/")) return commandName(language, name.slice(1));
+    return values[name] !== undefined ? String(values[name]) : match;
+  });
+}
+
+// "19:30" or "7:30 PM" for a moment, a Date or an "HH:mm" string
+function formatClock(value, timeFormat = DEFAULT_TIME_FORMAT, locale) {
+  const local =
+    typeof value === "string" ? moment(value, "HH:mm") : moment(value);
+  return local
+    .clone()
+    .locale(isLocale(locale) ? locale : DEFAULT_LOCALE)
+    .format(timeFormat === "12h" ? "h:mm A" : "HH:mm");
+}
+
+/**
+ * Everything needed to talk to one person: t(key, values), and their
+ * weekday names, dates and clock times in their language and 12h/24h
+ * preference.
+ */
+function createLocalizer(locale, timeFormat) {
+  const language = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  const clock = TIME_FORMATS.includes(timeFormat)
+    ? timeFormat
+    : DEFAULT_TIME_FORMAT;
+  const t = (key, values) => translate(language, key, values);
+  const localize = (value) => moment(value).clone().locale(language);
+
+  const time = (value) => formatClock(value, clock, language);
+
+  return {
+    locale: language,
+    timeFormat: clock,
+    t,
+    time,
+    // value formatted with the moment pattern stored under key
+    format: (value, key) => localize(value).format(t(key)),
+    // "Monday, Oct 19" in the moment's own timezone
+    date: (value) => localize(value).format(t("format.date")),
+    // "Monday, Oct 19 at 7:30 PM CEST"
+    dateTime: (value) =>
+      t("format.dateTime", {
+        date: localize(value).format(t("format.date")),
+        time: time(value),
+        zone: moment(value).format("z"),
+      }).trim(),
+    // 0 is Sunday, like Date#getDay
+    weekday: (day, style = "short") => {
+      const data = moment.localeData(language);
+      return style === "long"
+        ? data.weekdays()[day]
+        : data.weekdaysShort()[day];
+    },
+    // 1 → "1st", "1º" or "1."
+    ordinal: (number) => moment.localeData(language).ordinal(number),
+  };
+}
+
+// { "es-ES": "...", "es-419": "...", de: "..." } for a catalog key
+function getLocalizations(key) {
+  const localizations = {};
+  for (const [locale, { discord }] of Object.entries(LOCALES)) {
+    if (locale === DEFAULT_LOCALE) continue;
+    const message = catalogs[locale][key];
+    if (message === undefined) continue;
+    for (const discordLocale of discord) localizations[discordLocale] = message;
+  }
+  return Object.keys(localizations).length ? localizations : undefined;
+}
+
+// Top-level commands and subcommands (type 1) get localized names too
+function localizeOption(option, path) {
+  const key = `command.${path}`;
+  const localized = {
+    ...option,
+    description_localizations: getLocalizations(key),
+  };
+  if (path.split(".").length === 1 || option.type === 1) {
+    localized.name_localizations = getLocalizations(`commandName.${path}`);
+  }
+  if (option.choices) {
+    localized.choices = option.choices.map((choice) => ({
+      ...choice,
+      name_localizations: getLocalizations(`${key}.${choice.value}`),
+    }));
+  }
+  if (option.options) {
+    localized.options = option.options.map((child) =>
+      localizeOption(child, `${path}.${child.name}`),
+    );
+  }
+  return localized;
+}
+
+// A command's JSON with Discord's localization fields filled in
+function localizeCommand(command) {
+  return localizeOption(command, command.name);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TIME_FORMATS,
+  DEFAULT_TIME_FORMAT,
+  LOCALES,
+  isLocale,
+  matchLocale,
+  translate,
+  formatClock,
+  createLocalizer,
+  localizeCommand,
+};
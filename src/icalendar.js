@@ -0,0 +1,219 @@
+/**
+ * iCalendar helpers
+ * Just enough of RFC 5545 for Toki: reading VEVENTs with their date-times
+ * and RRULEs, and writing escaped, folded lines. RRULEs are turned into the
+ * recurrence rules of recurrence.js, so they fire through the same engine
+ * as every other schedule.
+ */
+
+const moment = require("moment-timezone");
+const { normalizeRule } = require("./recurrence");
+const { createLocalizer } = require("./i18n");
+
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const RRULE_PARTS = [
+  "FREQ",
+  "INTERVAL",
+  "COUNT",
+  "UNTIL",
+  "BYDAY",
+  "BYMONTHDAY",
+  "BYSETPOS",
+  "WKST",
+];
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) =>
+    char.toLowerCase() === "n" ? "\n" : char,
+  );
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let chunk = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+// [{ name, params, value }] per VEVENT, with folded lines joined back up
+function readEvents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      event = [];
+    } else if (line === "END:VEVENT" && event) {
+      events.push(event);
+      event = null;
+    } else if (event) {
+      const match = line.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+      if (!match) continue;
+      const params = Object.fromEntries(
+        match[2]
+          .split(";")
+          .filter(Boolean)
+          .map((param) => param.split("=")),
+      );
+      event.push({ name: match[1].toUpperCase(), params, value: match[3] });
+    }
+  }
+  return events;
+}
+
+/**
+ * Date-times of a DTSTART, RECURRENCE-ID or EXDATE property as moments.
+ * UTC values are shown in fallbackTimezone, floating ones are read in it.
+ * Throws for dates without a time (all-day events), with a message in
+ * lang's language (English by default).
+ */
+function parseDateTimes(
+  property,
+  fallbackTimezone = "UTC",
+  lang = createLocalizer(),
+) {
+  if (property.params.VALUE === "DATE") {
+    throw new Error(lang.t("ical.allDay"));
+  }
+  const timezone = property.params.TZID || fallbackTimezone;
+  if (!moment.tz.zone(timezone)) {
+    throw new Error(lang.t("ical.unknownTimezone", { timezone }));
+  }
+
+  return property.value.split(",").map((value) => {
+    const date = value.endsWith("Z")
+      ? moment.utc(value, "YYYYMMDD[T]HHmmss[Z]", true).tz(fallbackTimezone)
+      : moment.tz(value, "YYYYMMDD[T]HHmmss", true, timezone);
+    if (!date.isValid()) throw new Error(lang.t("ical.invalidDate", { value }));
+    return date;
+  });
+}
+
+function parseDateTime(property, fallbackTimezone, lang = createLocalizer()) {
+  if (!property) throw new Error(lang.t("ical.missingStart"));
+  return parseDateTimes(property, fallbackTimezone, lang)[0];
+}
+
+// UNTIL may be a date or a date-time, both end the series inclusively
+function parseUntil(value, timezone, lang) {
+  return value.length === 8
+    ? moment.tz(value, "YYYYMMDD", true, timezone).endOf("day")
+    : parseDateTimes({ params: {}, value }, timezone, lang)[0];
+}
+
+/**
+ * Turn an RRULE into a recurrence rule anchored at start (a moment).
+ * Returns { rule, count, until, exactMonthDay }: count and until are null
+ * for endless series, exactMonthDay means months without the rule's day
+ * are skipped instead of clamped (plain BYMONTHDAY=31). Throws for parts
+ * Toki can't follow, with a message in lang's language.
+ */
+function parseRRule(rrule, start, lang = createLocalizer()) {
+  const parts = Object.fromEntries(
+    rrule.split(";").map((part) => part.split("=")),
+  );
+  const unsupported = Object.keys(parts).filter(
+    (key) => !RRULE_PARTS.includes(key),
+  );
+  if (unsupported.length > 0) {
+    throw new Error(
+      lang.t("ical.unsupportedPart", { parts: unsupported.join(", ") }),
+    );
+  }
+
+  let freq = (parts.FREQ || "").toLowerCase();
+  let interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (freq === "yearly") {
+    if (parts.BYDAY || parts.BYMONTHDAY) {
+      throw new Error(lang.t("ical.yearlyWithDays"));
+    }
+    // Once a year on DTSTART's date is every 12 months
+    freq = "monthly";
+    interval *= 12;
+  }
+  if (!["daily", "weekly", "monthly"].includes(freq)) {
+    throw new Error(lang.t("ical.unsupportedFrequency", { freq: parts.FREQ }));
+  }
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(",") : [];
+  const dayIndex = (code) => {
+    const day = ICS_DAYS.indexOf(code);
+    if (day === -1) {
+      throw new Error(lang.t("ical.unsupportedByDay", { value: parts.BYDAY }));
+    }
+    return day;
+  };
+  const rule = { freq, interval, start: start.format("YYYY-MM-DD") };
+  let exactMonthDay = false;
+
+  if (freq === "daily") {
+    if (byDay.length || parts.BYMONTHDAY) {
+      throw new Error(lang.t("ical.dailyWithDays"));
+    }
+  } else if (freq === "weekly") {
+    rule.days = byDay.length ? byDay.map(dayIndex) : [start.day()];
+  } else if (byDay.length) {
+    // Monthly on "2TU" or "-1FR"
+    const match =
+      byDay.length === 1 && byDay[0].match(/^(-1|[1-5])([A-Z]{2})$/);
+    if (!match) {
+      throw new Error(lang.t("ical.unsupportedByDay", { value: parts.BYDAY }));
+    }
+    rule.days = [dayIndex(match[2])];
+    rule.weekOfMonth = Number(match[1]);
+  } else {
+    const monthDays = parts.BYMONTHDAY
+      ? parts.BYMONTHDAY.split(",").map(Number)
+      : [start.date()];
+    if (monthDays.length > 1) {
+      // 28,29,30 with BYSETPOS=-1 is "the 30th, or the last day if shorter"
+      const last = monthDays[monthDays.length - 1];
+      const clamped = monthDays.every((day, index) => day === 28 + index);
+      if (parts.BYSETPOS !== "-1" || !clamped) {
+        throw new Error(
+          lang.t("ical.unsupportedByMonthDay", { value: parts.BYMONTHDAY }),
+        );
+      }
+      rule.monthDay = last;
+    } else {
+      rule.monthDay = monthDays[0];
+      exactMonthDay = monthDays[0] > 28;
+    }
+  }
+
+  return {
+    rule: normalizeRule(rule),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL, start.tz(), lang) : null,
+    exactMonthDay,
+  };
+}
+
+module.exports = {
+  ICS_DAYS,
+  escapeText,
+  unescapeText,
+  foldLine,
+  readEvents,
+  parseDateTimes,
+  parseDateTime,
+  parseRRule,
+};
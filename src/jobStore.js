@@ -0,0 +1,115 @@
+/**
+ * Persistent job store
+ * Remembers when each scheduled job last fired, so occurrences that came due
+ * while Toki was offline can be caught up on the next start. Storage and
+ * clock are passed in: storage needs async get/set/delete (a QuickDB table
+ * works), and a fake clock makes the catch-up logic testable.
+ *
+ * A record looks like { since, lastFiredAt }: since is when the job started
+ * being tracked, lastFiredAt the last occurrence that was handled.
+ */
+
+// What to do with occurrences missed while offline
+const CATCH_UP = {
+  SUMMARY: "summary",
+  FIRE: "fire",
+};
+
+// Never replay more than this many occurrences for one job
+const MAX_MISSED = 10;
+// Guards against schedules that fire every minute over a long outage
+const MAX_SCAN = 10000;
+
+const systemClock = { now: () => new Date() };
+
+function createJobStore({ storage, clock = systemClock }) {
+  const toISO = (date) => new Date(date).toISOString();
+
+  const store = {
+    // Start tracking a job, keeping its history if it was tracked before
+    async track(jobId) {
+      if (await storage.get(jobId)) return;
+      await storage.set(jobId, {
+        since: toISO(clock.now()),
+        lastFiredAt: null,
+      });
+    },
+
+    async recordFired(jobId, firedAt = clock.now()) {
+      const record = (await storage.get(jobId)) || {};
+      await storage.set(jobId, { ...record, lastFiredAt: toISO(firedAt) });
+    },
+
+    async get(jobId) {
+      return (await storage.get(jobId)) || null;
+    },
+
+    // Stop tracking, e.g. when a tune is paused or removed on purpose
+    async forget(jobId) {
+      await storage.delete(jobId);
+    },
+
+    // Keep a job's history when its id changes
+    async move(fromId, toId) {
+      const record = await storage.get(fromId);
+      if (!record) return;
+      await storage.set(toId, record);
+      await storage.delete(fromId);
+    },
+
+    /**
+     * Occurrences that came due after the job last fired (or started being
+     * tracked) and up to now. nextOccurrence(after) returns the first
+     * occurrence strictly after a Date, or null. Returns { missed, total }:
+     * the latest MAX_MISSED dates, oldest first, and how many there were.
+     */
+    async findMissed(jobId, nextOccurrence) {
+      const record = await storage.get(jobId);
+      const from = record?.lastFiredAt || record?.since;
+      if (!from) return { missed: [], total: 0 };
+
+      const now = new Date(clock.now());
+      const missed = [];
+      let total = 0;
+      let cursor = new Date(from);
+      for (let i = 0; i < MAX_SCAN; i++) {
+        const next = nextOccurrence(cursor);
+        if (!next || new Date(next) > now) break;
+        missed.push(new Date(next));
+        if (missed.length > MAX_MISSED) missed.shift();
+        total++;
+        cursor = new Date(next);
+      }
+      return { missed, total };
+    },
+
+    /**
+     * Handle what findMissed finds, going by policy: CATCH_UP.FIRE calls
+     * fire(date) for each missed occurrence, anything else calls
+     * summarize(missed, total) once. The job counts as caught up afterwards
+     * even if a handler throws. Returns how many occurrences were missed.
+     */
+    async catchUp(jobId, nextOccurrence, policy, { fire, summarize }) {
+      const { missed, total } = await store.findMissed(jobId, nextOccurrence);
+      if (total === 0) return 0;
+
+      try {
+        if (policy === CATCH_UP.FIRE) {
+          for (const missedAt of missed) await fire(missedAt);
+        } else {
+          await summarize(missed, total);
+        }
+      } finally {
+        await store.recordFired(jobId, missed[missed.length - 1]);
+      }
+      return total;
+    },
+  };
+  return store;
+}
+
+module.exports = {
+  CATCH_UP,
+  MAX_MISSED,
+  createJobStore,
+};
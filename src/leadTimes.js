@@ -0,0 +1,84 @@
+/**
+ * Lead times
+ * A tune can ping ahead of its due time, e.g. 1 day and 15 minutes before a
+ * meeting. Each lead is stored as a number of minutes in the tune's leads.
+ */
+
+const { parseDuration } = require("./timeParser");
+const { createLocalizer } = require("./i18n");
+
+const MAX_LEADS = 5;
+// Further ahead than a week the ping overtakes the previous weekly occurrence
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+
+const UNIT_MINUTES = {
+  d: 24 * 60,
+  h: 60,
+  m: 1,
+};
+
+/**
+ * Parse leads like "1d, 15m" or "2 hours and 10 minutes" (each comma or
+ * "and" starts another lead). "none" clears them. Returns { leads } sorted
+ * from earliest ping to latest, or { error } to show the user in lang's
+ * language (English by default).
+ */
+function parseLeadTimes(input, lang = createLocalizer()) {
+  const text = (input || "").trim().toLowerCase();
+  if (["none", "off", "0"].includes(text)) return { leads: [] };
+
+  const leads = new Set();
+  for (const part of text.replace(/\s+before$/, "").split(/,|\band\b/)) {
+    if (!part.trim()) continue;
+    const minutes = parseDuration(part);
+    if (!minutes) {
+      return { error: lang.t("lead.invalid", { input: part.trim() }) };
+    }
+    if (minutes > MAX_LEAD_MINUTES) {
+      return { error: lang.t("lead.tooFar") };
+    }
+    leads.add(minutes);
+  }
+
+  if (leads.size === 0) {
+    return { error: lang.t("lead.empty") };
+  }
+  if (leads.size > MAX_LEADS) {
+    return { error: lang.t("lead.tooMany", { max: MAX_LEADS }) };
+  }
+  return { leads: [...leads].sort((a, b) => b - a) };
+}
+
+// 1590 -> "1 day 2 hours 30 minutes", in English unless given another
+// localizer (see i18n.js)
+function formatLead(minutes, lang = createLocalizer()) {
+  const parts = [];
+  let rest = minutes;
+  for (const unit of ["d", "h", "m"]) {
+    const amount = Math.floor(rest / UNIT_MINUTES[unit]);
+    rest -= amount * UNIT_MINUTES[unit];
+    if (amount > 0) parts.push(lang.t(`lead.${unit}`, { count: amount }));
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Next ping for one lead: the first occurrence whose ping is still ahead.
+ * nextOccurrence(after) returns the first occurrence strictly after a Date,
+ * or null. Returns { dueAt, fireAt } as Dates, or null.
+ */
+function getNextLead(lead, nextOccurrence, after = new Date()) {
+  const leadMs = lead * 60 * 1000;
+  const due = nextOccurrence(new Date(new Date(after).getTime() + leadMs));
+  if (!due) return null;
+  const dueAt = new Date(due);
+  return { dueAt, fireAt: new Date(dueAt.getTime() - leadMs) };
+}
+
+module.exports = {
+  MAX_LEADS,
+  MAX_LEAD_MINUTES,
+  parseLeadTimes,
+  formatLead,
+  getNextLead,
+};
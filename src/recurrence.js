@@ -0,0 +1,235 @@
+/**
+ * Recurrence rules
+ * RRULE-style rules behind every recurring schedule, from plain daily ones
+ * to every N days/weeks/months, nth weekday of the month, last day of the month
+ *
+ * A rule looks like:
+ *   { freq: "daily" | "weekly" | "monthly", interval: 1, start: "YYYY-MM-DD",
+ *     days: [0-6], weekOfMonth: 1-5 | -1, monthDay: 1-31 | -1 }
+ * start anchors the interval, days are weekdays (0 = Sunday), weekOfMonth and
+ * monthDay only apply to monthly rules, -1 meaning "last". A monthDay the
+ * month doesn't have (the 31st in April) moves to the month's last day.
+ *
+ * DST policy, the same for every schedule: a time that doesn't exist on a
+ * day because the clocks jump forward (02:30 when 02:00 becomes 03:00) fires
+ * as much later as the clocks jumped, at 03:30; a time that happens twice
+ * because the clocks fall back fires once, at the first of the two.
+ */
+
+const moment = require("moment-timezone");
+const { createLocalizer } = require("./i18n");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// How far ahead to look before giving up on a rule that never matches
+const MAX_SEARCH_DAYS = 366 * 5;
+const LOCAL_FORMAT = "YYYY-MM-DD HH:mm";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate a rule and fill in defaults, throws on anything unusable
+function normalizeRule(rule) {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Unknown recurrence frequency: ${rule?.freq}`);
+  }
+
+  const interval = rule.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid recurrence interval: ${rule.interval}`);
+  }
+
+  const start = rule.start ?? moment().format("YYYY-MM-DD");
+  if (!moment(start, "YYYY-MM-DD", true).isValid()) {
+    throw new Error(`Invalid recurrence start date: ${rule.start}`);
+  }
+
+  const days = rule.days ?? [];
+  if (!days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error(`Invalid recurrence days: ${days}`);
+  }
+
+  const normalized = { freq: rule.freq, interval, start, days: [...days] };
+
+  if (rule.freq === "weekly" && days.length === 0) {
+    throw new Error("Weekly rules need at least one day");
+  }
+
+  if (rule.freq === "monthly") {
+    if (rule.weekOfMonth !== undefined && rule.weekOfMonth !== null) {
+      const nth = rule.weekOfMonth;
+      if (![1, 2, 3, 4, 5, -1].includes(nth) || days.length !== 1) {
+        throw new Error(
+          "Monthly weekday rules need one day and a week 1-5 or -1",
+        );
+      }
+      normalized.weekOfMonth = nth;
+    } else {
+      const monthDay = rule.monthDay ?? 1;
+      if (monthDay !== -1 && !(monthDay >= 1 && monthDay <= 31)) {
+        throw new Error(`Invalid day of month: ${monthDay}`);
+      }
+      normalized.monthDay = monthDay;
+    }
+  }
+
+  return normalized;
+}
+
+// Does the rule fire on this calendar day (a moment at any time that day)?
+function matchesDate(rule, date) {
+  const start = moment.tz(rule.start, "YYYY-MM-DD", date.tz() || "UTC");
+  const day = date.clone().startOf("day");
+  if (day.isBefore(start, "day")) return false;
+
+  switch (rule.freq) {
+    case "daily":
+      return day.diff(start, "days") % rule.interval === 0;
+    case "weekly": {
+      const weeks = day
+        .clone()
+        .startOf("isoWeek")
+        .diff(start.clone().startOf("isoWeek"), "weeks");
+      return weeks % rule.interval === 0 && rule.days.includes(day.day());
+    }
+    case "monthly": {
+      const months =
+        (day.year() - start.year()) * 12 + (day.month() - start.month());
+      if (months % rule.interval !== 0) return false;
+
+      const daysInMonth = day.daysInMonth();
+      if (rule.weekOfMonth) {
+        if (day.day() !== rule.days[0]) return false;
+        return rule.weekOfMonth === -1
+          ? day.date() + 7 > daysInMonth
+          : Math.ceil(day.date() / 7) === rule.weekOfMonth;
+      }
+      // Days past the end of a short month clamp to its last day
+      return rule.monthDay === -1
+        ? day.date() === daysInMonth
+        : day.date() === Math.min(rule.monthDay, daysInMonth);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Instants (ms) whose local time in timezone is exactly date ("YYYY-MM-DD")
+ * at time ("HH:mm"), oldest first: none in a DST gap, two in an overlap.
+ * Also returns the offset in force before that day, in minutes west of UTC
+ * like moment's zone.utcOffset().
+ */
+function findLocalInstants(date, time, timezone) {
+  const wall = moment.utc(`${date} ${time}`, LOCAL_FORMAT, true);
+  const zone = moment.tz.zone(timezone);
+  if (!wall.isValid() || !zone) return { instants: [], offsetBefore: 0 };
+
+  // Transitions are months apart, so the offsets a day either side are
+  // the only ones that can apply
+  const offsets = new Set(
+    [-DAY_MS, 0, DAY_MS].map((shift) => zone.utcOffset(wall.valueOf() + shift)),
+  );
+  const instants = [...offsets]
+    .map((offset) => wall.valueOf() + offset * 60 * 1000)
+    .filter(
+      (instant) =>
+        moment.tz(instant, timezone).format(LOCAL_FORMAT) === `${date} ${time}`,
+    )
+    .sort((a, b) => a - b);
+  return { instants, offsetBefore: zone.utcOffset(wall.valueOf() - DAY_MS) };
+}
+
+/**
+ * The moment a local date and time refers to, following the DST policy
+ * above. Returns an invalid moment for dates or times that can't be read.
+ */
+function resolveLocalTime(date, time, timezone) {
+  const wall = moment.utc(`${date} ${time}`, LOCAL_FORMAT, true);
+  if (!wall.isValid() || !moment.tz.zone(timezone)) return moment.invalid();
+
+  const { instants, offsetBefore } = findLocalInstants(date, time, timezone);
+  if (instants.length > 0) return moment.tz(instants[0], timezone);
+  // Read with the offset from before the jump, 02:30 lands on 03:30
+  return moment.tz(wall.valueOf() + offsetBefore * 60 * 1000, timezone);
+}
+
+// "skipped" or "repeated" if DST makes a local time special that day, else null
+function getLocalTimeKind(date, time, timezone) {
+  const { instants } = findLocalInstants(date, time, timezone);
+  if (instants.length === 0) return "skipped";
+  return instants.length > 1 ? "repeated" : null;
+}
+
+/**
+ * Next time the rule fires strictly after `after`, as a moment in `timezone`.
+ * `time` is the "HH:mm" local time of day. Returns null if nothing is found.
+ */
+function getNextOccurrence(rule, time, timezone, after = new Date()) {
+  const normalized = normalizeRule(rule);
+  const from = moment(after).tz(timezone);
+  const day = from.clone().startOf("day");
+
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+    if (matchesDate(normalized, day)) {
+      const candidate = resolveLocalTime(
+        day.format("YYYY-MM-DD"),
+        time,
+        timezone,
+      );
+      if (candidate.isAfter(from)) return candidate;
+    }
+    day.add(1, "day");
+  }
+  return null;
+}
+
+// List the next `count` occurrences after `after`
+function getOccurrences(rule, time, timezone, count, after = new Date()) {
+  const occurrences = [];
+  let cursor = after;
+  while (occurrences.length < count) {
+    const next = getNextOccurrence(rule, time, timezone, cursor);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next.toDate();
+  }
+  return occurrences;
+}
+
+// Human-readable description, e.g. "Every 2 weeks on Tue" or "Last Fri of
+// the month", in English unless given another localizer (see i18n.js)
+function describeRule(rule, lang = createLocalizer()) {
+  const { freq, interval, days, weekOfMonth, monthDay } = normalizeRule(rule);
+  const { t } = lang;
+  const dayList = days.map((day) => lang.weekday(day)).join(", ");
+
+  switch (freq) {
+    case "daily":
+      return t("rule.daily", { count: interval });
+    case "weekly":
+      return t("rule.weekly", { count: interval, days: dayList });
+    case "monthly": {
+      if (weekOfMonth) {
+        const nth = t(`rule.nth.${weekOfMonth === -1 ? "last" : weekOfMonth}`);
+        return t("rule.weekdayOfMonth", {
+          count: interval,
+          nth,
+          days: dayList,
+        });
+      }
+      if (monthDay === -1) return t("rule.lastDay", { count: interval });
+      return t("rule.monthDay", { count: interval, day: monthDay });
+    }
+    default:
+      return freq;
+  }
+}
+
+module.exports = {
+  normalizeRule,
+  matchesDate,
+  resolveLocalTime,
+  getLocalTimeKind,
+  getNextOccurrence,
+  getOccurrences,
+  describeRule,
+};
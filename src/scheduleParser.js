@@ -0,0 +1,356 @@
+/**
+ * Natural-language schedule parser
+ * Turns phrases like "every weekday at 8:30" or "in 20 minutes" into the
+ * { schedule, scheduleDay, time } shape that setupReminder stores
+ */
+
+const moment = require("moment-timezone");
+const { parseTimeOfDay } = require("./timeParser");
+
+const WEEKDAYS = {
+  sunday: 0,
+  sun: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tue: 2,
+  tues: 2,
+  wednesday: 3,
+  wed: 3,
+  thursday: 4,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6,
+  sat: 6,
+};
+
+const PLURAL_DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const NTH = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+  last: -1,
+};
+
+const DURATION_UNITS = {
+  m: "minutes",
+  min: "minutes",
+  mins: "minutes",
+  minute: "minutes",
+  minutes: "minutes",
+  h: "hours",
+  hr: "hours",
+  hrs: "hours",
+  hour: "hours",
+  hours: "hours",
+  d: "days",
+  day: "days",
+  days: "days",
+  w: "weeks",
+  week: "weeks",
+  weeks: "weeks",
+};
+
+const DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "MMMM D YYYY",
+  "MMM D YYYY",
+  "D MMMM YYYY",
+  "D MMM YYYY",
+  "MMMM D",
+  "MMM D",
+  "D MMMM",
+  "D MMM",
+];
+
+const TIME_TOKEN =
+  "(?:noon|midnight|midday|\\d{1,2}(?:[:.h]\\d{2})?\\s*(?:[ap]\\.?m?\\.?)?)";
+const AT_TIME_PATTERN = new RegExp(`\\bat\\s+(${TIME_TOKEN})(?=\\s|$)`);
+// Without "at", only unambiguous times count ("8:30", "9pm", not "15")
+const STRICT_TIME_TOKEN =
+  "(?:noon|midnight|midday|\\d{1,2}[:.h]\\d{2}\\s*(?:[ap]\\.?m?\\.?)?|\\d{1,2}\\s*[ap]\\.?m\\.?)";
+const TRAILING_TIME_PATTERN = new RegExp(`(?:^|\\s)(${STRICT_TIME_TOKEN})$`);
+const LEADING_TIME_PATTERN = new RegExp(`^(${STRICT_TIME_TOKEN})(?=\\s|$)`);
+
+function normalize(input) {
+  return input
+    .toLowerCase()
+    .replace(/^remind me\s+/, "")
+    .replace(/[!?]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Pull the time of day out of the phrase, returns the remaining date part
+function extractTime(text) {
+  const match =
+    text.match(AT_TIME_PATTERN) ||
+    text.match(TRAILING_TIME_PATTERN) ||
+    text.match(LEADING_TIME_PATTERN);
+  if (!match) return { time: null, rest: text };
+
+  const time = parseTimeOfDay(match[1]);
+  const rest = text.replace(match[0], " ").replace(/\s+/g, " ").trim();
+  return { time, rest };
+}
+
+function splitWords(text) {
+  return text
+    .split(/,|\band\b|&|\s/)
+    .map((word) => word.trim())
+    .filter(Boolean);
+}
+
+// Parse "mon, wed and fri" style lists into weekday numbers
+function parseDayList(text) {
+  const words = splitWords(text);
+  if (words.length === 0) return null;
+
+  const days = [];
+  for (const word of words) {
+    const day = WEEKDAYS[word] ?? WEEKDAYS[word.replace(/s$/, "")];
+    if (day === undefined) return null;
+    if (!days.includes(day)) days.push(day);
+  }
+  return days;
+}
+
+// "mondays and fridays" reads as recurring, "monday" as a one-off
+function isPluralDayList(text) {
+  const words = splitWords(text);
+  return (
+    words.length > 0 &&
+    words.every(
+      (word) =>
+        PLURAL_DAYS.includes(word.replace(/s$/, "")) && word.endsWith("s"),
+    )
+  );
+}
+
+function parseRelative(text, timezone, now) {
+  const match = text.match(/^in (\d+|an?|one) ?([a-z]+)$/);
+  if (!match || !DURATION_UNITS[match[2]]) return null;
+
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+  if (amount <= 0) return null;
+
+  const target = moment(now)
+    .tz(timezone)
+    .add(amount, DURATION_UNITS[match[2]])
+    .second(0)
+    .millisecond(0);
+  return onceAt(target);
+}
+
+function onceAt(target) {
+  return {
+    schedule: "once",
+    scheduleDay: target.format("YYYY-MM-DD"),
+    time: target.format("HH:mm"),
+  };
+}
+
+function parseInterval(text) {
+  if (text === "other") return 2;
+  return text ? parseInt(text, 10) : 1;
+}
+
+// Interval and nth-weekday schedules become recurrence rules (see recurrence.js)
+function parseRule(rest, time, today) {
+  const rule = (fields) => {
+    // "every 0 days" never repeats
+    if (fields.interval < 1) return null;
+    return {
+      schedule: "rule",
+      scheduleDay: {
+        interval: 1,
+        start: today.format("YYYY-MM-DD"),
+        ...fields,
+      },
+      time,
+    };
+  };
+
+  const daily = rest.match(/^every (\d+|other) days?$/);
+  if (daily) {
+    return rule({ freq: "daily", interval: parseInterval(daily[1]) });
+  }
+
+  const weekly = rest.match(/^every (\d+|other) weeks?(?: on (.+))?$/);
+  if (weekly) {
+    const days = weekly[2] ? parseDayList(weekly[2]) : [today.day()];
+    if (!days) return null;
+    return rule({ freq: "weekly", interval: parseInterval(weekly[1]), days });
+  }
+
+  const lastDay = rest.match(
+    /^(?:on )?(?:the )?last day (?:of )?(?:the |every |each )?(?:(\d+|other) )?months?$/,
+  );
+  if (lastDay) {
+    return rule({
+      freq: "monthly",
+      interval: parseInterval(lastDay[1]),
+      monthDay: -1,
+    });
+  }
+
+  const nthWeekday = rest.match(
+    /^(?:on )?(?:the |every |each )?(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|last) ([a-z]+) (?:of )?(?:the |every |each )?(?:(\d+|other) )?months?$/,
+  );
+  if (nthWeekday && WEEKDAYS[nthWeekday[2]] !== undefined) {
+    return rule({
+      freq: "monthly",
+      interval: parseInterval(nthWeekday[3]),
+      days: [WEEKDAYS[nthWeekday[2]]],
+      weekOfMonth: NTH[nthWeekday[1]],
+    });
+  }
+
+  const monthly = rest.match(
+    /^every (\d+|other) months?(?: on)?(?: the)? (\d{1,2})(?:st|nd|rd|th)?$/,
+  );
+  if (monthly) {
+    const monthDay = parseInt(monthly[2], 10);
+    if (monthDay < 1 || monthDay > 31) return null;
+    return rule({
+      freq: "monthly",
+      interval: parseInterval(monthly[1]),
+      monthDay,
+    });
+  }
+
+  return null;
+}
+
+function parseRecurring(rest, time) {
+  if (/^(every ?day|daily|each day)$/.test(rest)) {
+    return { schedule: "daily", scheduleDay: null, time };
+  }
+  if (/^(every |each |on )?weekdays?$/.test(rest)) {
+    return { schedule: [1, 2, 3, 4, 5], scheduleDay: null, time };
+  }
+  if (/^(every |each |on )?weekends?$/.test(rest)) {
+    return { schedule: [6, 0], scheduleDay: null, time };
+  }
+
+  const monthly =
+    rest.match(
+      /^(?:every month|each month|monthly)(?: on)?(?: the)? (\d{1,2})(?:st|nd|rd|th)?$/,
+    ) ||
+    rest.match(
+      /^(?:on )?(?:the )?(\d{1,2})(?:st|nd|rd|th)? (?:of )?(?:every|each) month$/,
+    );
+  if (monthly) {
+    const day = parseInt(monthly[1], 10);
+    if (day < 1 || day > 31) return null;
+    return { schedule: "monthly", scheduleDay: day, time };
+  }
+  if (/^(every month|each month|monthly)$/.test(rest)) {
+    return { schedule: "monthly", scheduleDay: 1, time };
+  }
+
+  // "every monday", "weekly on tue and thu", "mondays and fridays"
+  const weekly = rest.match(/^(?:every|each|weekly on|weekly)\s+(.+)$/);
+  if (weekly || isPluralDayList(rest)) {
+    const days = parseDayList(weekly ? weekly[1] : rest);
+    if (!days) return null;
+    return days.length === 1
+      ? { schedule: "weekly", scheduleDay: days[0], time }
+      : { schedule: days, scheduleDay: null, time };
+  }
+
+  return null;
+}
+
+function parseOnce(rest, time, timezone, now) {
+  const current = moment(now).tz(timezone);
+  const [hours, minutes] = time.split(":").map(Number);
+  const atTime = (date) =>
+    date.clone().hour(hours).minute(minutes).second(0).millisecond(0);
+
+  if (rest === "" || rest === "today" || rest === "tonight") {
+    let target = atTime(current);
+    // A bare time that already passed today means tomorrow
+    if (rest === "" && target.isSameOrBefore(current)) target.add(1, "day");
+    return onceAt(target);
+  }
+  if (rest === "tomorrow") {
+    return onceAt(atTime(current.clone().add(1, "day")));
+  }
+
+  const nextDay = rest.match(/^(?:next |on |this )?([a-z]+)$/);
+  if (nextDay && WEEKDAYS[nextDay[1]] !== undefined) {
+    const target = atTime(current);
+    const day = WEEKDAYS[nextDay[1]];
+    let offset = (day - target.day() + 7) % 7;
+    if (
+      offset === 0 &&
+      (rest.startsWith("next ") || target.isSameOrBefore(current))
+    ) {
+      offset = 7;
+    }
+    return onceAt(target.add(offset, "days"));
+  }
+
+  const dateText = rest
+    .replace(/^on /, "")
+    .replace(/(\d)(st|nd|rd|th)\b/, "$1")
+    .replace(/,/g, "")
+    .replace(/\bof\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const date = moment.tz(dateText, DATE_FORMATS, true, timezone);
+  if (!date.isValid()) return null;
+
+  const target = atTime(date);
+  const hasYear = /\d{4}/.test(dateText);
+  if (!hasYear && target.isBefore(current)) target.add(1, "year");
+  return onceAt(target);
+}
+
+/**
+ * Parse a natural-language schedule.
+ * Returns { schedule, scheduleDay, time } or null if the phrase isn't understood.
+ * One-off reminders come back as schedule "once" with scheduleDay "YYYY-MM-DD",
+ * interval and nth-weekday schedules as schedule "rule" with a recurrence rule.
+ */
+function parseSchedule(input, { timezone = "UTC", now = new Date() } = {}) {
+  if (typeof input !== "string") return null;
+  const text = normalize(input);
+  if (!text) return null;
+
+  const relative = parseRelative(text, timezone, now);
+  if (relative) return relative;
+
+  const { time, rest } = extractTime(text);
+  if (!time) return null;
+
+  return (
+    parseRule(rest, time, moment(now).tz(timezone)) ||
+    parseRecurring(rest, time) ||
+    parseOnce(rest, time, timezone, now)
+  );
+}
+
+module.exports = {
+  parseSchedule,
+};
@@ -0,0 +1,130 @@
+/**
+ * Schedule engine
+ * Every stored schedule (daily, weekly, monthly, custom days, "rule" or
+ * "once") is turned into a recurrence rule and runs through recurrence.js,
+ * so the job that fires, the next time shown to the user, catch-up after
+ * downtime and the simulator all agree, DST changes included.
+ */
+
+const nodeSchedule = require("node-schedule");
+const moment = require("moment-timezone");
+const {
+  normalizeRule,
+  getNextOccurrence,
+  resolveLocalTime,
+} = require("./recurrence");
+
+// Plain schedules repeat every period from the start of time
+const PLAIN_RULE_START = "1970-01-01";
+
+// One-off tunes store their date in scheduleDay as YYYY-MM-DD
+function getOneOffDate(scheduleDay, time, timezone) {
+  return resolveLocalTime(scheduleDay, time, timezone);
+}
+
+/**
+ * The recurrence rule behind a recurring schedule. Weekly tunes default to
+ * Monday and monthly ones to the 1st, like when they were created without a
+ * day. Throws for schedules that can't recur.
+ */
+function toRecurrenceRule(scheduleType, scheduleDay) {
+  if (scheduleType === "rule") return normalizeRule(scheduleDay);
+
+  let rule;
+  if (Array.isArray(scheduleType)) {
+    rule = { freq: "weekly", days: scheduleType };
+  } else if (scheduleType === "daily") {
+    rule = { freq: "daily" };
+  } else if (scheduleType === "weekly") {
+    rule = { freq: "weekly", days: [scheduleDay ?? 1] };
+  } else if (scheduleType === "monthly") {
+    rule = { freq: "monthly", monthDay: scheduleDay ?? 1 };
+  } else {
+    throw new Error(`Not a recurring schedule: ${scheduleType}`);
+  }
+  return normalizeRule({ ...rule, start: PLAIN_RULE_START });
+}
+
+// First occurrence of a recurring schedule strictly after `after`, or null
+function getNextRunAfter(scheduleType, time, scheduleDay, timezone, after) {
+  const next = getNextOccurrence(
+    toRecurrenceRule(scheduleType, scheduleDay),
+    time,
+    timezone,
+    after,
+  );
+  return next ? next.toDate() : null;
+}
+
+/**
+ * Schedule a recurring job, calling onFire(nextInvocation, fireDate) with
+ * Dates each time it comes due. Every occurrence is its own one-shot job,
+ * so the times that fire are exactly the ones getNextRunAfter returns. The
+ * handle mimics a node-schedule Job: cancel() and nextInvocation() (a
+ * moment or null).
+ */
+function scheduleRecurringJob(
+  scheduleType,
+  time,
+  scheduleDay,
+  timezone,
+  onFire,
+) {
+  const rule = toRecurrenceRule(scheduleType, scheduleDay);
+  let job = null;
+  let next = null;
+  let cancelled = false;
+
+  const scheduleNext = (after) => {
+    next = getNextOccurrence(rule, time, timezone, after);
+    if (!next || cancelled) return;
+    job = nodeSchedule.scheduleJob(next.toDate(), async () => {
+      const fireDate = next.toDate();
+      scheduleNext(fireDate);
+      await onFire(next ? next.toDate() : null, fireDate);
+    });
+  };
+
+  scheduleNext(new Date());
+
+  return {
+    cancel() {
+      cancelled = true;
+      if (job) job.cancel();
+    },
+    nextInvocation() {
+      return next && !cancelled ? next.clone() : null;
+    },
+  };
+}
+
+/**
+ * Up to `count` runs of a tune ({ schedule, time, scheduleDay, timezone })
+ * strictly after `from`, as moments in the tune's timezone.
+ */
+function getUpcomingRuns(tune, from, count) {
+  const { schedule, time, scheduleDay, timezone } = tune;
+  if (schedule === "once") {
+    const runAt = getOneOffDate(scheduleDay, time, timezone);
+    return runAt.isValid() && runAt.isAfter(from) ? [runAt] : [];
+  }
+
+  const runs = [];
+  let after = new Date(from);
+  while (runs.length < count) {
+    const next = getNextRunAfter(schedule, time, scheduleDay, timezone, after);
+    if (!next) break;
+    const run = moment(next).tz(timezone);
+    runs.push(run);
+    after = next;
+  }
+  return runs;
+}
+
+module.exports = {
+  getOneOffDate,
+  toRecurrenceRule,
+  getNextRunAfter,
+  scheduleRecurringJob,
+  getUpcomingRuns,
+};
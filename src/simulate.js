@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * Schedule simulator
+ * Prints the next fire times of stored tunes without connecting to Discord,
+ * using the same schedule math as the live jobs (see schedules.js). Handy
+ * for explaining a reminder that fired at an odd time: DST changes, times
+ * that don't exist or happen twice and month-end handling are called out.
+ *
+ *   node src/simulate.js [--db json.sqlite | --file export.json] [options]
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const moment = require("moment-timezone");
+const { describeRule, getLocalTimeKind } = require("./recurrence");
+const { toRecurrenceRule, getUpcomingRuns } = require("./schedules");
+const { parseImport } = require("./tuneTransfer");
+
+const USAGE = `Usage: node src/simulate.js [options]
+
+  --db <path>      quick.db file to read (default: json.sqlite)
+  --file <path>    read a /exporttunes .json or .ics file instead
+  --from <date>    simulate from this date, e.g. 2026-03-29 or
+                   "2026-03-29 01:30" (default: now)
+  --tz <zone>      run every tune as if it were set in this timezone
+  --count <n>      fire times per tune (default: 5)
+  --user <id>      only this user's tunes
+  --tune <name>    only tunes with this name or id
+  --help           show this help`;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function describeSchedule({ schedule, scheduleDay, time }) {
+  let description;
+  if (Array.isArray(schedule)) {
+    description = `Every ${schedule.map((day) => WEEKDAYS[day]).join(", ")}`;
+  } else if (schedule === "daily") {
+    description = "Every day";
+  } else if (schedule === "weekly") {
+    description = `Every ${WEEKDAYS[scheduleDay ?? 1]}`;
+  } else if (schedule === "monthly") {
+    description = `Monthly on day ${scheduleDay ?? 1}`;
+  } else if (schedule === "once") {
+    description = `Once on ${scheduleDay}`;
+  } else if (schedule === "rule") {
+    description = describeRule(scheduleDay);
+  } else {
+    description = String(schedule);
+  }
+  return `${description} at ${time}`;
+}
+
+// [{ label, tune }] from the bot's database, personal and team tunes
+async function loadDatabase(filePath) {
+  if (!fs.existsSync(filePath)) fail(`No database at ${filePath}`);
+  const { QuickDB } = require("quick.db");
+  const rows = await new QuickDB({ filePath }).all();
+  const entries = [];
+
+  for (const { id, value } of rows) {
+    if (id.startsWith("user_")) {
+      const userId = id.slice("user_".length);
+      for (const [guildId, scope] of Object.entries(value?.guilds || {})) {
+        for (const [taskId, task] of Object.entries(scope.tasks || {})) {
+          entries.push({
+            label: `user ${userId} · ${guildId} · ${taskId}`,
+            userId,
+            tune: { ...task, vacation: value.vacation },
+          });
+        }
+      }
+    } else if (id.startsWith("guild_")) {
+      const guildId = id.slice("guild_".length);
+      for (const [tuneId, tune] of Object.entries(value?.tunes || {})) {
+        entries.push({
+          label: `team · ${guildId} · ${tuneId}`,
+          userId: null,
+          tune,
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+// [{ label, tune }] from an export, with what couldn't be read on stderr
+function loadExport(filePath, timezone, from) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    fail(`Can't read ${filePath}: ${error.message}`);
+  }
+  try {
+    const { tunes, problems } = parseImport(text, {
+      timezone: timezone || "UTC",
+      now: from.toDate(),
+    });
+    for (const problem of problems) console.error(`Skipped ${problem}`);
+    return tunes.map((tune, index) => ({
+      label: `entry ${index + 1}`,
+      userId: null,
+      tune,
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+function parseFrom(input, timezone) {
+  if (!input) return moment.tz(timezone);
+  const from = moment.tz(
+    input,
+    [
+      "YYYY-MM-DD",
+      "YYYY-MM-DD HH:mm",
+      "YYYY-MM-DDTHH:mm",
+      "YYYY-MM-DDTHH:mm:ss",
+      moment.ISO_8601,
+    ],
+    true,
+    timezone,
+  );
+  if (!from.isValid()) fail(`Invalid --from date "${input}"`);
+  return from;
+}
+
+// Why a run looks odd, compared with the run before it
+function describeRun(run, previousOffset, tune) {
+  const notes = [];
+  if (run.utcOffset() !== previousOffset) {
+    const format = (offset) => moment().utcOffset(offset).format("Z");
+    notes.push(
+      `DST: UTC${format(previousOffset)} → UTC${format(run.utcOffset())}`,
+    );
+  }
+  const kind = getLocalTimeKind(
+    run.format("YYYY-MM-DD"),
+    tune.time,
+    tune.timezone,
+  );
+  if (kind === "skipped") {
+    notes.push(`moved from ${tune.time}, which doesn't exist that day`);
+  } else if (kind === "repeated") {
+    notes.push(`${tune.time} happens twice that day, only the first fires`);
+  }
+  if (tune.schedule !== "once") {
+    const { freq, monthDay } = toRecurrenceRule(
+      tune.schedule,
+      tune.scheduleDay,
+    );
+    if (freq === "monthly" && monthDay > run.date()) {
+      notes.push(`day ${monthDay} moved to the month's last day`);
+    }
+  }
+  if (tune.skipNext && run.isSame(tune.skipNext, "minute")) {
+    notes.push("skipped with Skip next");
+  }
+  return notes;
+}
+
+function describeState(tune, from) {
+  const notes = [];
+  if (tune.paused) {
+    notes.push(
+      tune.paused.until
+        ? `paused until ${tune.paused.until}`
+        : "paused, won't fire until resumed",
+    );
+  }
+  if (
+    tune.vacation &&
+    (!tune.vacation.until || moment(tune.vacation.until).isAfter(from))
+  ) {
+    notes.push(
+      tune.vacation.until
+        ? `owner on vacation until ${tune.vacation.until}`
+        : "owner on vacation",
+    );
+  }
+  return notes;
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        db: { type: "string", default: "json.sqlite" },
+        file: { type: "string" },
+        from: { type: "string" },
+        tz: { type: "string" },
+        count: { type: "string", default: "5" },
+        user: { type: "string" },
+        tune: { type: "string" },
+        help: { type: "boolean" },
+      },
+    }));
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values.tz && !moment.tz.zone(values.tz)) {
+    fail(`Unknown timezone "${values.tz}"`);
+  }
+  const count = Number(values.count);
+  if (!Number.isInteger(count) || count < 1) {
+    fail("--count must be a positive number");
+  }
+  const from = parseFrom(values.from, values.tz || moment.tz.guess());
+
+  let entries = values.file
+    ? loadExport(values.file, values.tz, from)
+    : await loadDatabase(values.db);
+  if (values.user) {
+    entries = entries.filter((entry) => entry.userId === values.user);
+  }
+  if (values.tune) {
+    const wanted = values.tune.toLowerCase();
+    entries = entries.filter(
+      ({ label, tune }) =>
+        tune.name?.toLowerCase() === wanted || label.endsWith(` ${wanted}`),
+    );
+  }
+  if (entries.length === 0) {
+    console.log("No tunes found.");
+    return;
+  }
+
+  console.log(
+    `Fire times after ${from.format("ddd YYYY-MM-DD HH:mm z (Z)")}` +
+      (values.tz ? `, every tune in ${values.tz}` : "") +
+      "\n",
+  );
+  for (const { label, tune: stored } of entries) {
+    const timezone = values.tz || stored.timezone || "UTC";
+    const tune = { ...stored, timezone };
+    console.log(`${tune.name}  [${label}]`);
+    console.log(`  ${describeSchedule(tune)} (${timezone})`);
+    for (const note of describeState(tune, from)) console.log(`  ! ${note}`);
+
+    let runs;
+    try {
+      runs = getUpcomingRuns(tune, from, count);
+    } catch (error) {
+      console.log(`  Can't be scheduled: ${error.message}\n`);
+      continue;
+    }
+    if (runs.length === 0) console.log("  No more fire times.");
+
+    let previousOffset = from.clone().tz(timezone).utcOffset();
+    runs.forEach((run, index) => {
+      const notes = describeRun(run, previousOffset, tune);
+      console.log(
+        `  ${String(index + 1).padStart(2)}. ${run.format("ddd YYYY-MM-DD HH:mm z")}` +
+          (notes.length ? `  ← ${notes.join("; ")}` : ""),
+      );
+      previousOffset = run.utcOffset();
+    });
+    console.log();
+  }
+}
+
+main().catch((error) => fail(error.stack || error.message));
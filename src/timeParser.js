@@ -0,0 +1,102 @@
+/**
+ * Time parsing helpers
+ * Turns free-form clock times ("7:45pm", "19:45", "noon") into the
+ * normalized HH:mm strings that setupReminder stores
+ */
+
+const NAMED_TIMES = {
+  noon: "12:00",
+  midday: "12:00",
+  midnight: "00:00",
+};
+
+// Both take an optional "am", "pm", "a.m." or "p.m."
+const TIME_PATTERN = /^(\d{1,2})(?:\s*[:.h]\s*(\d{2}))?(?:\s*([ap])\.?m\.?)?$/i;
+const COMPACT_TIME_PATTERN = /^(\d{1,2})(\d{2})(?:\s*([ap])\.?m\.?)?$/i;
+
+function pad(value) {
+  return value.toString().padStart(2, "0");
+}
+
+// Parse a single time of day, returns "HH:mm" or null if invalid
+function parseTimeOfDay(input) {
+  if (typeof input !== "string") return null;
+  const text = input.trim().toLowerCase();
+  if (!text) return null;
+  if (NAMED_TIMES[text]) return NAMED_TIMES[text];
+
+  const match = text.match(TIME_PATTERN) || text.match(COMPACT_TIME_PATTERN);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === "p") hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+// Parse a list like "08:00, 1pm and 21:30" into sorted, unique HH:mm values
+function parseTimeList(input) {
+  const times = new Set();
+  const invalid = [];
+
+  for (const part of (input || "").split(/,|;|\band\b|\n/i)) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const time = parseTimeOfDay(trimmed);
+    if (time) {
+      times.add(time);
+    } else {
+      invalid.push(trimmed);
+    }
+  }
+
+  return { times: Array.from(times).sort(), invalid };
+}
+
+const DURATION_UNITS = {
+  d: 24 * 60,
+  day: 24 * 60,
+  h: 60,
+  hr: 60,
+  hour: 60,
+  m: 1,
+  min: 1,
+  minute: 1,
+};
+
+// Parse durations like "10m", "1h30m", "2 hours" or a bare "45" into minutes
+function parseDuration(input) {
+  if (typeof input !== "string") return null;
+  const text = input.trim().toLowerCase();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) || null;
+
+  const pattern = /(\d+)\s*([a-z]+?)s?(?=\d|\s|$)/g;
+  let total = 0;
+  let consumed = "";
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = DURATION_UNITS[match[2]];
+    if (!unit) return null;
+    total += parseInt(match[1], 10) * unit;
+    consumed += match[0];
+  }
+
+  if (consumed.replace(/\s/g, "") !== text.replace(/\s/g, "")) return null;
+  return total > 0 ? total : null;
+}
+
+module.exports = {
+  parseTimeOfDay,
+  parseTimeList,
+  parseDuration,
+};
@@ -0,0 +1,303 @@
+/**
+ * Timezone search
+ * Finds IANA zones for whatever a user types: zone or city names
+ * ("new york"), common aliases ("Bangalore", "Japan"), abbreviations
+ * ("CET", "PST"), UTC offsets ("UTC+5:30", "-03") and their current clock
+ * time ("14:32", "2:32pm"), for people who don't know what their zone is
+ * called. A clock time can be followed by part of a name ("14:32 par").
+ */
+
+const moment = require("moment-timezone");
+const { parseTimeOfDay } = require("./timeParser");
+const { createLocalizer } = require("./i18n");
+
+const MAX_RESULTS = 25;
+
+// A typed clock time is matched against zones' current time within this
+// many minutes. Offsets differ by at least 15, so it stays unambiguous
+const CLOCK_TOLERANCE_MINUTES = 7;
+
+// Shown before anything is typed
+const COMMON_ZONES = [
+  "Etc/UTC",
+  "Europe/London",
+  "Europe/Berlin",
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Los_Angeles",
+  "America/Sao_Paulo",
+  "Asia/Kolkata",
+  "Asia/Shanghai",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+];
+
+// Places people search for that aren't in zone names
+const ALIASES = {
+  "new delhi": "Asia/Kolkata",
+  delhi: "Asia/Kolkata",
+  mumbai: "Asia/Kolkata",
+  bangalore: "Asia/Kolkata",
+  bengaluru: "Asia/Kolkata",
+  chennai: "Asia/Kolkata",
+  hyderabad: "Asia/Kolkata",
+  india: "Asia/Kolkata",
+  beijing: "Asia/Shanghai",
+  shenzhen: "Asia/Shanghai",
+  guangzhou: "Asia/Shanghai",
+  china: "Asia/Shanghai",
+  osaka: "Asia/Tokyo",
+  kyoto: "Asia/Tokyo",
+  japan: "Asia/Tokyo",
+  "abu dhabi": "Asia/Dubai",
+  hanoi: "Asia/Ho_Chi_Minh",
+  saigon: "Asia/Ho_Chi_Minh",
+  "san francisco": "America/Los_Angeles",
+  sf: "America/Los_Angeles",
+  la: "America/Los_Angeles",
+  seattle: "America/Los_Angeles",
+  "san diego": "America/Los_Angeles",
+  "las vegas": "America/Los_Angeles",
+  portland: "America/Los_Angeles",
+  nyc: "America/New_York",
+  boston: "America/New_York",
+  washington: "America/New_York",
+  miami: "America/New_York",
+  atlanta: "America/New_York",
+  philadelphia: "America/New_York",
+  montreal: "America/Toronto",
+  ottawa: "America/Toronto",
+  dallas: "America/Chicago",
+  houston: "America/Chicago",
+  austin: "America/Chicago",
+  "salt lake city": "America/Denver",
+  "rio de janeiro": "America/Sao_Paulo",
+  munich: "Europe/Berlin",
+  frankfurt: "Europe/Berlin",
+  hamburg: "Europe/Berlin",
+  germany: "Europe/Berlin",
+  barcelona: "Europe/Madrid",
+  spain: "Europe/Madrid",
+  milan: "Europe/Rome",
+  italy: "Europe/Rome",
+  france: "Europe/Paris",
+  geneva: "Europe/Zurich",
+  "st petersburg": "Europe/Moscow",
+  "saint petersburg": "Europe/Moscow",
+  manchester: "Europe/London",
+  edinburgh: "Europe/London",
+  england: "Europe/London",
+  "united kingdom": "Europe/London",
+  uk: "Europe/London",
+  ireland: "Europe/Dublin",
+  netherlands: "Europe/Amsterdam",
+  canberra: "Australia/Sydney",
+  wellington: "Pacific/Auckland",
+  "new zealand": "Pacific/Auckland",
+  "cape town": "Africa/Johannesburg",
+};
+
+// Zones people actually live in, without the old links like "US/Eastern"
+let primaryZones = null;
+function getPrimaryZones() {
+  if (!primaryZones) {
+    primaryZones = new Set([
+      "Etc/UTC",
+      ...moment.tz
+        .countries()
+        .flatMap((country) => moment.tz.zonesForCountry(country)),
+    ]);
+  }
+  return primaryZones;
+}
+
+// "America/Argentina/Buenos_Aires" → "america argentina buenos aires"
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[/_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "Asia/Kolkata" → "kolkata"
+function cityOf(zone) {
+  return normalize(zone.split("/").pop());
+}
+
+// Named abbreviations only; zones without one show "+03" and the like
+function getAbbreviation(zone, at) {
+  const abbreviation = moment.tz(at, zone).zoneAbbr();
+  return /^[A-Z]{2,5}$/.test(abbreviation) ? abbreviation : null;
+}
+
+// Minutes east of UTC for "UTC+5:30", "gmt-3", "+0530" or "UTC", else null
+function parseUtcOffset(input) {
+  const text = input.trim().toLowerCase().replace("−", "-");
+  if (/^(utc|gmt|z)$/.test(text)) return 0;
+  const match = text.match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match) return null;
+  const hours = parseInt(match[2], 10);
+  const minutes = match[3] ? parseInt(match[3], 10) : 0;
+  if (hours > 14 || minutes > 59) return null;
+  return (match[1] === "-" ? -1 : 1) * (hours * 60 + minutes);
+}
+
+function formatOffset(minutes) {
+  return `UTC${moment().utcOffset(minutes).format("Z")}`;
+}
+
+// How well a zone's name, city or alias matches the query, lower is better
+function scoreName(zone, query) {
+  const name = normalize(zone);
+  const city = cityOf(zone);
+  if (name === query || city === query) return 0;
+  if (city.startsWith(query)) return 2;
+  if (name.split(" ").some((word) => word.startsWith(query))) return 3;
+  if (query.length >= 3 && name.includes(query)) return 4;
+  return null;
+}
+
+function searchByName(query, now) {
+  const scores = new Map();
+  const consider = (zone, score) => {
+    if (score !== null && (scores.get(zone) ?? Infinity) > score) {
+      scores.set(zone, score);
+    }
+  };
+
+  for (const zone of moment.tz.names()) consider(zone, scoreName(zone, query));
+  for (const [alias, zone] of Object.entries(ALIASES)) {
+    if (alias === query) consider(zone, 0);
+    else if (query.length >= 2 && alias.startsWith(query)) consider(zone, 2);
+  }
+
+  // "cet", "pst": zones using that abbreviation now rank above the ones that
+  // use it in the other half of the year
+  if (/^[a-z]{2,5}$/.test(query)) {
+    const year = moment(now).year();
+    for (const zone of getPrimaryZones()) {
+      if (getAbbreviation(zone, now)?.toLowerCase() === query) {
+        consider(zone, 1);
+      } else if (
+        [`${year}-01-15`, `${year}-07-15`].some(
+          (date) => getAbbreviation(zone, date)?.toLowerCase() === query,
+        )
+      ) {
+        consider(zone, 2);
+      }
+    }
+  }
+
+  const primary = getPrimaryZones();
+  return [...scores.entries()]
+    .sort(
+      ([a, scoreA], [b, scoreB]) =>
+        scoreA - scoreB ||
+        Number(primary.has(b)) - Number(primary.has(a)) ||
+        a.localeCompare(b),
+    )
+    .map(([zone]) => zone);
+}
+
+// Zones currently at this offset, Etc/UTC first for UTC itself
+function searchByOffset(offset, now) {
+  return [...getPrimaryZones()]
+    .filter((zone) => moment.tz(now, zone).utcOffset() === offset)
+    .sort(
+      (a, b) =>
+        Number(b === "Etc/UTC") - Number(a === "Etc/UTC") || a.localeCompare(b),
+    );
+}
+
+/**
+ * Zones whose clock currently reads `time` (HH:mm), give or take a few
+ * minutes, optionally narrowed by part of a name.
+ */
+function findZonesForLocalTime(time, now = new Date(), nameQuery = "") {
+  const [hours, minutes] = time.split(":").map(Number);
+  const wanted = hours * 60 + minutes;
+  const query = normalize(nameQuery);
+
+  return [...getPrimaryZones()]
+    .filter((zone) => {
+      const local = moment.tz(now, zone);
+      const difference = Math.abs(
+        local.hours() * 60 + local.minutes() - wanted,
+      );
+      return (
+        Math.min(difference, 24 * 60 - difference) <= CLOCK_TOLERANCE_MINUTES
+      );
+    })
+    .filter((zone) => !query || scoreName(zone, query) !== null)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Zone names for a free-form query, best match first. Queries that start
+ * with a clock time ("14:32", "2:32pm paris") look for zones showing that
+ * time now.
+ */
+function searchTimezones(
+  query,
+  { now = new Date(), limit = MAX_RESULTS } = {},
+) {
+  const text = (query || "").trim();
+  if (!text) return COMMON_ZONES.slice(0, limit);
+
+  const offset = parseUtcOffset(text);
+  if (offset !== null) return searchByOffset(offset, now).slice(0, limit);
+
+  const clock = text.match(/^(\S+(?:\s*[ap]\.?m\.?)?)(?:\s+(.*))?$/i);
+  const time = clock && /\d/.test(clock[1]) ? parseTimeOfDay(clock[1]) : null;
+  if (time) {
+    return findZonesForLocalTime(time, now, clock[2] || "").slice(0, limit);
+  }
+
+  return searchByName(normalize(text), now).slice(0, limit);
+}
+
+/**
+ * What the user most likely meant: { timezone } for an exact zone name or a
+ * single clear match, { matches } to choose from, or { error } in lang's
+ * language (English by default).
+ */
+function resolveTimezone(
+  input,
+  { now = new Date(), lang = createLocalizer() } = {},
+) {
+  const text = (input || "").trim();
+  const zone = moment.tz.zone(text);
+  if (zone) return { timezone: zone.name };
+
+  const matches = searchTimezones(text, { now, limit: Infinity });
+  if (matches.length === 0) {
+    return { error: lang.t("timezone.noMatch", { input: text }) };
+  }
+  const normalized = normalize(text);
+  const exact = matches.filter(
+    (match) => cityOf(match) === normalized || ALIASES[normalized] === match,
+  );
+  if (matches.length === 1) return { timezone: matches[0] };
+  if (exact.length === 1) return { timezone: exact[0] };
+  return { matches };
+}
+
+// "Asia/Kolkata (UTC+05:30, IST) · 14:02", short enough for a choice name
+function describeTimezone(zone, now = new Date()) {
+  const local = moment.tz(now, zone);
+  const abbreviation = getAbbreviation(zone, now);
+  const details = [formatOffset(local.utcOffset()), abbreviation]
+    .filter(Boolean)
+    .join(", ");
+  return `${zone.replace(/_/g, " ")} (${details}) · ${local.format("HH:mm")}`;
+}
+
+module.exports = {
+  parseUtcOffset,
+  findZonesForLocalTime,
+  searchTimezones,
+  resolveTimezone,
+  describeTimezone,
+};
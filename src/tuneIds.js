@@ -0,0 +1,112 @@
+/**
+ * Tune names and ids
+ * Tunes are stored and referenced by a generated id instead of their name:
+ * names can contain anything a user types, ids are safe to put in customIds
+ * ("reminder_done_<user>_<guild>_<id>") and quick.db dot paths
+ */
+
+const crypto = require("crypto");
+const { createLocalizer } = require("./i18n");
+
+const MAX_NAME_LENGTH = 80;
+const ID_PATTERN = /^[0-9a-f]{12}$/;
+
+function createTuneId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+function isTuneId(value) {
+  return typeof value === "string" && ID_PATTERN.test(value);
+}
+
+// Drop control characters and collapse whitespace, "" if nothing is left
+function sanitizeTuneName(input) {
+  if (typeof input !== "string") return "";
+  return input
+    .normalize("NFC")
+    .replace(/\p{Cc}/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Returns { name } with the cleaned up name, or { error } to show the user
+// in lang's language (English by default)
+function validateTuneName(input, lang = createLocalizer()) {
+  const name = sanitizeTuneName(input);
+  if (!name) return { error: lang.t("tuneName.empty") };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: lang.t("tuneName.tooLong", { max: MAX_NAME_LENGTH }) };
+  }
+  return { name };
+}
+
+// Find a tune by id, or by name for typed-in and older references
+function findTuneId(tunes, ref) {
+  if (!tunes || !ref) return null;
+  if (Object.prototype.hasOwnProperty.call(tunes, ref)) return ref;
+
+  const wanted = sanitizeTuneName(ref).toLowerCase();
+  const match = Object.entries(tunes).find(
+    ([, tune]) => tune?.name?.toLowerCase() === wanted,
+  );
+  return match ? match[0] : null;
+}
+
+function looksLikeTune(value) {
+  return Boolean(value && typeof value === "object" && "schedule" in value);
+}
+
+/**
+ * Re-key tunes stored under their name to generated ids. quick.db split
+ * names with dots into nested objects ("Read ch. 3" became
+ * tunes["Read ch"][" 3"]), those are found again under their full name.
+ * Names are cut to MAX_NAME_LENGTH so they pass validateTuneName on edit,
+ * and tunes that already have an id are kept, so re-running changes nothing.
+ * Returns { tunes, moved }, moved being [oldKey, newId] for each tune that
+ * got a new id.
+ */
+function assignTuneIds(tunes) {
+  const result = {};
+  const moved = [];
+
+  const visit = (key, value) => {
+    if (!value || typeof value !== "object") return;
+    if (!looksLikeTune(value)) {
+      for (const [child, childValue] of Object.entries(value)) {
+        visit(`${key}.${child}`, childValue);
+      }
+      return;
+    }
+    if (isTuneId(key) && value.name) {
+      result[key] = value;
+      return;
+    }
+
+    const tune = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      // A tune called "a.b" ends up inside the one called "a"
+      if (looksLikeTune(fieldValue)) {
+        visit(`${key}.${field}`, fieldValue);
+      } else {
+        tune[field] = fieldValue;
+      }
+    }
+    const id = createTuneId();
+    const name = sanitizeTuneName(tune.name) || sanitizeTuneName(key);
+    result[id] = { ...tune, name: name.slice(0, MAX_NAME_LENGTH).trim() };
+    moved.push([key, id]);
+  };
+
+  for (const [key, value] of Object.entries(tunes || {})) visit(key, value);
+  return { tunes: result, moved };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  createTuneId,
+  isTuneId,
+  sanitizeTuneName,
+  validateTuneName,
+  findTuneId,
+  assignTuneIds,
+};
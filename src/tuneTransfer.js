@@ -0,0 +1,342 @@
+/**
+ * Tune export and import
+ * Tunes travel as JSON ({ version, tunes: [...] }, the stored fields minus
+ * ids and history) or as iCalendar events whose RRULE matches the tune's
+ * schedule. Both formats are validated into the same
+ * { name, schedule, scheduleDay, time, timezone, ... } shape.
+ */
+
+const moment = require("moment-timezone");
+const { toRecurrenceRule } = require("./schedules");
+const { validateTuneName } = require("./tuneIds");
+const { parseTimeOfDay } = require("./timeParser");
+const { createEscalationPolicy } = require("./escalation");
+const { MAX_LEADS, MAX_LEAD_MINUTES } = require("./leadTimes");
+const { CATCH_UP } = require("./jobStore");
+const { createLocalizer } = require("./i18n");
+const {
+  ICS_DAYS,
+  escapeText,
+  unescapeText,
+  foldLine,
+  readEvents,
+  parseDateTime,
+  parseRRule,
+} = require("./icalendar");
+
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_TUNES = 50;
+const DELIVERY_TARGETS = ["channel", "dm", "both"];
+
+// The fields that make up a tune outside of Toki
+function toPortableTune(tune) {
+  const portable = {
+    name: tune.name,
+    schedule: tune.schedule,
+    scheduleDay: tune.scheduleDay ?? null,
+    time: tune.time,
+    timezone: tune.timezone,
+  };
+  for (const field of ["leads", "escalation", "catchUp", "delivery"]) {
+    if (tune[field] !== undefined && tune[field] !== null) {
+      portable[field] = tune[field];
+    }
+  }
+  return portable;
+}
+
+function exportJson(tunes, now = new Date()) {
+  return JSON.stringify(
+    {
+      version: EXPORT_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      tunes: tunes.map(toPortableTune),
+    },
+    null,
+    2,
+  );
+}
+
+// RRULE for a recurring tune, null for one-off tunes
+function toRRule(tune) {
+  const { schedule, scheduleDay } = tune;
+  if (schedule === "once") return null;
+
+  const rule = toRecurrenceRule(schedule, scheduleDay);
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === "weekly") {
+    parts.push(`BYDAY=${rule.days.map((day) => ICS_DAYS[day]).join(",")}`);
+    if (rule.interval > 1) parts.push("WKST=MO");
+  } else if (rule.freq === "monthly" && rule.weekOfMonth) {
+    parts.push(`BYDAY=${rule.weekOfMonth}${ICS_DAYS[rule.days[0]]}`);
+  } else if (rule.freq === "monthly" && rule.monthDay > 28) {
+    // Tunes move the 31st to the last day of shorter months
+    const days = [];
+    for (let day = 28; day <= rule.monthDay; day++) days.push(day);
+    parts.push(`BYMONTHDAY=${days.join(",")}`, "BYSETPOS=-1");
+  } else if (rule.freq === "monthly") {
+    parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * Build a calendar from [{ id, tune, firstRun }], firstRun being the tune's
+ * next occurrence (a moment), which becomes DTSTART. Events refer to their
+ * timezone by its IANA name without a VTIMEZONE, which calendar apps accept.
+ */
+function exportICalendar(entries, now = new Date()) {
+  const stamp = moment(now).utc().format("YYYYMMDD[T]HHmmss[Z]");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Toki//Tunes//EN",
+    "CALSCALE:GREGORIAN",
+  ];
+
+  for (const { id, tune, firstRun } of entries) {
+    const timezone = tune.timezone || "UTC";
+    const rrule = toRRule(tune);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${id}@toki`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timezone}:${firstRun.clone().tz(timezone).format("YYYYMMDD[T]HHmmss")}`,
+      ...(rrule ? [`RRULE:${rrule}`] : []),
+      `SUMMARY:${escapeText(tune.name)}`,
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Check one imported entry and normalize it into a tune.
+ * Returns { tune } or { error } describing what's wrong in lang's language.
+ */
+function validateTune(
+  entry,
+  { timezone: fallbackTimezone, now = new Date(), lang = createLocalizer() },
+) {
+  const { t } = lang;
+  if (!entry || typeof entry !== "object") {
+    return { error: t("import.notTune") };
+  }
+
+  const { name, error } = validateTuneName(entry.name, lang);
+  if (error) return { error };
+
+  const time = parseTimeOfDay(entry.time);
+  if (!time) return { error: t("import.invalidTime", { time: entry.time }) };
+
+  const timezone = entry.timezone || fallbackTimezone || "UTC";
+  if (!moment.tz.zone(timezone)) {
+    return { error: t("import.unknownTimezone", { timezone }) };
+  }
+
+  const { schedule } = entry;
+  let scheduleDay = entry.scheduleDay ?? null;
+  if (Array.isArray(schedule)) {
+    const days = [...new Set(schedule)];
+    if (
+      days.length === 0 ||
+      !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return { error: t("import.customDays") };
+    }
+    scheduleDay = null;
+  } else if (schedule === "daily") {
+    scheduleDay = null;
+  } else if (schedule === "weekly") {
+    if (
+      scheduleDay !== null &&
+      !(Number.isInteger(scheduleDay) && scheduleDay >= 0 && scheduleDay <= 6)
+    ) {
+      return { error: t("import.weeklyDay") };
+    }
+  } else if (schedule === "monthly") {
+    if (
+      scheduleDay !== null &&
+      !(Number.isInteger(scheduleDay) && scheduleDay >= 1 && scheduleDay <= 31)
+    ) {
+      return { error: t("import.monthlyDay") };
+    }
+  } else if (schedule === "once") {
+    const runAt = moment.tz(
+      `${scheduleDay} ${time}`,
+      "YYYY-MM-DD HH:mm",
+      true,
+      timezone,
+    );
+    if (!runAt.isValid()) return { error: t("import.onceDate") };
+    if (!runAt.isAfter(now)) return { error: t("import.past") };
+  } else if (schedule === "rule") {
+    try {
+      scheduleDay = toRecurrenceRule("rule", scheduleDay);
+    } catch {
+      return { error: t("import.invalidRule") };
+    }
+  } else {
+    return { error: t("import.unknownSchedule", { schedule }) };
+  }
+
+  const tune = { name, schedule, scheduleDay, time, timezone };
+
+  if (entry.leads !== undefined) {
+    if (
+      !Array.isArray(entry.leads) ||
+      !entry.leads.every((lead) => Number.isInteger(lead) && lead > 0)
+    ) {
+      return { error: t("import.leadMinutes") };
+    }
+    // The same limits as /tune leads
+    const leads = [...new Set(entry.leads)].sort((a, b) => b - a);
+    if (leads[0] > MAX_LEAD_MINUTES) {
+      return { error: t("lead.tooFar") };
+    }
+    if (leads.length > MAX_LEADS) {
+      return { error: t("lead.tooMany", { max: MAX_LEADS }) };
+    }
+    tune.leads = leads;
+  }
+  if (entry.escalation) {
+    const { policy, error: policyError } = createEscalationPolicy(
+      entry.escalation,
+      lang,
+    );
+    if (policyError) return { error: policyError };
+    tune.escalation = policy;
+  }
+  if (entry.catchUp !== undefined) {
+    if (!Object.values(CATCH_UP).includes(entry.catchUp)) {
+      return {
+        error: t("import.unknownCatchUp", { policy: entry.catchUp }),
+      };
+    }
+    tune.catchUp = entry.catchUp;
+  }
+  if (entry.delivery !== undefined) {
+    if (!DELIVERY_TARGETS.includes(entry.delivery)) {
+      return {
+        error: t("import.unknownDelivery", { delivery: entry.delivery }),
+      };
+    }
+    tune.delivery = entry.delivery;
+  }
+  return { tune };
+}
+
+// Raw entries of a JSON export, throws if it isn't one
+function readJson(text, lang) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(lang.t("import.notJson"));
+  }
+  if (!Array.isArray(data?.tunes)) {
+    throw new Error(lang.t("import.noTunesList"));
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(lang.t("import.newerVersion"));
+  }
+  return data.tunes;
+}
+
+// Turn an RRULE back into schedule and scheduleDay, throws if a tune can't follow it
+function fromRRule(rrule, start, lang) {
+  const { rule, count, until, exactMonthDay } = parseRRule(rrule, start, lang);
+  if (count !== null || until !== null) {
+    throw new Error(lang.t("import.seriesEnds"));
+  }
+
+  const { freq, interval, days, weekOfMonth, monthDay } = rule;
+  if (interval === 1 && freq === "daily") {
+    return { schedule: "daily", scheduleDay: null };
+  }
+  if (interval === 1 && freq === "weekly") {
+    return days.length === 1
+      ? { schedule: "weekly", scheduleDay: days[0] }
+      : { schedule: days, scheduleDay: null };
+  }
+  // Tunes move the 31st to the last day of shorter months, a plain
+  // BYMONTHDAY=31 skips them
+  if (exactMonthDay) {
+    throw new Error(lang.t("import.exactMonthDay", { day: monthDay }));
+  }
+  if (interval === 1 && freq === "monthly" && !weekOfMonth && monthDay > 0) {
+    return { schedule: "monthly", scheduleDay: monthDay };
+  }
+  return { schedule: "rule", scheduleDay: rule };
+}
+
+// Raw entries of a calendar, or { error } for events Toki can't express
+function readICalendar(text, timezone, lang) {
+  if (!text.trimStart().startsWith("BEGIN:VCALENDAR")) {
+    throw new Error(lang.t("ical.notCalendar"));
+  }
+  return readEvents(text).map((event) => {
+    const property = (name) => event.find((entry) => entry.name === name);
+    const name = unescapeText(property("SUMMARY")?.value || "");
+    try {
+      const start = parseDateTime(property("DTSTART"), timezone, lang);
+      const rrule = property("RRULE");
+      const { schedule, scheduleDay } = rrule
+        ? fromRRule(rrule.value, start, lang)
+        : { schedule: "once", scheduleDay: start.format("YYYY-MM-DD") };
+      return {
+        name,
+        schedule,
+        scheduleDay,
+        time: start.format("HH:mm"),
+        timezone: start.tz(),
+      };
+    } catch (error) {
+      return { name, error: error.message };
+    }
+  });
+}
+
+/**
+ * Read an uploaded export, telling JSON and iCalendar apart by content.
+ * Returns { tunes, problems }: the valid tunes and a "name: reason" line
+ * for each entry that was left out, in lang's language (English by default).
+ * Throws if the file can't be read at all.
+ */
+function parseImport(
+  text,
+  { timezone, now = new Date(), lang = createLocalizer() },
+) {
+  const trimmed = text.trimStart();
+  const entries = trimmed.startsWith("BEGIN:VCALENDAR")
+    ? readICalendar(trimmed, timezone, lang)
+    : readJson(trimmed, lang);
+  if (entries.length > MAX_IMPORT_TUNES) {
+    throw new Error(lang.t("import.tooMany", { max: MAX_IMPORT_TUNES }));
+  }
+
+  const tunes = [];
+  const problems = [];
+  entries.forEach((entry, index) => {
+    const label = entry?.name || lang.t("import.entry", { number: index + 1 });
+    const { tune, error } = entry?.error
+      ? { error: entry.error }
+      : validateTune(entry, { timezone, now, lang });
+    if (error) {
+      problems.push(`${label}: ${error}`);
+    } else {
+      tunes.push(tune);
+    }
+  });
+  return { tunes, problems };
+}
+
+module.exports = {
+  MAX_IMPORT_TUNES,
+  exportJson,
+  exportICalendar,
+  toRRule,
+  parseImport,
+};
@@ -0,0 +1,379 @@
+/**
+ * Outgoing webhooks
+ * Tunes can call other systems when they fire. A target looks like
+ * { id, url, format, secret }: "json" posts Toki's own payload, "slack" and
+ * "discord" post what those services' incoming webhooks expect. Every
+ * request carries an HMAC signature made with the target's secret, and
+ * failed requests are retried with exponential backoff. The HTTP client and
+ * the wait between attempts are passed in, so a local stand-in can take
+ * their place. Unless the host opts in, hosts that resolve to a local or
+ * private address are refused, both when a URL is added and again for every
+ * connection, since DNS can answer differently the second time.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { createLocalizer } = require("./i18n");
+
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+const MAX_WEBHOOKS = 5;
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 2000;
+const MAX_RETRY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_LOG_ENTRIES = 20;
+
+const SIGNATURE_HEADER = "X-Toki-Signature";
+const TIMESTAMP_HEADER = "X-Toki-Timestamp";
+
+// Addresses on Toki's own machine or network, only allowed when the host
+// opts in. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64, can reach any IPv4 address
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return (
+    family !== 0 &&
+    PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+}
+
+// "[::1]" -> "::1", URL keeps the brackets around IPv6 hosts
+function bareHostname(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+function privateAddressError(hostname, address) {
+  const error = new Error(
+    address === hostname
+      ? `${hostname} is a private address`
+      : `${hostname} resolves to private address ${address}`,
+  );
+  error.code = "EPRIVATEADDRESS";
+  return error;
+}
+
+/**
+ * dns.lookup that refuses hosts with a private address among their answers.
+ * Agents connect through it, so the address that is checked is the one that
+ * is used.
+ */
+function createGuardedLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(({ address }) =>
+        isPrivateAddress(address),
+      );
+      if (blocked) {
+        return callback(privateAddressError(hostname, blocked.address));
+      }
+      if (options.all) return callback(null, addresses);
+      const [{ address, family }] = addresses;
+      return callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * Returns { url } normalized, or { error } to show the user in lang's
+ * language (English by default). Hosts that don't resolve right now are
+ * accepted, deliveries check the address again anyway.
+ */
+async function validateWebhookUrl(
+  input,
+  {
+    allowPrivate = false,
+    lang = createLocalizer(),
+    lookup = dns.promises.lookup,
+  } = {},
+) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch {
+    return { error: lang.t("webhook.invalidUrl") };
+  }
+  if (!["https:", "http:"].includes(url.protocol)) {
+    return { error: lang.t("webhook.invalidProtocol") };
+  }
+  if (allowPrivate) return { url: url.toString() };
+
+  const hostname = bareHostname(url.hostname);
+  let addresses = [];
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+    addresses = ["127.0.0.1"];
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true })).map(
+        ({ address }) => address,
+      );
+    } catch {
+      // Checked again when a reminder is delivered
+    }
+  }
+  if (addresses.some(isPrivateAddress)) {
+    return { error: lang.t("webhook.privateAddress") };
+  }
+  return { url: url.toString() };
+}
+
+function createWebhookTarget(url, format) {
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    url,
+    format,
+    secret: crypto.randomBytes(32).toString("hex"),
+  };
+}
+
+// "sha256=<hex>" over "<timestamp>.<body>", so a captured request can't be
+// replayed with another timestamp
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+// Slack treats these three as markup
+function escapeSlack(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * The body for one target. event is { tuneId, name, schedule, firedAt,
+ * nextInvocation, late, userId, guildId }, dates as ISO strings and
+ * nextInvocation null for one-off tunes.
+ */
+function buildWebhookPayload(format, event) {
+  const nextUnix = event.nextInvocation
+    ? Math.floor(new Date(event.nextInvocation).getTime() / 1000)
+    : null;
+
+  if (format === "slack") {
+    const lines = [
+      `:bell: *${escapeSlack(event.name)}*${event.late ? " (late, Toki was offline)" : ""}`,
+      escapeSlack(event.schedule),
+    ];
+    if (nextUnix) {
+      lines.push(
+        `Next: <!date^${nextUnix}^{date_short_pretty} {time}|${event.nextInvocation}>`,
+      );
+    }
+    return { text: lines.join("\n") };
+  }
+
+  if (format === "discord") {
+    return {
+      username: "Toki",
+      allowed_mentions: { parse: [] },
+      embeds: [
+        {
+          title: `🔔 ${event.name}`.slice(0, 256),
+          description: event.late
+            ? `${event.schedule}\nThis one came due while Toki was offline.`
+            : event.schedule,
+          color: event.late ? 0xffaa00 : 0x00ff00,
+          timestamp: event.firedAt,
+          fields: nextUnix
+            ? [{ name: "Next reminder", value: `<t:${nextUnix}:F>` }]
+            : [],
+        },
+      ],
+    };
+  }
+
+  return { event: "reminder.fired", ...event };
+}
+
+// Rate limits and server errors are worth another try, other answers aren't
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function parseRetryAfter(header) {
+  const seconds = Number(header);
+  return header && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * The part of fetch the sender uses, over http and https agents that connect
+ * through lookup. Private addresses are refused unless allowPrivate is set.
+ * Redirects aren't followed.
+ */
+function createHttpRequest({ allowPrivate = false, lookup = dns.lookup } = {}) {
+  const agentOptions = {
+    lookup: allowPrivate ? lookup : createGuardedLookup(lookup),
+  };
+  const agents = {
+    "http:": new http.Agent(agentOptions),
+    "https:": new https.Agent(agentOptions),
+  };
+
+  return (input, { method, headers, body, signal }) =>
+    new Promise((resolve, reject) => {
+      const url = new URL(input);
+      // Agents only look up names, addresses in the URL are checked here
+      const hostname = bareHostname(url.hostname);
+      if (!allowPrivate && isPrivateAddress(hostname)) {
+        reject(privateAddressError(hostname, hostname));
+        return;
+      }
+
+      const client = url.protocol === "https:" ? https : http;
+      const req = client.request(
+        url,
+        { method, headers, signal, agent: agents[url.protocol] },
+        (response) => {
+          // Only the status matters, the body is thrown away
+          response.resume();
+          resolve({
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            status: response.statusCode,
+            headers: { get: (name) => response.headers[name.toLowerCase()] },
+          });
+        },
+      );
+      // Report a timeout like fetch does, as the signal's TimeoutError
+      req.on("error", (error) =>
+        reject(signal?.aborted ? signal.reason : error),
+      );
+      req.end(body);
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const systemClock = { now: () => new Date() };
+
+/**
+ * Create a sender. request is a fetch-compatible function, wait(ms) pauses
+ * between attempts. Without a request, deliveries go through
+ * createHttpRequest with allowPrivate and lookup. deliver(target, event)
+ * never rejects, it resolves to a log entry:
+ * { at, targetId, format, ok, status, attempts, error }.
+ */
+function createWebhookSender({
+  allowPrivate = false,
+  lookup,
+  request = createHttpRequest({ allowPrivate, lookup }),
+  wait = sleep,
+  clock = systemClock,
+  timeout = REQUEST_TIMEOUT_MS,
+} = {}) {
+  return {
+    async deliver(target, event) {
+      const body = JSON.stringify(buildWebhookPayload(target.format, event));
+      let status = null;
+      let error = null;
+      let attempts = 0;
+
+      while (attempts < MAX_ATTEMPTS) {
+        attempts++;
+        const timestamp = String(Math.floor(clock.now().getTime() / 1000));
+        let retryAfter = null;
+        try {
+          const response = await request(target.url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "User-Agent": "Toki-Webhooks",
+              [TIMESTAMP_HEADER]: timestamp,
+              [SIGNATURE_HEADER]: signPayload(target.secret, timestamp, body),
+            },
+            body,
+            // A redirect could lead anywhere, including private addresses
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeout),
+          });
+          status = response.status;
+          if (response.ok) {
+            error = null;
+            break;
+          }
+          error = `HTTP ${status}`;
+          if (!isRetryable(status)) break;
+          retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        } catch (requestError) {
+          status = null;
+          error =
+            requestError.name === "TimeoutError"
+              ? "Timed out"
+              : requestError.cause?.code ||
+                requestError.cause?.message ||
+                requestError.message;
+        }
+        if (attempts < MAX_ATTEMPTS) {
+          await wait(
+            Math.min(
+              retryAfter ?? RETRY_BASE_MS * 2 ** (attempts - 1),
+              MAX_RETRY_MS,
+            ),
+          );
+        }
+      }
+
+      return {
+        at: clock.now().toISOString(),
+        targetId: target.id,
+        format: target.format,
+        ok: error === null,
+        status,
+        attempts,
+        error,
+      };
+    },
+  };
+}
+
+// Newest first, keeping the last MAX_LOG_ENTRIES
+function addLogEntries(log, entries) {
+  return [...entries, ...(log || [])].slice(0, MAX_LOG_ENTRIES);
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  MAX_WEBHOOKS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  validateWebhookUrl,
+  createWebhookTarget,
+  signPayload,
+  buildWebhookPayload,
+  createWebhookSender,
+  addLogEntries,
+};
@@ -0,0 +1,208 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const moment = require("moment-timezone");
+const { parseFeed, getUpcoming, planSync } = require("../src/calendarFeed");
+const { parseRRule } = require("../src/icalendar");
+const { createLocalizer } = require("../src/i18n");
+
+const feed = fs.readFileSync(
+  path.join(__dirname, "fixtures", "team.ics"),
+  "utf8",
+);
+const timezone = "Europe/Berlin";
+const until = new Date("2026-12-31T00:00:00Z");
+
+const describeOccurrences = (occurrences) =>
+  occurrences.map(({ key, at, summary }) => [key, at.format(), summary]);
+
+describe("parseRRule", () => {
+  const start = moment.tz("2026-10-19 09:00", timezone);
+  const cases = [
+    ["an endless series", "FREQ=DAILY", null, null],
+    ["COUNT", "FREQ=DAILY;COUNT=5", 5, null],
+    [
+      "a date-time UNTIL",
+      "FREQ=WEEKLY;UNTIL=20261113T210000Z",
+      null,
+      "2026-11-13T22:00:00+01:00",
+    ],
+    [
+      "a date UNTIL, through the end of that day",
+      "FREQ=WEEKLY;UNTIL=20261113",
+      null,
+      "2026-11-13T23:59:59+01:00",
+    ],
+  ];
+  for (const [name, rrule, count, end] of cases) {
+    it(`reads ${name}`, () => {
+      const parsed = parseRRule(rrule, start);
+      assert.equal(parsed.count, count);
+      assert.equal(parsed.until?.format() ?? null, end);
+    });
+  }
+
+  it("rejects parts Toki can't follow", () => {
+    assert.throws(() => parseRRule("FREQ=DAILY;BYHOUR=9", start), /BYHOUR/);
+  });
+});
+
+describe("parseFeed", () => {
+  const { events, problems } = parseFeed(feed, { timezone });
+
+  it("reads each series once, without cancelled events", () => {
+    assert.deepEqual(
+      events.map((event) => [event.uid, event.summary]),
+      [
+        ["standup@example.com", "Standup"],
+        ["retro@example.com", "Retro, sprint review"],
+      ],
+    );
+  });
+
+  it("collects EXDATEs and RECURRENCE-IDs on their series", () => {
+    const standup = events[0];
+    assert.deepEqual([...standup.exdates], ["2026-10-21T07:00:00.000Z"]);
+    assert.equal(standup.overrides.get("2026-10-20T07:00:00.000Z"), null);
+    assert.equal(
+      standup.overrides.get("2026-10-22T07:00:00.000Z").start.format(),
+      "2026-10-22T14:00:00+02:00",
+    );
+  });
+
+  it("reports the events it left out", () => {
+    assert.deepEqual(problems, [
+      "Lunch: Missing UID",
+      "Holiday: All-day events have no time to remind at",
+    ]);
+  });
+
+  it("words the problems in the caller's language", () => {
+    const german = parseFeed(feed, { timezone, lang: createLocalizer("de") });
+    assert.deepEqual(german.problems, [
+      "Lunch: UID fehlt",
+      "Holiday: Ganztägige Termine haben keine Uhrzeit für eine Erinnerung",
+    ]);
+  });
+
+  it("names events without a summary in the caller's language", () => {
+    const untitled = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "UID:untitled@example.com",
+      "DTSTART;TZID=Europe/Berlin:20261019T090000",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\r\n");
+    const german = parseFeed(untitled, {
+      timezone,
+      lang: createLocalizer("de"),
+    });
+    assert.equal(german.events[0].summary, "Ohne Titel");
+  });
+
+  it("throws for files that aren't calendars", () => {
+    assert.throws(() => parseFeed("tunes: []"), /iCalendar/);
+  });
+});
+
+describe("getUpcoming", () => {
+  const { events } = parseFeed(feed, { timezone });
+
+  it("expands, skips, moves and cancels occurrences", () => {
+    assert.deepEqual(
+      describeOccurrences(
+        getUpcoming(events, new Date("2026-10-19T00:00:00Z"), until),
+      ),
+      [
+        [
+          "standup@example.com@2026-10-19T07:00:00.000Z",
+          "2026-10-19T09:00:00+02:00",
+          "Standup",
+        ],
+        [
+          "standup@example.com@2026-10-22T12:00:00.000Z",
+          "2026-10-22T14:00:00+02:00",
+          "Standup (moved)",
+        ],
+        [
+          "standup@example.com@2026-10-23T07:00:00.000Z",
+          "2026-10-23T09:00:00+02:00",
+          "Standup",
+        ],
+        [
+          "retro@example.com@2026-10-30T20:00:00.000Z",
+          "2026-10-30T16:00:00-04:00",
+          "Retro, sprint review",
+        ],
+        [
+          "retro@example.com@2026-11-13T21:00:00.000Z",
+          "2026-11-13T16:00:00-05:00",
+          "Retro, sprint review",
+        ],
+      ],
+    );
+  });
+
+  it("counts COUNT from the first occurrence, not from the window", () => {
+    const keys = getUpcoming(
+      events,
+      new Date("2026-10-23T08:00:00Z"),
+      until,
+    ).map((occurrence) => occurrence.key);
+    assert.ok(!keys.some((key) => key.startsWith("standup@")));
+  });
+
+  it("only returns occurrences inside the window", () => {
+    const occurrences = getUpcoming(
+      events,
+      new Date("2026-10-22T12:00:00Z"),
+      new Date("2026-10-30T20:00:00Z"),
+    );
+    assert.deepEqual(
+      occurrences.map((occurrence) => occurrence.at.toISOString()),
+      ["2026-10-23T07:00:00.000Z", "2026-10-30T20:00:00.000Z"],
+    );
+  });
+});
+
+describe("planSync", () => {
+  const occurrence = (key, summary) => ({ key, at: moment(), summary });
+
+  it("adds new occurrences and removes stale ones", () => {
+    const scheduled = new Map([
+      ["kept", { summary: "Standup" }],
+      ["gone", { summary: "Retro" }],
+    ]);
+    const { add, remove } = planSync(scheduled, [
+      occurrence("kept", "Standup"),
+      occurrence("new", "Planning"),
+    ]);
+    assert.deepEqual(
+      add.map((entry) => entry.key),
+      ["new"],
+    );
+    assert.deepEqual(remove, ["gone"]);
+  });
+
+  it("replaces renamed occurrences", () => {
+    const scheduled = new Map([["renamed", { summary: "Standup" }]]);
+    const { add, remove } = planSync(scheduled, [
+      occurrence("renamed", "Standup (moved)"),
+    ]);
+    assert.deepEqual(
+      add.map((entry) => entry.key),
+      ["renamed"],
+    );
+    assert.deepEqual(remove, ["renamed"]);
+  });
+
+  it("changes nothing when the feed is unchanged", () => {
+    const scheduled = new Map([["kept", { summary: "Standup" }]]);
+    assert.deepEqual(planSync(scheduled, [occurrence("kept", "Standup")]), {
+      add: [],
+      remove: [],
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_REPEATS,
+  createEscalationPolicy,
+  getEscalationSteps,
+  getRemainingSteps,
+} = require("../src/escalation");
+
+const MINUTE = 60 * 1000;
+const sentAt = new Date("2026-10-19T09:00:00Z");
+const minutesAfterSending = (minutes) =>
+  new Date(sentAt.getTime() + minutes * MINUTE);
+
+const describeSteps = (steps) =>
+  steps.map(({ at, attempt, final }) => ({
+    minutes: (at - sentAt) / MINUTE,
+    attempt,
+    final,
+  }));
+
+describe("createEscalationPolicy", () => {
+  it("accepts a valid policy", () => {
+    assert.deepEqual(createEscalationPolicy({ after: 10, repeats: 3 }), {
+      policy: { after: 10, repeats: 3, dm: false, backup: null },
+    });
+  });
+
+  const invalid = [
+    ["a first re-ping under a minute", { after: 0, repeats: 3 }],
+    ["too many repeats", { after: 10, repeats: MAX_REPEATS + 1 }],
+    ["nothing to do", { after: 10, repeats: 0 }],
+  ];
+  for (const [name, options] of invalid) {
+    it(`rejects ${name}`, () => {
+      assert.ok(createEscalationPolicy(options).error);
+    });
+  }
+});
+
+describe("getEscalationSteps", () => {
+  it("doubles the wait between re-pings, then escalates", () => {
+    const policy = { after: 10, repeats: 3, dm: true, backup: null };
+    assert.deepEqual(describeSteps(getEscalationSteps(policy, sentAt)), [
+      { minutes: 10, attempt: 1, final: false },
+      { minutes: 30, attempt: 2, final: false },
+      { minutes: 70, attempt: 3, final: false },
+      { minutes: 150, attempt: 4, final: true },
+    ]);
+  });
+
+  it("escalates straight away without re-pings", () => {
+    const policy = { after: 15, repeats: 0, dm: true, backup: null };
+    assert.deepEqual(describeSteps(getEscalationSteps(policy, sentAt)), [
+      { minutes: 15, attempt: 1, final: true },
+    ]);
+  });
+});
+
+describe("getRemainingSteps", () => {
+  const policy = { after: 10, repeats: 3, dm: true, backup: null };
+
+  it("keeps every step before the first one is due", () => {
+    assert.equal(
+      getRemainingSteps(policy, sentAt, minutesAfterSending(5)).length,
+      4,
+    );
+  });
+
+  it("collapses steps missed while offline into the latest", () => {
+    const steps = getRemainingSteps(policy, sentAt, minutesAfterSending(80));
+    assert.deepEqual(describeSteps(steps), [
+      { minutes: 70, attempt: 3, final: false },
+      { minutes: 150, attempt: 4, final: true },
+    ]);
+  });
+
+  it("still runs the final step if it came due while offline", () => {
+    const steps = getRemainingSteps(policy, sentAt, minutesAfterSending(600));
+    assert.deepEqual(describeSteps(steps), [
+      { minutes: 150, attempt: 4, final: true },
+    ]);
+  });
+});
@@ -0,0 +1,214 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_BODY_BYTES,
+  hashToken,
+  createApiToken,
+  matchRoute,
+  createApiServer,
+} = require("../src/httpApi");
+
+describe("hashToken", () => {
+  it("stores a SHA-256 digest instead of the token", () => {
+    const hash = hashToken("toki_secret");
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(hash, hashToken("toki_secret"));
+    assert.notEqual(hash, hashToken("toki_other"));
+  });
+
+  it("creates distinct tokens", () => {
+    const token = createApiToken();
+    assert.match(token, /^toki_[\w-]{32}$/);
+    assert.notEqual(token, createApiToken());
+  });
+});
+
+describe("matchRoute", () => {
+  const cases = [
+    ["GET", "/tunes", { operation: "list", params: {} }],
+    [
+      "PATCH",
+      "/tunes/dm/abc123",
+      { operation: "update", params: { guildId: "dm", tuneId: "abc123" } },
+    ],
+    [
+      "POST",
+      "/tunes/123/abc%2D1/pause/",
+      { operation: "pause", params: { guildId: "123", tuneId: "abc-1" } },
+    ],
+    ["PUT", "/tunes/dm/abc123", { allowed: ["GET", "PATCH", "DELETE"] }],
+    ["GET", "/tunes/dm", null],
+    ["GET", "/tunes/dm/abc123/snooze", null],
+  ];
+  for (const [method, pathname, expected] of cases) {
+    it(`matches ${method} ${pathname}`, () => {
+      assert.deepEqual(matchRoute(method, pathname), expected);
+    });
+  }
+
+  it("rejects malformed escapes as invalid", () => {
+    assert.throws(() => matchRoute("GET", "/tunes/%E0/abc123"), {
+      code: "invalid",
+    });
+  });
+});
+
+describe("createApiServer", () => {
+  const TOKEN = "toki_valid";
+  const REVOKED = "toki_revoked";
+  const tokens = new Map([
+    [hashToken(TOKEN), "u1"],
+    [hashToken(REVOKED), "u2"],
+  ]);
+
+  // Operations record their calls and answer with the next queued result
+  let calls;
+  let results;
+  const operation =
+    (name) =>
+    async (...args) => {
+      calls.push([name, ...args]);
+      return results.shift();
+    };
+  const tunes = Object.fromEntries(
+    ["list", "get", "create", "update", "remove", "pause", "resume"].map(
+      (name) => [name, operation(name)],
+    ),
+  );
+
+  let server;
+  let base;
+
+  before(async () => {
+    server = createApiServer({
+      authenticate: async (hash) => tokens.get(hash) ?? null,
+      health: async () => ({ ok: true }),
+      tunes,
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    // Revoking drops the stored hash, like /apitoken revoke
+    tokens.delete(hashToken(REVOKED));
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    calls = [];
+    results = [];
+  });
+
+  const request = async (method, path, { token = TOKEN, body } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(base + path, { method, headers, body });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const unauthorized = [
+    ["a missing token", null],
+    ["an unknown token", "toki_wrong"],
+    ["a revoked token", REVOKED],
+  ];
+  for (const [name, token] of unauthorized) {
+    it(`answers ${name} with 401`, async () => {
+      const { status, data } = await request("GET", "/tunes", { token });
+      assert.equal(status, 401);
+      assert.equal(data.code, "unauthorized");
+      assert.deepEqual(calls, []);
+    });
+  }
+
+  it("answers a malformed escape with 400", async () => {
+    const { status, data } = await request("GET", "/tunes/%E0/abc123");
+    assert.equal(status, 400);
+    assert.equal(data.code, "invalid");
+  });
+
+  it("answers unknown paths and methods", async () => {
+    assert.equal((await request("GET", "/nothing")).status, 404);
+    assert.equal((await request("PUT", "/tunes")).status, 405);
+  });
+
+  it("creates with the token owner and the parsed body", async () => {
+    results = [{ tune: { id: "abc123" } }];
+    const body = { name: "standup", when: "every weekday at 9" };
+    const { status, data } = await request("POST", "/tunes", {
+      body: JSON.stringify(body),
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(data, { tune: { id: "abc123" } });
+    assert.deepEqual(calls, [["create", { userId: "u1", params: {}, body }]]);
+  });
+
+  const invalidBodies = [
+    ["POST", "/tunes", "not json"],
+    ["POST", "/tunes", "[]"],
+    ["PATCH", "/tunes/dm/abc123", "null"],
+    ["POST", "/tunes/dm/abc123/pause", '"nov 3"'],
+  ];
+  for (const [method, path, body] of invalidBodies) {
+    it(`rejects ${method} ${path} with body ${body}`, async () => {
+      const { status, data } = await request(method, path, { body });
+      assert.equal(status, 400);
+      assert.equal(data.code, "invalid");
+      assert.deepEqual(calls, []);
+    });
+  }
+
+  it("passes an empty body as an empty object", async () => {
+    results = [{ tune: { id: "abc123" } }];
+    await request("POST", "/tunes/dm/abc123/pause");
+    assert.deepEqual(calls, [
+      [
+        "pause",
+        { userId: "u1", params: { guildId: "dm", tuneId: "abc123" }, body: {} },
+      ],
+    ]);
+  });
+
+  it("doesn't read a body for deletes", async () => {
+    results = [{ removed: "abc123" }];
+    const { status } = await request("DELETE", "/tunes/dm/abc123", {
+      body: "not json",
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(calls[0][1].body, {});
+  });
+
+  const operationErrors = [
+    ["PATCH", "/tunes/dm/abc123", "invalid", 400],
+    ["PATCH", "/tunes/dm/abc123", "conflict", 409],
+    ["POST", "/tunes/dm/abc123/pause", "not_found", 404],
+    ["DELETE", "/tunes/dm/abc123", "not_found", 404],
+  ];
+  for (const [method, path, code, expected] of operationErrors) {
+    it(`answers ${method} ${path} failing with ${code} as ${expected}`, async () => {
+      results = [{ error: "Nope.", code }];
+      const { status, data } = await request(method, path, { body: "{}" });
+      assert.equal(status, expected);
+      assert.deepEqual(data, { error: "Nope.", code });
+    });
+  }
+
+  it(`accepts a body of ${MAX_BODY_BYTES} bytes`, async () => {
+    results = [{ tune: { id: "abc123" } }];
+    const padding = "x".repeat(MAX_BODY_BYTES - '{"name":""}'.length);
+    const { status } = await request("POST", "/tunes", {
+      body: JSON.stringify({ name: padding }),
+    });
+    assert.equal(status, 201);
+  });
+
+  it("answers larger bodies with 413", async () => {
+    const padding = "x".repeat(MAX_BODY_BYTES);
+    const { status, data } = await request("POST", "/tunes", {
+      body: JSON.stringify({ name: padding }),
+    });
+    assert.equal(status, 413);
+    assert.equal(data.code, "too_large");
+    assert.deepEqual(calls, []);
+  });
+});
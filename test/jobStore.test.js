@@ -0,0 +1,251 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { CATCH_UP, MAX_MISSED, createJobStore } = require("../src/jobStore");
+
+const HOUR = 60 * 60 * 1000;
+
+function createMemoryStorage() {
+  const records = new Map();
+  return {
+    records,
+    get: async (key) => records.get(key),
+    set: async (key, value) => {
+      records.set(key, value);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+  };
+}
+
+function createFakeClock(start) {
+  let now = new Date(start);
+  return {
+    now: () => now,
+    advance(ms) {
+      now = new Date(now.getTime() + ms);
+    },
+  };
+}
+
+// A job that fires on the hour
+const hourly = (after) =>
+  new Date((Math.floor(after.getTime() / HOUR) + 1) * HOUR);
+
+describe("jobStore", () => {
+  let storage;
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    clock = createFakeClock("2026-10-19T09:30:00Z");
+    store = createJobStore({ storage, clock });
+  });
+
+  describe("track and recordFired", () => {
+    it("starts tracking at the current time", async () => {
+      await store.track("job");
+      assert.deepEqual(await store.get("job"), {
+        since: "2026-10-19T09:30:00.000Z",
+        lastFiredAt: null,
+      });
+    });
+
+    it("keeps the history of a job tracked again", async () => {
+      await store.track("job");
+      await store.recordFired("job", new Date("2026-10-19T10:00:00Z"));
+      clock.advance(5 * HOUR);
+      await store.track("job");
+      assert.deepEqual(await store.get("job"), {
+        since: "2026-10-19T09:30:00.000Z",
+        lastFiredAt: "2026-10-19T10:00:00.000Z",
+      });
+    });
+
+    it("records the clock's time by default", async () => {
+      await store.track("job");
+      clock.advance(HOUR);
+      await store.recordFired("job");
+      assert.equal(
+        (await store.get("job")).lastFiredAt,
+        "2026-10-19T10:30:00.000Z",
+      );
+    });
+
+    it("forgets and moves jobs", async () => {
+      await store.track("old");
+      await store.move("old", "new");
+      assert.equal(await store.get("old"), null);
+      assert.ok(await store.get("new"));
+
+      await store.forget("new");
+      assert.equal(await store.get("new"), null);
+    });
+  });
+
+  describe("findMissed", () => {
+    it("finds nothing for untracked jobs", async () => {
+      assert.deepEqual(await store.findMissed("job", hourly), {
+        missed: [],
+        total: 0,
+      });
+    });
+
+    it("finds nothing without downtime", async () => {
+      await store.track("job");
+      clock.advance(20 * 60 * 1000);
+      assert.equal((await store.findMissed("job", hourly)).total, 0);
+    });
+
+    it("finds the occurrences of a downtime gap since tracking", async () => {
+      await store.track("job");
+      clock.advance(3 * HOUR);
+      const { missed, total } = await store.findMissed("job", hourly);
+      assert.equal(total, 3);
+      assert.deepEqual(
+        missed.map((date) => date.toISOString()),
+        [
+          "2026-10-19T10:00:00.000Z",
+          "2026-10-19T11:00:00.000Z",
+          "2026-10-19T12:00:00.000Z",
+        ],
+      );
+    });
+
+    it("counts from the last occurrence that fired", async () => {
+      await store.track("job");
+      clock.advance(4 * HOUR);
+      await store.recordFired("job", new Date("2026-10-19T12:00:00Z"));
+      const { missed, total } = await store.findMissed("job", hourly);
+      assert.equal(total, 1);
+      assert.equal(missed[0].toISOString(), "2026-10-19T13:00:00.000Z");
+    });
+
+    it(`keeps only the latest ${MAX_MISSED} occurrences`, async () => {
+      await store.track("job");
+      clock.advance(24 * HOUR);
+      const { missed, total } = await store.findMissed("job", hourly);
+      assert.equal(total, 24);
+      assert.equal(missed.length, MAX_MISSED);
+      assert.equal(missed[0].toISOString(), "2026-10-20T00:00:00.000Z");
+      assert.equal(
+        missed[MAX_MISSED - 1].toISOString(),
+        "2026-10-20T09:00:00.000Z",
+      );
+    });
+
+    it("stops at schedules that never fire again", async () => {
+      await store.track("job");
+      clock.advance(3 * HOUR);
+      const once = (after) =>
+        after < new Date("2026-10-19T10:00:00Z")
+          ? new Date("2026-10-19T10:00:00Z")
+          : null;
+      assert.equal((await store.findMissed("job", once)).total, 1);
+    });
+  });
+
+  describe("catchUp", () => {
+    const handlers = () => {
+      const calls = { fired: [], summaries: [] };
+      return {
+        calls,
+        fire: async (date) => {
+          calls.fired.push(date.toISOString());
+        },
+        summarize: async (missed, total) => {
+          calls.summaries.push({ count: missed.length, total });
+        },
+      };
+    };
+
+    it("sends one summary by default", async () => {
+      await store.track("job");
+      clock.advance(3 * HOUR);
+      const { calls, ...callbacks } = handlers();
+
+      const total = await store.catchUp(
+        "job",
+        hourly,
+        CATCH_UP.SUMMARY,
+        callbacks,
+      );
+      assert.equal(total, 3);
+      assert.deepEqual(calls.summaries, [{ count: 3, total: 3 }]);
+      assert.deepEqual(calls.fired, []);
+    });
+
+    it("fires each missed occurrence, oldest first", async () => {
+      await store.track("job");
+      clock.advance(2 * HOUR);
+      const { calls, ...callbacks } = handlers();
+
+      await store.catchUp("job", hourly, CATCH_UP.FIRE, callbacks);
+      assert.deepEqual(calls.fired, [
+        "2026-10-19T10:00:00.000Z",
+        "2026-10-19T11:00:00.000Z",
+      ]);
+      assert.deepEqual(calls.summaries, []);
+    });
+
+    it("fires at most MAX_MISSED occurrences", async () => {
+      await store.track("job");
+      clock.advance(24 * HOUR);
+      const { calls, ...callbacks } = handlers();
+
+      assert.equal(
+        await store.catchUp("job", hourly, CATCH_UP.FIRE, callbacks),
+        24,
+      );
+      assert.equal(calls.fired.length, MAX_MISSED);
+    });
+
+    it("marks the job caught up so nothing repeats", async () => {
+      await store.track("job");
+      clock.advance(2 * HOUR);
+      const { calls, ...callbacks } = handlers();
+
+      await store.catchUp("job", hourly, CATCH_UP.SUMMARY, callbacks);
+      assert.equal(
+        (await store.get("job")).lastFiredAt,
+        "2026-10-19T11:00:00.000Z",
+      );
+      assert.equal(
+        await store.catchUp("job", hourly, CATCH_UP.SUMMARY, callbacks),
+        0,
+      );
+      assert.equal(calls.summaries.length, 1);
+    });
+
+    it("marks the job caught up even when delivery fails", async () => {
+      await store.track("job");
+      clock.advance(2 * HOUR);
+      const failing = {
+        fire: async () => {
+          throw new Error("channel gone");
+        },
+        summarize: async () => {},
+      };
+
+      await assert.rejects(
+        store.catchUp("job", hourly, CATCH_UP.FIRE, failing),
+        /channel gone/,
+      );
+      assert.equal(
+        (await store.get("job")).lastFiredAt,
+        "2026-10-19T11:00:00.000Z",
+      );
+    });
+
+    it("does nothing without downtime", async () => {
+      await store.track("job");
+      const { calls, ...callbacks } = handlers();
+      assert.equal(
+        await store.catchUp("job", hourly, CATCH_UP.FIRE, callbacks),
+        0,
+      );
+      assert.deepEqual(calls, { fired: [], summaries: [] });
+    });
+  });
+});
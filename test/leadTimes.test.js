@@ -0,0 +1,85 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_LEAD_MINUTES,
+  parseLeadTimes,
+  getNextLead,
+} = require("../src/leadTimes");
+
+describe("parseLeadTimes", () => {
+  const valid = [
+    ["15m", [15]],
+    ["1d, 15m", [1440, 15]],
+    ["15m and 1d before", [1440, 15]],
+    ["2 hours and 10 minutes", [120, 10]],
+    ["1h30m", [90]],
+    ["30m, 30 min", [30]],
+    ["7d", [MAX_LEAD_MINUTES]],
+    ["none", []],
+    ["Off", []],
+  ];
+  for (const [input, leads] of valid) {
+    it(`reads ${JSON.stringify(input)}`, () => {
+      assert.deepEqual(parseLeadTimes(input), { leads });
+    });
+  }
+
+  const invalid = [
+    ["an unknown unit", "15 parsecs"],
+    ["a lead further than a week", "7d 1m"],
+    ["more than 5 leads", "1m, 2m, 3m, 4m, 5m, 6m"],
+    ["nothing at all", " , "],
+  ];
+  for (const [name, input] of invalid) {
+    it(`rejects ${name}`, () => {
+      assert.ok(parseLeadTimes(input).error);
+    });
+  }
+});
+
+describe("getNextLead", () => {
+  // Due every day at 09:00 UTC
+  const daily = (after) => {
+    const next = new Date(after);
+    next.setUTCHours(9, 0, 0, 0);
+    if (next <= after) next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+  };
+  const cases = [
+    [
+      "pings ahead of the next occurrence",
+      15,
+      "2026-10-19T08:00:00.000Z",
+      "2026-10-19T09:00:00.000Z",
+      "2026-10-19T08:45:00.000Z",
+    ],
+    [
+      "moves on once the ping time has passed",
+      15,
+      "2026-10-19T08:50:00.000Z",
+      "2026-10-20T09:00:00.000Z",
+      "2026-10-20T08:45:00.000Z",
+    ],
+    [
+      "reaches past the next occurrence for leads over a day",
+      1500,
+      "2026-10-19T08:00:00.000Z",
+      "2026-10-21T09:00:00.000Z",
+      "2026-10-20T08:00:00.000Z",
+    ],
+  ];
+  for (const [name, lead, after, dueAt, fireAt] of cases) {
+    it(name, () => {
+      const next = getNextLead(lead, daily, new Date(after));
+      assert.equal(next.dueAt.toISOString(), dueAt);
+      assert.equal(next.fireAt.toISOString(), fireAt);
+    });
+  }
+
+  it("returns null when no occurrence is left", () => {
+    assert.equal(
+      getNextLead(15, () => null),
+      null,
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeRule,
+  getNextOccurrence,
+  getOccurrences,
+  describeRule,
+} = require("../src/recurrence");
+const { createLocalizer } = require("../src/i18n");
+
+const FORMAT = "YYYY-MM-DD HH:mm Z";
+const format = (occurrence) => occurrence.format(FORMAT);
+
+// Monday, 08:00 in New York
+const after = new Date("2026-10-19T12:00:00Z");
+
+describe("normalizeRule", () => {
+  it("fills in defaults", () => {
+    assert.deepEqual(normalizeRule({ freq: "monthly", start: "2026-01-01" }), {
+      freq: "monthly",
+      interval: 1,
+      start: "2026-01-01",
+      days: [],
+      monthDay: 1,
+    });
+  });
+
+  const invalid = [
+    ["unknown frequency", { freq: "yearly" }],
+    ["zero interval", { freq: "daily", interval: 0 }],
+    ["bad start", { freq: "daily", start: "2026-13-01" }],
+    ["weekly without days", { freq: "weekly" }],
+    ["bad weekday", { freq: "weekly", days: [7] }],
+    ["bad week of month", { freq: "monthly", weekOfMonth: 6, days: [1] }],
+    ["bad day of month", { freq: "monthly", monthDay: 32 }],
+  ];
+  for (const [name, rule] of invalid) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => normalizeRule(rule));
+    });
+  }
+});
+
+describe("getNextOccurrence", () => {
+  it("fires later today when the time hasn't passed", () => {
+    const next = getNextOccurrence(
+      { freq: "daily" },
+      "09:00",
+      "America/New_York",
+      after,
+    );
+    assert.equal(format(next), "2026-10-19 09:00 -04:00");
+  });
+
+  it("is strictly after the given instant", () => {
+    const next = getNextOccurrence(
+      { freq: "daily" },
+      "09:00",
+      "UTC",
+      new Date("2026-10-19T09:00:00Z"),
+    );
+    assert.equal(format(next), "2026-10-20 09:00 +00:00");
+  });
+
+  it("waits for the rule's start date", () => {
+    const next = getNextOccurrence(
+      { freq: "daily", start: "2030-01-01" },
+      "09:00",
+      "UTC",
+      after,
+    );
+    assert.equal(format(next), "2030-01-01 09:00 +00:00");
+  });
+
+  it("returns the moment in the rule's timezone", () => {
+    const next = getNextOccurrence(
+      { freq: "daily" },
+      "09:00",
+      "Asia/Tokyo",
+      after,
+    );
+    assert.equal(next.tz(), "Asia/Tokyo");
+    assert.equal(format(next), "2026-10-20 09:00 +09:00");
+  });
+});
+
+describe("getOccurrences", () => {
+  const cases = [
+    [
+      "every 3 days from the start date",
+      { freq: "daily", interval: 3, start: "2026-10-18" },
+      ["2026-10-21", "2026-10-24", "2026-10-27", "2026-10-30"],
+    ],
+    [
+      "every other week on Tue and Thu",
+      { freq: "weekly", interval: 2, days: [2, 4], start: "2026-10-19" },
+      ["2026-10-20", "2026-10-22", "2026-11-03", "2026-11-05"],
+    ],
+    [
+      "second Wednesday of the month",
+      { freq: "monthly", weekOfMonth: 2, days: [3], start: "2026-01-01" },
+      ["2026-11-11", "2026-12-09", "2027-01-13", "2027-02-10"],
+    ],
+    [
+      "last Friday of the month",
+      { freq: "monthly", weekOfMonth: -1, days: [5], start: "2026-01-01" },
+      ["2026-10-30", "2026-11-27", "2026-12-25", "2027-01-29"],
+    ],
+    [
+      "last day of the month",
+      { freq: "monthly", monthDay: -1, start: "2026-01-01" },
+      ["2026-10-31", "2026-11-30", "2026-12-31", "2027-01-31"],
+    ],
+    [
+      "every 3 months on the 15th",
+      { freq: "monthly", interval: 3, monthDay: 15, start: "2026-01-01" },
+      ["2027-01-15", "2027-04-15", "2027-07-15", "2027-10-15"],
+    ],
+  ];
+  for (const [name, rule, dates] of cases) {
+    it(name, () => {
+      const occurrences = getOccurrences(
+        rule,
+        "09:00",
+        "America/New_York",
+        4,
+        after,
+      );
+      assert.deepEqual(
+        occurrences.map((occurrence) => occurrence.format("YYYY-MM-DD")),
+        dates,
+      );
+      assert.ok(occurrences.every((o) => o.format("HH:mm") === "09:00"));
+    });
+  }
+});
+
+describe("describeRule", () => {
+  const cases = [
+    [{ freq: "daily" }, "Every day", "Jeden Tag"],
+    [{ freq: "daily", interval: 3 }, "Every 3 days", "Alle 3 Tage"],
+    [{ freq: "weekly", days: [1, 4] }, "Every Mon, Thu", "Jeden Mo., Do."],
+    [
+      { freq: "weekly", interval: 2, days: [2] },
+      "Every 2 weeks on Tue",
+      "Alle 2 Wochen am Di.",
+    ],
+    [
+      { freq: "monthly", weekOfMonth: 2, days: [3] },
+      "Second Wed of the month",
+      "Zweiter Mi. im Monat",
+    ],
+    [
+      { freq: "monthly", weekOfMonth: -1, days: [5] },
+      "Last Fri of the month",
+      "Letzter Fr. im Monat",
+    ],
+    [
+      { freq: "monthly", monthDay: -1 },
+      "Last day of the month",
+      "Letzter Tag des Monats",
+    ],
+    [
+      { freq: "monthly", interval: 3, monthDay: 15 },
+      "Every 3 months on day 15",
+      "Alle 3 Monate am 15.",
+    ],
+  ];
+  for (const [rule, english, german] of cases) {
+    it(english, () => {
+      assert.equal(describeRule(rule), english);
+      assert.equal(describeRule(rule, createLocalizer("de")), german);
+    });
+  }
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSchedule } = require("../src/scheduleParser");
+
+// Monday, 14:00 in Berlin
+const now = new Date("2026-10-19T12:00:00Z");
+const parse = (input) =>
+  parseSchedule(input, { timezone: "Europe/Berlin", now });
+
+const rule = (fields) => ({ interval: 1, start: "2026-10-19", ...fields });
+
+describe("parseSchedule", () => {
+  describe("recurring phrases", () => {
+    const cases = [
+      ["daily at 7pm", "daily", null, "19:00"],
+      ["every weekday at 8:30", [1, 2, 3, 4, 5], null, "08:30"],
+      ["Remind me every weekend at noon!", [6, 0], null, "12:00"],
+      ["every mon and thu at 18:00", [1, 4], null, "18:00"],
+      ["mondays and fridays at 9:00", [1, 5], null, "09:00"],
+      ["every tuesday at 7:15am", "weekly", 2, "07:15"],
+      ["monthly on the 15th at 9am", "monthly", 15, "09:00"],
+      ["the 1st of every month at 08:00", "monthly", 1, "08:00"],
+    ];
+    for (const [input, schedule, scheduleDay, time] of cases) {
+      it(input, () => {
+        assert.deepEqual(parse(input), { schedule, scheduleDay, time });
+      });
+    }
+  });
+
+  describe("recurrence rules", () => {
+    const cases = [
+      ["every other day at 9:00", rule({ freq: "daily", interval: 2 })],
+      [
+        "every 2 weeks on tue at 9:00",
+        rule({ freq: "weekly", interval: 2, days: [2] }),
+      ],
+      [
+        "every 3 weeks at 9:00",
+        rule({ freq: "weekly", interval: 3, days: [1] }),
+      ],
+      [
+        "last friday of the month at 9:00",
+        rule({ freq: "monthly", days: [5], weekOfMonth: -1 }),
+      ],
+      [
+        "first monday of every month at 9:00",
+        rule({ freq: "monthly", days: [1], weekOfMonth: 1 }),
+      ],
+      [
+        "last day of the month at 9:00",
+        rule({ freq: "monthly", monthDay: -1 }),
+      ],
+      [
+        "every 3 months on the 15th at 9:00",
+        rule({ freq: "monthly", interval: 3, monthDay: 15 }),
+      ],
+    ];
+    for (const [input, scheduleDay] of cases) {
+      it(input, () => {
+        assert.deepEqual(parse(input), {
+          schedule: "rule",
+          scheduleDay,
+          time: "09:00",
+        });
+      });
+    }
+  });
+
+  describe("one-off phrases", () => {
+    const cases = [
+      ["in 20 minutes", "2026-10-19", "14:20"],
+      ["in an hour", "2026-10-19", "15:00"],
+      ["tonight at 11pm", "2026-10-19", "23:00"],
+      ["tomorrow at 9", "2026-10-20", "09:00"],
+      // a bare time that already passed today is tomorrow
+      ["8:30", "2026-10-20", "08:30"],
+      ["monday at 9:00", "2026-10-26", "09:00"],
+      ["next friday at 10:00", "2026-10-23", "10:00"],
+      ["nov 3 at 9:00", "2026-11-03", "09:00"],
+      ["2026-11-03 at 09:00", "2026-11-03", "09:00"],
+      ["march 1 at 9:00", "2027-03-01", "09:00"],
+    ];
+    for (const [input, scheduleDay, time] of cases) {
+      it(input, () => {
+        assert.deepEqual(parse(input), { schedule: "once", scheduleDay, time });
+      });
+    }
+  });
+
+  describe("phrases it doesn't understand", () => {
+    const cases = [
+      "feed the cat",
+      "every day",
+      "every funday at 9:00",
+      "monthly on the 32nd at 9:00",
+      "in 0 minutes",
+      "every 0 days at 9:00",
+      "every 0 weeks on mon at 9:00",
+      "every 0 months on the 3rd at 9:00",
+      "",
+    ];
+    for (const input of cases) {
+      it(JSON.stringify(input), () => {
+        assert.equal(parse(input), null);
+      });
+    }
+
+    it("non-strings", () => {
+      assert.equal(parseSchedule(undefined), null);
+      assert.equal(parseSchedule(42), null);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getNextRunAfter, getUpcomingRuns } = require("../src/schedules");
+
+const FORMAT = "YYYY-MM-DD HH:mm Z";
+
+// Tunes around DST changes: New York and Berlin shift by an hour on
+// different dates, Lord Howe Island by half an hour
+describe("getUpcomingRuns across DST changes", () => {
+  const cases = [
+    [
+      "a time skipped by spring-forward moves an hour later",
+      { schedule: "daily", time: "02:30", timezone: "America/New_York" },
+      "2026-03-07T12:00:00Z",
+      [
+        "2026-03-08 03:30 -04:00",
+        "2026-03-09 02:30 -04:00",
+        "2026-03-10 02:30 -04:00",
+      ],
+    ],
+    [
+      "a time repeated by fall-back fires once, at the first instant",
+      { schedule: "daily", time: "01:30", timezone: "America/New_York" },
+      "2026-10-31T12:00:00Z",
+      [
+        "2026-11-01 01:30 -04:00",
+        "2026-11-02 01:30 -05:00",
+        "2026-11-03 01:30 -05:00",
+      ],
+    ],
+    [
+      "day 31 clamps to the end of shorter months",
+      {
+        schedule: "monthly",
+        scheduleDay: 31,
+        time: "09:00",
+        timezone: "America/New_York",
+      },
+      "2026-04-01T00:00:00Z",
+      [
+        "2026-04-30 09:00 -04:00",
+        "2026-05-31 09:00 -04:00",
+        "2026-06-30 09:00 -04:00",
+      ],
+    ],
+    [
+      "the second Sunday lands on spring-forward",
+      {
+        schedule: "rule",
+        scheduleDay: {
+          freq: "monthly",
+          weekOfMonth: 2,
+          days: [0],
+          start: "2026-01-01",
+        },
+        time: "02:30",
+        timezone: "America/New_York",
+      },
+      "2026-02-01T00:00:00Z",
+      [
+        "2026-02-08 02:30 -05:00",
+        "2026-03-08 03:30 -04:00",
+        "2026-04-12 02:30 -04:00",
+      ],
+    ],
+    [
+      "a weekly tune in the spring-forward gap",
+      {
+        schedule: "weekly",
+        scheduleDay: 0,
+        time: "02:30",
+        timezone: "Europe/Berlin",
+      },
+      "2026-03-22T12:00:00Z",
+      [
+        "2026-03-29 03:30 +02:00",
+        "2026-04-05 02:30 +02:00",
+        "2026-04-12 02:30 +02:00",
+      ],
+    ],
+    [
+      "a weekly tune in the fall-back overlap",
+      {
+        schedule: "weekly",
+        scheduleDay: 0,
+        time: "02:30",
+        timezone: "Europe/Berlin",
+      },
+      "2026-10-18T12:00:00Z",
+      [
+        "2026-10-25 02:30 +02:00",
+        "2026-11-01 02:30 +01:00",
+        "2026-11-08 02:30 +01:00",
+      ],
+    ],
+    [
+      "every other week keeps its rhythm through spring-forward",
+      {
+        schedule: "rule",
+        scheduleDay: {
+          freq: "weekly",
+          interval: 2,
+          days: [0],
+          start: "2026-03-15",
+        },
+        time: "02:30",
+        timezone: "Europe/Berlin",
+      },
+      "2026-03-01T00:00:00Z",
+      [
+        "2026-03-15 02:30 +01:00",
+        "2026-03-29 03:30 +02:00",
+        "2026-04-12 02:30 +02:00",
+      ],
+    ],
+    [
+      "a half-hour spring-forward moves the time half an hour",
+      { schedule: "daily", time: "02:15", timezone: "Australia/Lord_Howe" },
+      "2026-10-02T12:00:00Z",
+      [
+        "2026-10-03 02:15 +10:30",
+        "2026-10-04 02:45 +11:00",
+        "2026-10-05 02:15 +11:00",
+      ],
+    ],
+    [
+      "a half-hour fall-back overlap fires once",
+      { schedule: "daily", time: "01:45", timezone: "Australia/Lord_Howe" },
+      "2026-04-03T12:00:00Z",
+      [
+        "2026-04-04 01:45 +11:00",
+        "2026-04-05 01:45 +11:00",
+        "2026-04-06 01:45 +10:30",
+      ],
+    ],
+    [
+      "the first Sunday lands on a half-hour spring-forward",
+      {
+        schedule: "rule",
+        scheduleDay: {
+          freq: "monthly",
+          weekOfMonth: 1,
+          days: [0],
+          start: "2026-01-01",
+        },
+        time: "02:15",
+        timezone: "Australia/Lord_Howe",
+      },
+      "2026-09-01T00:00:00Z",
+      [
+        "2026-09-06 02:15 +10:30",
+        "2026-10-04 02:45 +11:00",
+        "2026-11-01 02:15 +11:00",
+      ],
+    ],
+    [
+      "day 31 clamps across a half-hour fall-back",
+      {
+        schedule: "monthly",
+        scheduleDay: 31,
+        time: "09:00",
+        timezone: "Australia/Lord_Howe",
+      },
+      "2026-01-31T00:00:00Z",
+      [
+        "2026-02-28 09:00 +11:00",
+        "2026-03-31 09:00 +11:00",
+        "2026-04-30 09:00 +10:30",
+      ],
+    ],
+    [
+      "a one-off tune in the spring-forward gap",
+      {
+        schedule: "once",
+        scheduleDay: "2026-03-08",
+        time: "02:30",
+        timezone: "America/New_York",
+      },
+      "2026-03-01T00:00:00Z",
+      ["2026-03-08 03:30 -04:00"],
+    ],
+    [
+      "a one-off tune in the fall-back overlap",
+      {
+        schedule: "once",
+        scheduleDay: "2026-10-25",
+        time: "02:30",
+        timezone: "Europe/Berlin",
+      },
+      "2026-10-01T00:00:00Z",
+      ["2026-10-25 02:30 +02:00"],
+    ],
+  ];
+  for (const [name, tune, from, runs] of cases) {
+    it(`${tune.timezone}: ${name}`, () => {
+      assert.deepEqual(
+        getUpcomingRuns(tune, new Date(from), 3).map((run) =>
+          run.format(FORMAT),
+        ),
+        runs,
+      );
+    });
+  }
+});
+
+describe("getNextRunAfter", () => {
+  it("skips the repeated hour once the first instant has fired", () => {
+    const next = getNextRunAfter(
+      "daily",
+      "01:30",
+      null,
+      "America/New_York",
+      new Date("2026-11-01T05:30:00Z"),
+    );
+    assert.equal(next.toISOString(), "2026-11-02T06:30:00.000Z");
+  });
+
+  it("fires the shifted time when resuming inside the gap", () => {
+    const next = getNextRunAfter(
+      "daily",
+      "02:30",
+      null,
+      "America/New_York",
+      new Date("2026-03-08T07:00:00Z"),
+    );
+    assert.equal(next.toISOString(), "2026-03-08T07:30:00.000Z");
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTimeOfDay, parseTimeList } = require("../src/timeParser");
+
+describe("parseTimeOfDay", () => {
+  const cases = [
+    ["07:45", "07:45"],
+    ["7:45", "07:45"],
+    ["19.45", "19:45"],
+    ["7h30", "07:30"],
+    ["0745", "07:45"],
+    ["7", "07:00"],
+    ["7pm", "19:00"],
+    ["7 PM", "19:00"],
+    ["7:45pm", "19:45"],
+    ["7 p.m.", "19:00"],
+    ["7a.m", "07:00"],
+    ["745pm", "19:45"],
+    ["12am", "00:00"],
+    ["12pm", "12:00"],
+    ["noon", "12:00"],
+    [" Midnight ", "00:00"],
+    ["7m", null],
+    ["7p", null],
+    ["7 pmm", null],
+    ["13pm", null],
+    ["0am", null],
+    ["24:00", null],
+    ["7:60", null],
+    ["7:5", null],
+    ["", null],
+    ["soon", null],
+  ];
+  for (const [input, expected] of cases) {
+    it(`reads ${JSON.stringify(input)} as ${expected}`, () => {
+      assert.equal(parseTimeOfDay(input), expected);
+    });
+  }
+
+  it("ignores anything that isn't a string", () => {
+    assert.equal(parseTimeOfDay(7), null);
+  });
+});
+
+describe("parseTimeList", () => {
+  const cases = [
+    ["08:00, 1pm and 21:30", ["08:00", "13:00", "21:30"], []],
+    ["21:30; 8am\n8:00", ["08:00", "21:30"], []],
+    ["9, 7m, later", ["09:00"], ["7m", "later"]],
+    ["", [], []],
+  ];
+  for (const [input, times, invalid] of cases) {
+    it(`reads ${JSON.stringify(input)}`, () => {
+      assert.deepEqual(parseTimeList(input), { times, invalid });
+    });
+  }
+});
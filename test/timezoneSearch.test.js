@@ -0,0 +1,118 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const {
+  parseUtcOffset,
+  findZonesForLocalTime,
+  searchTimezones,
+  resolveTimezone,
+} = require("../src/timezoneSearch");
+
+describe("parseUtcOffset", () => {
+  const cases = [
+    ["UTC", 0],
+    ["gmt", 0],
+    ["UTC+5:30", 330],
+    ["utc + 5:30", 330],
+    ["+0530", 330],
+    ["+530", 330],
+    ["-03", -180],
+    ["gmt-3", -180],
+    ["−03:00", -180],
+    ["UTC+14", 840],
+    ["UTC-12", -720],
+    ["UTC+15", null],
+    ["+5:60", null],
+    ["UTC+99", null],
+    ["5:30", null],
+    ["berlin", null],
+  ];
+  for (const [input, expected] of cases) {
+    it(`reads ${JSON.stringify(input)} as ${expected}`, () => {
+      assert.equal(parseUtcOffset(input), expected);
+    });
+  }
+});
+
+describe("findZonesForLocalTime", () => {
+  const offsetsAt = (zones, now) =>
+    new Set(zones.map((zone) => moment.tz(now, zone).utcOffset()));
+
+  it("finds the zones whose clock shows the time now", () => {
+    const winter = new Date("2026-01-15T13:32:00Z");
+    const zones = findZonesForLocalTime("14:32", winter);
+    assert.ok(zones.includes("Europe/Berlin"));
+    assert.deepEqual(offsetsAt(zones, winter), new Set([60]));
+  });
+
+  it("follows DST through the injected time", () => {
+    const summer = new Date("2026-07-15T13:32:00Z");
+    const zones = findZonesForLocalTime("14:32", summer);
+    assert.ok(!zones.includes("Europe/Berlin"));
+    assert.ok(zones.includes("Europe/London"));
+  });
+
+  it("allows a few minutes either way", () => {
+    const now = new Date("2026-01-15T13:32:00Z");
+    assert.ok(findZonesForLocalTime("14:39", now).includes("Europe/Berlin"));
+    assert.ok(!findZonesForLocalTime("14:40", now).includes("Europe/Berlin"));
+  });
+
+  const wraps = [
+    ["just after midnight", "00:02", "2026-10-19T23:58:00Z"],
+    ["just before midnight", "23:57", "2026-10-20T00:03:00Z"],
+  ];
+  for (const [name, time, at] of wraps) {
+    it(`matches ${name} across the date line of the day`, () => {
+      const now = new Date(at);
+      const zones = findZonesForLocalTime(time, now);
+      assert.ok(zones.includes("Etc/UTC"));
+      assert.deepEqual(offsetsAt(zones, now), new Set([0]));
+    });
+  }
+
+  it("narrows the zones by part of a name", () => {
+    assert.deepEqual(
+      findZonesForLocalTime("00:02", new Date("2026-10-19T23:58:00Z"), "abid"),
+      ["Africa/Abidjan"],
+    );
+  });
+});
+
+describe("searchTimezones", () => {
+  const now = new Date("2026-01-15T12:00:00Z");
+
+  it("puts Etc/UTC first for a UTC offset", () => {
+    assert.equal(searchTimezones("utc+0", { now })[0], "Etc/UTC");
+  });
+
+  it("reads a clock time followed by a name", () => {
+    assert.deepEqual(searchTimezones("1:00pm berl", { now }), [
+      "Europe/Berlin",
+    ]);
+  });
+});
+
+describe("resolveTimezone", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const cases = [
+    ["an exact zone name", "Europe/Berlin", "Europe/Berlin"],
+    ["an exact city among longer ones", "paris", "Europe/Paris"],
+    ["an exact alias among prefix matches", "la", "America/Los_Angeles"],
+    ["an alias for a country", "India", "Asia/Kolkata"],
+  ];
+  for (const [name, input, timezone] of cases) {
+    it(`settles on ${name}`, () => {
+      assert.deepEqual(resolveTimezone(input, { now }), { timezone });
+    });
+  }
+
+  it("breaks the tie only when the exact match is alone", () => {
+    assert.ok(searchTimezones("la", { now, limit: Infinity }).length > 1);
+    assert.ok(resolveTimezone("san", { now }).matches.length > 1);
+  });
+
+  it("explains when nothing matches", () => {
+    assert.match(resolveTimezone("qqqq", { now }).error, /qqqq/);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  MAX_NAME_LENGTH,
+  isTuneId,
+  validateTuneName,
+  assignTuneIds,
+} = require("../src/tuneIds");
+
+// Tunes as quick.db returns them from a database written before tunes had
+// ids: keyed by name, with dotted names split into nested objects
+const legacy = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "fixtures", "legacy-tunes.json"),
+    "utf8",
+  ),
+);
+const LONG_NAME =
+  "Review the quarterly planning document and send comments to the whole team before Friday";
+
+const byName = (tunes) =>
+  Object.fromEntries(Object.values(tunes).map((tune) => [tune.name, tune]));
+
+describe("validateTuneName", () => {
+  const cases = [
+    ["  Water \n plants ", { name: "Water plants" }],
+    ["x".repeat(MAX_NAME_LENGTH), { name: "x".repeat(MAX_NAME_LENGTH) }],
+    [
+      "x".repeat(MAX_NAME_LENGTH + 1),
+      {
+        error: `Tune names can be at most ${MAX_NAME_LENGTH} characters long.`,
+      },
+    ],
+  ];
+  for (const [input, expected] of cases) {
+    it(`reads a ${input.length}-character name`, () => {
+      assert.deepEqual(validateTuneName(input), expected);
+    });
+  }
+});
+
+describe("assignTuneIds", () => {
+  const { tunes, moved } = assignTuneIds(legacy);
+  const migrated = byName(tunes);
+
+  it("finds dotted names again under their full name", () => {
+    assert.deepEqual(Object.keys(migrated).sort(), [
+      "Read ch. 3",
+      LONG_NAME.slice(0, MAX_NAME_LENGTH).trim(),
+      "Standup",
+      "Stretch",
+      "Stretch.v2",
+      "Water_plants",
+    ]);
+    assert.equal(migrated["Read ch. 3"].scheduleDay, 2);
+    assert.equal(migrated["Stretch.v2"].time, "15:30");
+    assert.equal(migrated.Stretch.v2, undefined);
+  });
+
+  it("keys every tune by an id that is safe in customIds", () => {
+    for (const id of Object.keys(tunes)) {
+      assert.ok(isTuneId(id), id);
+      assert.ok(!id.includes("_") && !id.includes("."), id);
+    }
+  });
+
+  it("reports where each renamed tune came from", () => {
+    assert.deepEqual(
+      moved.map(([oldKey, id]) => [oldKey, tunes[id].name]).sort(),
+      [
+        ["Read ch. 3", "Read ch. 3"],
+        ["Stretch", "Stretch"],
+        ["Stretch.v2", "Stretch.v2"],
+        ["Water_plants", "Water_plants"],
+        [LONG_NAME, LONG_NAME.slice(0, MAX_NAME_LENGTH).trim()],
+      ].sort(),
+    );
+  });
+
+  it("keeps tunes that already have an id", () => {
+    assert.deepEqual(tunes["3f9a0c1b2d4e"], legacy["3f9a0c1b2d4e"]);
+  });
+
+  it("cuts names to a length /edittune accepts", () => {
+    for (const { name } of Object.values(tunes)) {
+      assert.deepEqual(validateTuneName(name), { name });
+    }
+  });
+
+  it("changes nothing when it runs again", () => {
+    assert.deepEqual(assignTuneIds(tunes), { tunes, moved: [] });
+  });
+
+  it("does nothing without tunes", () => {
+    assert.deepEqual(assignTuneIds(undefined), { tunes: {}, moved: [] });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseImport } = require("../src/tuneTransfer");
+const { createLocalizer } = require("../src/i18n");
+
+const now = new Date("2026-10-19T12:00:00Z");
+const options = { timezone: "Europe/Berlin", now };
+
+const importOne = (fields) =>
+  parseImport(
+    JSON.stringify({
+      version: 1,
+      tunes: [{ name: "standup", time: "09:00", ...fields }],
+    }),
+    options,
+  );
+
+describe("parseImport", () => {
+  it("imports a valid tune in the fallback timezone", () => {
+    assert.deepEqual(importOne({ schedule: "weekly", scheduleDay: 1 }), {
+      tunes: [
+        {
+          name: "standup",
+          schedule: "weekly",
+          scheduleDay: 1,
+          time: "09:00",
+          timezone: "Europe/Berlin",
+        },
+      ],
+      problems: [],
+    });
+  });
+
+  const invalidDays = [
+    ["weekly", "3"],
+    ["weekly", true],
+    ["weekly", 2.5],
+    ["weekly", 7],
+    ["monthly", "15"],
+    ["monthly", true],
+    ["monthly", 1.5],
+    ["monthly", 0],
+    ["monthly", 32],
+  ];
+  for (const [schedule, scheduleDay] of invalidDays) {
+    it(`rejects ${schedule} day ${JSON.stringify(scheduleDay)}`, () => {
+      const { tunes, problems } = importOne({ schedule, scheduleDay });
+      assert.deepEqual(tunes, []);
+      assert.equal(problems.length, 1);
+    });
+  }
+
+  it("deduplicates lead times and sorts them earliest first", () => {
+    const { tunes } = importOne({ schedule: "daily", leads: [15, 60, 15] });
+    assert.deepEqual(tunes[0].leads, [60, 15]);
+  });
+
+  it("words the problems in the caller's language", () => {
+    const text = JSON.stringify({
+      version: 1,
+      tunes: [
+        { name: "standup", schedule: "daily", time: "25:00" },
+        { name: "", schedule: "daily", time: "09:00" },
+        { name: "retro", schedule: "yearly", time: "09:00" },
+      ],
+    });
+    const { problems } = parseImport(text, {
+      ...options,
+      lang: createLocalizer("de"),
+    });
+    assert.deepEqual(problems, [
+      'standup: Ungültige Uhrzeit "25:00"',
+      `Eintrag 2: ${createLocalizer("de").t("tuneName.empty")}`,
+      'retro: Unbekannter Zeitplan "yearly"',
+    ]);
+  });
+
+  it("words unreadable files in the caller's language", () => {
+    assert.throws(
+      () => parseImport("{", { ...options, lang: createLocalizer("es") }),
+      { message: "El archivo no es JSON válido." },
+    );
+  });
+
+  const invalidLeads = [
+    ["leads that aren't minutes", ["15"]],
+    ["leads more than 7 days ahead", [7 * 24 * 60 + 1]],
+    ["more than 5 leads", [1, 2, 3, 4, 5, 6]],
+  ];
+  for (const [name, leads] of invalidLeads) {
+    it(`rejects ${name}`, () => {
+      const { tunes, problems } = importOne({ schedule: "daily", leads });
+      assert.deepEqual(tunes, []);
+      assert.equal(problems.length, 1);
+    });
+  }
+});
@@ -0,0 +1,251 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  validateWebhookUrl,
+  createWebhookTarget,
+  signPayload,
+  createWebhookSender,
+} = require("../src/webhooks");
+
+// Resolves names from a fixed table, like dns.promises.lookup with all: true
+const fakeResolver = (table) => async (hostname) => {
+  if (!table[hostname]) throw new Error(`ENOTFOUND ${hostname}`);
+  return table[hostname].map((address) => ({
+    address,
+    family: address.includes(":") ? 6 : 4,
+  }));
+};
+
+// The same table behind the callback API of dns.lookup
+const fakeLookup = (table) => {
+  const resolve = fakeResolver(table);
+  return (hostname, options, callback) => {
+    resolve(hostname).then(
+      (addresses) => callback(null, addresses),
+      (error) => callback(error),
+    );
+  };
+};
+
+describe("validateWebhookUrl", () => {
+  const lookup = fakeResolver({
+    "hooks.example.com": ["93.184.216.34"],
+    "localtest.me": ["127.0.0.1"],
+    "rebind.example.com": ["93.184.216.34", "10.0.0.5"],
+  });
+
+  const accepted = [
+    "https://hooks.example.com/toki",
+    "http://93.184.216.34/",
+    "https://[2606:2800:220:1:248:1893:25c8:1946]/",
+    // Checked again at delivery
+    "https://not-yet-resolving.example.com/",
+  ];
+  for (const input of accepted) {
+    it(`accepts ${input}`, async () => {
+      assert.ok((await validateWebhookUrl(input, { lookup })).url);
+    });
+  }
+
+  const privateUrls = [
+    "http://localhost:3000/",
+    "http://app.localhost/",
+    "http://127.0.0.1/",
+    "http://0x7f.1/",
+    "http://2130706433/",
+    "http://0.0.0.0/",
+    "http://10.1.2.3/",
+    "http://100.64.0.1/",
+    "http://169.254.169.254/latest/meta-data",
+    "http://172.16.0.1/",
+    "http://192.168.1.1/",
+    "http://[::1]/",
+    "http://[::]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[::ffff:a9fe:a9fe]/",
+    "http://[fe80::1]/",
+    "http://[fd00::1]/",
+    "http://localtest.me/",
+    "http://rebind.example.com/",
+  ];
+  for (const input of privateUrls) {
+    it(`rejects ${input}`, async () => {
+      assert.deepEqual(await validateWebhookUrl(input, { lookup }), {
+        error: "Webhooks can't point at local or private addresses.",
+      });
+    });
+  }
+
+  it("allows private addresses when the host opts in", async () => {
+    assert.deepEqual(
+      await validateWebhookUrl("http://[fe80::1]/", {
+        allowPrivate: true,
+        lookup,
+      }),
+      { url: "http://[fe80::1]/" },
+    );
+  });
+
+  it("rejects other protocols and malformed URLs", async () => {
+    assert.ok((await validateWebhookUrl("ftp://example.com/")).error);
+    assert.ok((await validateWebhookUrl("not a url")).error);
+  });
+});
+
+describe("createWebhookSender", () => {
+  const event = {
+    tuneId: "t1",
+    name: "Standup",
+    schedule: "Every weekday at 09:00",
+    firedAt: "2026-10-19T09:00:00.000Z",
+    nextInvocation: "2026-10-20T09:00:00.000Z",
+    late: false,
+    userId: "u1",
+    guildId: "g1",
+  };
+  const clock = { now: () => new Date("2026-10-19T09:00:05Z") };
+
+  // A local HTTP stand-in answering with the next queued response
+  let server;
+  let port;
+  let received;
+  let responses;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        const next = responses.shift();
+        if (next === "hang") return;
+        const { status = 200, headers = {} } = next || {};
+        res.writeHead(status, headers).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  const createSender = (options = {}) => {
+    const waits = [];
+    const sender = createWebhookSender({
+      allowPrivate: true,
+      lookup: fakeLookup({ "hooks.example.com": ["127.0.0.1"] }),
+      wait: async (ms) => {
+        waits.push(ms);
+      },
+      clock,
+      ...options,
+    });
+    return { sender, waits };
+  };
+  const target = () =>
+    createWebhookTarget(`http://hooks.example.com:${port}/toki`, "json");
+
+  it("signs the timestamp and body with the target's secret", async () => {
+    const { sender } = createSender();
+    const hook = target();
+
+    const entry = await sender.deliver(hook, event);
+    assert.equal(entry.ok, true);
+    assert.equal(entry.status, 200);
+    assert.equal(entry.attempts, 1);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers[TIMESTAMP_HEADER.toLowerCase()], "1792400405");
+    assert.equal(
+      headers[SIGNATURE_HEADER.toLowerCase()],
+      signPayload(hook.secret, "1792400405", body),
+    );
+    assert.deepEqual(JSON.parse(body), { event: "reminder.fired", ...event });
+  });
+
+  it("backs off exponentially between retries", async () => {
+    responses = [{ status: 503 }, { status: 502 }, { status: 500 }];
+    const { sender, waits } = createSender();
+
+    const entry = await sender.deliver(target(), event);
+    assert.equal(entry.ok, true);
+    assert.equal(entry.attempts, 4);
+    assert.deepEqual(waits, [2000, 4000, 8000]);
+  });
+
+  it("gives up after the last attempt", async () => {
+    responses = [
+      { status: 503 },
+      { status: 503 },
+      { status: 503 },
+      { status: 503 },
+    ];
+    const { sender, waits } = createSender();
+
+    const entry = await sender.deliver(target(), event);
+    assert.deepEqual(
+      { ok: entry.ok, status: entry.status, error: entry.error },
+      { ok: false, status: 503, error: "HTTP 503" },
+    );
+    assert.equal(received.length, 4);
+    assert.equal(waits.length, 3);
+  });
+
+  it("waits as long as Retry-After asks, up to a minute", async () => {
+    responses = [
+      { status: 429, headers: { "Retry-After": "7" } },
+      { status: 429, headers: { "Retry-After": "3600" } },
+    ];
+    const { sender, waits } = createSender();
+
+    assert.equal((await sender.deliver(target(), event)).ok, true);
+    assert.deepEqual(waits, [7000, 60000]);
+  });
+
+  it("doesn't retry answers that won't change", async () => {
+    responses = [{ status: 404 }];
+    const { sender, waits } = createSender();
+
+    const entry = await sender.deliver(target(), event);
+    assert.equal(entry.error, "HTTP 404");
+    assert.equal(entry.attempts, 1);
+    assert.deepEqual(waits, []);
+  });
+
+  it("times out requests that don't answer", async () => {
+    responses = ["hang", "hang", "hang", "hang"];
+    const { sender } = createSender({ timeout: 50 });
+
+    const entry = await sender.deliver(target(), event);
+    assert.equal(entry.error, "Timed out");
+    assert.equal(entry.attempts, 4);
+  });
+
+  const privateTargets = [
+    ["a name resolving to a private address", "hooks.example.com"],
+    ["a private address in the URL", "127.0.0.1"],
+    ["an IPv4-mapped loopback address", "[::ffff:127.0.0.1]"],
+  ];
+  for (const [name, host] of privateTargets) {
+    it(`refuses to connect to ${name}`, async () => {
+      const { sender } = createSender({ allowPrivate: false });
+      const hook = createWebhookTarget(`http://${host}:${port}/toki`, "json");
+
+      const entry = await sender.deliver(hook, event);
+      assert.equal(entry.ok, false);
+      assert.match(entry.error, /private address/);
+      assert.equal(received.length, 0);
+    });
+  }
+});